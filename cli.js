@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+// Command-line entry point: plans bookings from CSV or JSON files and prints the route summary
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { runOptimization } from './index.js';
+import { printOptimizationSummary } from './lib/aux.js';
+import { MANIFEST_FORMATS, MANIFEST_LANGUAGES } from './lib/manifests.js';
+import { buildRequestFromFiles, formatVisitsCSV } from './lib/requestFiles.js';
+import { groupBy } from './lib/utils.js';
+
+const USAGE = `Usage: node cli.js [options]
+
+Input (a request file, bookings and vehicles files, or both to replace parts of the request):
+  -r, --request <file.json>      Whole optimization request, like sample-request.json
+  -b, --bookings <file>          Bookings as CSV or JSON
+  -v, --vehicles <file>          Vehicles as CSV or JSON
+
+Parameters (override the ones in the request file):
+      --stop-time <minutes>      Time spent at each stop (STOP_TIME_IN_MINUTES)
+      --max-route-time <minutes> Longest route (MAX_ROUTE_TIME_IN_MINUTES)
+      --date <YYYY-MM-DD>        Planning date (PLANNING_DATE)
+      --backend <name>           Solver backend, e.g. google or local (SOLVER_BACKEND)
+
+Output:
+  -o, --output <file.json>       Write the whole result as JSON
+      --csv <file.csv>           Write the planned visits as CSV
+      --manifest <file>          Write the driver manifests, as HTML for .html files and as text otherwise
+      --lang <es|en>             Language of the manifests (default es)
+  -q, --quiet                    Do not print the route summary
+  -h, --help                     Show this help
+
+CSV columns use the request field names. Coordinates go in <field>_latitude and
+<field>_longitude columns (e.g. destination_latitude), and lists such as requirements
+or features separate their items with semicolons. Quote values containing commas.`;
+
+const OPTIONS = {
+    request: { type: 'string', short: 'r' },
+    bookings: { type: 'string', short: 'b' },
+    vehicles: { type: 'string', short: 'v' },
+    'stop-time': { type: 'string' },
+    'max-route-time': { type: 'string' },
+    date: { type: 'string' },
+    backend: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    csv: { type: 'string' },
+    manifest: { type: 'string' },
+    lang: { type: 'string', default: 'es' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Reads a numeric command-line option
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {number|undefined} Number, or undefined when the option is not set
+ */
+const toNumberOption = (value, name) => {
+    if (value === undefined) return undefined;
+
+    const number = Number(value);
+    if (value.trim() === '' || isNaN(number)) {
+        throw new Error(`--${name} must be a number`);
+    }
+    return number;
+};
+
+/**
+ * Builds the request parameters set on the command line
+ * @param {Object} values - Parsed command-line options
+ * @returns {Object} Parameters in the request format, without the ones not set
+ */
+const buildParameters = (values) => {
+    const parameters = {
+        STOP_TIME_IN_MINUTES: toNumberOption(values['stop-time'], 'stop-time'),
+        MAX_ROUTE_TIME_IN_MINUTES: toNumberOption(values['max-route-time'], 'max-route-time'),
+        PLANNING_DATE: values.date,
+        SOLVER_BACKEND: values.backend
+    };
+
+    return Object.fromEntries(Object.entries(parameters).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Prints the bookings left out of the plan, grouped by their first skip reason
+ * @param {Array} unassigned - Unassigned bookings of the result
+ */
+const printUnassignedBookings = (unassigned) => {
+    if (unassigned.length === 0) return;
+
+    const byReason = groupBy(unassigned.map(booking => ({
+        ...booking,
+        reason: booking.reasons[0]?.description || 'Sin motivo informado'
+    })), 'reason');
+
+    console.log('--------------- RESERVAS SIN ASIGNAR ---------------');
+    Object.entries(byReason).forEach(([reason, bookings]) => {
+        console.log(`${reason}: ${bookings.map(booking => booking.job_id).join(', ')}`);
+    });
+    console.log();
+};
+
+/**
+ * Prints the violations found by the check of the returned plan
+ * @param {Object} planCheck - Result of checkPlan
+ */
+const printPlanViolations = (planCheck) => {
+    if (!planCheck || planCheck.valid) return;
+
+    console.log('--------------- INCUMPLIMIENTOS DEL PLAN ---------------');
+    planCheck.violations.forEach(violation => {
+        console.log(`${violation.code}${violation.vehicle ? ` [${violation.vehicle}]` : ''}: ${violation.message}`);
+    });
+    console.log();
+};
+
+/**
+ * Runs the command line interface
+ * @param {Array} args - Command-line arguments, without the node and script paths
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when the plan fails, 2 on usage errors
+ */
+export const runCLI = async (args = process.argv.slice(2)) => {
+    let values;
+    let request;
+
+    try {
+        ({ values } = parseArgs({ args, options: OPTIONS, strict: true }));
+
+        if (values.help) {
+            console.log(USAGE);
+            return 0;
+        }
+
+        if (!values.request && !(values.bookings && values.vehicles)) {
+            throw new Error('Give a request file, or bookings and vehicles files');
+        }
+
+        if (!MANIFEST_LANGUAGES.includes(values.lang)) {
+            throw new Error(`--lang must be one of: ${MANIFEST_LANGUAGES.join(', ')}`);
+        }
+
+        request = buildRequestFromFiles(values, buildParameters(values));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n`);
+        console.error(USAGE);
+        return 2;
+    }
+
+    const { statusCode, body, plan } = await runOptimization(request);
+
+    if (statusCode !== 200) {
+        console.error(`Error: ${body.error}`);
+        (body.validation_errors || []).forEach(error => console.error(`  ${error.path} ${error.message}`));
+        (body.rejected_bookings || []).forEach(booking => console.error(`  ${booking.job_id ?? booking.index}: ${booking.reason}`));
+        return 1;
+    }
+
+    if (!values.quiet) {
+        printOptimizationSummary(plan.summary);
+        printUnassignedBookings(plan.unassigned);
+    }
+
+    // Violations are shown even in quiet mode, since the plan should not go to dispatch as is
+    printPlanViolations(plan.planCheck);
+
+    if (values.output) {
+        fs.writeFileSync(values.output, JSON.stringify(body, null, 2));
+        console.log(`Result written to ${values.output}`);
+    }
+
+    if (values.csv) {
+        fs.writeFileSync(values.csv, formatVisitsCSV(body));
+        console.log(`Visits written to ${values.csv}`);
+    }
+
+    if (values.manifest) {
+        const format = /\.html?$/i.test(values.manifest) ? 'manifest-html' : 'manifest-text';
+        const content = MANIFEST_FORMATS[format].build(plan.bookings, plan.routes, { timeZone: plan.timeZone, language: values.lang });
+        fs.writeFileSync(values.manifest, content);
+        console.log(`Manifests written to ${values.manifest}`);
+    }
+
+    return 0;
+};
+
+// Only run the CLI if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    runCLI()
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('Error:', error.message);
+            process.exit(1);
+        });
+}
@@ -19,11 +19,163 @@ export const Locations = {
     }
 };
 
+// Named locations bookings and vehicles can refer to. Can be replaced with the
+// LOCATIONS_FILE (JSON or YAML) or LOCATIONS_JSON environment variables.
+export const DEFAULT_LOCATIONS = [
+    {
+        id: 'AMB-T1',
+        name: 'AMB Terminal 1',
+        aliases: ['T1', 'Terminal 1', 'AMB T1', 'Terminal Nacional'],
+        type: 'airport_terminal',
+        ...Locations.Airports.AMB.T1,
+        pickup_dwell_minutes: 5
+    },
+    {
+        id: 'AMB-T2',
+        name: 'AMB Terminal 2',
+        aliases: ['T2', 'Terminal 2', 'AMB T2', 'Terminal Internacional'],
+        type: 'airport_terminal',
+        ...Locations.Airports.AMB.T2,
+        pickup_dwell_minutes: 8
+    },
+    {
+        id: 'AMB',
+        name: 'AMB',
+        aliases: ['Aeropuerto', 'Airport', 'SCL Airport', 'Arturo Merino Benitez'],
+        type: 'airport',
+        ...Locations.Airports.AMB.General,
+        pickup_dwell_minutes: 5
+    },
+    {
+        id: 'AMB-FBO',
+        name: 'FBO',
+        aliases: ['AMB FBO'],
+        type: 'private_terminal',
+        ...Locations.Airports.Private.FBO,
+        pickup_dwell_minutes: 3
+    },
+    {
+        id: 'AMB-AEROCARDAL',
+        name: 'Aerocardal',
+        aliases: ['AMB Aerocardal'],
+        type: 'private_terminal',
+        ...Locations.Airports.Private.Aerocardal,
+        pickup_dwell_minutes: 3
+    },
+    {
+        id: 'AMB-AVIASUR',
+        name: 'Aviasur',
+        aliases: ['AMB Aviasur'],
+        type: 'private_terminal',
+        ...Locations.Airports.Private.Aviasur,
+        pickup_dwell_minutes: 3
+    },
+    {
+        id: 'SCL-CITY',
+        name: 'Santiago',
+        aliases: ['SCL', 'Santiago Centro'],
+        type: 'city',
+        ...Locations.Cities.SCL.General,
+        pickup_dwell_minutes: 0
+    }
+];
+
+// Approximate centroids of the comunas served, used by the static geocoder
+export const COMUNA_CENTROIDS = {
+    'Santiago': { latitude: -33.4489, longitude: -70.6693 },
+    'Providencia': { latitude: -33.4314, longitude: -70.6093 },
+    'Las Condes': { latitude: -33.4080, longitude: -70.5670 },
+    'Vitacura': { latitude: -33.3900, longitude: -70.5750 },
+    'Lo Barnechea': { latitude: -33.3500, longitude: -70.5180 },
+    'Ñuñoa': { latitude: -33.4560, longitude: -70.5970 },
+    'La Reina': { latitude: -33.4450, longitude: -70.5350 },
+    'Peñalolén': { latitude: -33.4850, longitude: -70.5450 },
+    'Macul': { latitude: -33.4870, longitude: -70.5990 },
+    'La Florida': { latitude: -33.5220, longitude: -70.5980 },
+    'Puente Alto': { latitude: -33.6110, longitude: -70.5750 },
+    'San Miguel': { latitude: -33.4970, longitude: -70.6510 },
+    'Estación Central': { latitude: -33.4590, longitude: -70.6980 },
+    'Maipú': { latitude: -33.5100, longitude: -70.7570 },
+    'Cerrillos': { latitude: -33.4970, longitude: -70.7160 },
+    'Pudahuel': { latitude: -33.4400, longitude: -70.7550 },
+    'Quinta Normal': { latitude: -33.4280, longitude: -70.6970 },
+    'Renca': { latitude: -33.4050, longitude: -70.7290 },
+    'Quilicura': { latitude: -33.3600, longitude: -70.7300 },
+    'Independencia': { latitude: -33.4160, longitude: -70.6660 },
+    'Recoleta': { latitude: -33.4060, longitude: -70.6390 },
+    'Huechuraba': { latitude: -33.3700, longitude: -70.6360 },
+    'Colina': { latitude: -33.2000, longitude: -70.6700 }
+};
+
+// Geocoding configuration
+export const GEOCODING_CONFIG = {
+    timeoutInMs: 10000,
+    region: 'cl',
+    country: 'Chile'
+};
+
+// Bounding box of the service region (Región Metropolitana and surroundings)
+export const SERVICE_REGION = {
+    minLatitude: -34.3,
+    maxLatitude: -32.9,
+    minLongitude: -71.8,
+    maxLongitude: -69.7
+};
+
 // General route optimization constants
 export const MAX_ROUTE_TIME_IN_MINUTES = 90;
 export const STOP_TIME_IN_MINUTES = 3;
 export const VEHICLE_CAPACITY = 7;
 
+// Fleet vehicle types: seat and luggage capacity, costs and equipment (features)
+export const VEHICLE_TYPES = {
+    sedan: { seats: 4, luggage: 3, cost_per_hour: 30.0, cost_per_kilometer: 7.0, fixed_cost: 0, features: [] },
+    van: { seats: VEHICLE_CAPACITY, luggage: 8, cost_per_hour: 40.0, cost_per_kilometer: 10.0, fixed_cost: 0, features: [] },
+    minibus: { seats: 15, luggage: 15, cost_per_hour: 55.0, cost_per_kilometer: 14.0, fixed_cost: 30.0, features: ['wheelchair_accessible'] }
+};
+export const DEFAULT_VEHICLE_TYPE = 'van';
+
+// Equipment bookings can require and vehicles can provide
+export const VEHICLE_FEATURES = ['child_seat', 'wheelchair_accessible'];
+
+// Planning horizon defaults
+export const DEFAULT_TIMEZONE = 'America/Santiago';
+export const PLANNING_HORIZON_IN_HOURS = 24;      // Horizon length when no shift end is requested
+
+// Booking time window defaults
+export const ARRIVAL_BUFFER_IN_MINUTES = 20;      // Time from flight arrival until passengers are ready
+export const MAX_PICKUP_WAIT_IN_MINUTES = 45;     // Longest a ready passenger should wait for pickup
+export const LATENESS_COST_PER_HOUR = 200;        // Penalty for missing a soft time window
+export const CHECK_IN_BUFFER_IN_MINUTES = 120;    // Time departing passengers must be at the terminal before their flight
+
+// Booking directions: arrivals go from the terminal to an address, departures from an address to the terminal
+export const BOOKING_DIRECTIONS = ['arrival', 'departure'];
+export const DEFAULT_BOOKING_DIRECTION = 'arrival';
+
+// Shared-ride quality limits per booking, null for no limit
+export const MAX_RIDE_TIME_IN_MINUTES = null;     // Longest time from pickup to drop-off
+export const MAX_DETOUR_IN_MINUTES = null;        // Longest extra time compared with a direct trip
+export const MAX_DETOUR_RATIO = null;             // Longest ride as a multiple of the direct trip (e.g. 1.5)
+export const OVERDUE_RIDE_COST_PER_HOUR = 2000;   // Penalty while a passenger on board past their ride limit is not dropped off
+
+// Fare splitting: how the cost of a shared route is attributed to its bookings
+export const PRICING_RULES = ['direct_distance', 'ride_distance', 'zone'];
+export const DEFAULT_PRICING_RULE = 'direct_distance';
+
+// Zone tariffs by comuna, used as the share of each booking by the 'zone' pricing rule
+export const ZONE_TARIFFS = {
+    'Pudahuel': 14, 'Cerrillos': 16, 'Maipú': 16, 'Quilicura': 16, 'Renca': 16,
+    'Estación Central': 18, 'Quinta Normal': 18, 'Independencia': 20, 'Santiago': 20,
+    'Recoleta': 20, 'San Miguel': 20, 'Huechuraba': 22, 'Providencia': 22, 'Ñuñoa': 22,
+    'Macul': 24, 'Las Condes': 25, 'Vitacura': 25, 'La Reina': 25, 'La Florida': 26,
+    'Peñalolén': 26, 'Lo Barnechea': 30, 'Puente Alto': 30, 'Colina': 32
+};
+export const DEFAULT_ZONE_TARIFF = 25;            // Tariff of comunas missing from ZONE_TARIFFS
+
+// Multi-trip (wave) planning defaults
+export const WAVE_WINDOW_IN_MINUTES = 60;         // Bookings ready within this time of each other share a wave
+export const TURNAROUND_TIME_IN_MINUTES = 15;     // Time at the base between two trips of a vehicle
+
 // API configuration constants
 export const API_CONFIG = {
     timeoutInMs: 60000,  // 60 seconds
@@ -38,5 +190,69 @@ export const API_CONFIG = {
     considerRoadTraffic: false,
 };
 
+// Solver backend configuration
+export const SOLVER_CONFIG = {
+    defaultBackend: 'google',   // 'google' or 'local', overridden by OPTIMIZATION_BACKEND
+    fallbackToLocal: true,      // Use the local solver when the Google backend is unavailable
+};
+
+// Standalone HTTP server configuration (server.js)
+export const SERVER_CONFIG = {
+    port: 8080,                     // Overridden by PORT
+    bodyLimit: '5mb',               // Largest accepted request body, overridden by BODY_LIMIT
+    shutdownTimeoutInMs: 30000      // Time given to in-flight requests on SIGTERM before exiting
+};
+
+// Optimization jobs configuration
+export const JOBS_CONFIG = {
+    retentionInMinutes: 24 * 60,    // Finished jobs are kept this long in the in-memory store
+    callbackTimeoutInMs: 10000,     // Timeout of each webhook callback attempt
+    callbackMaxAttempts: 3,         // Webhook callback attempts before giving up
+    callbackRetryDelayInMs: 1000,   // Delay before the second attempt, doubled after each retry
+    callbackAllowedHosts: []        // Hosts (and their subdomains) callbacks may go to; empty allows any host with a public address
+};
+
+// What-if scenario comparison configuration
+export const SCENARIO_CONFIG = {
+    concurrency: 2,                 // Scenarios solved at the same time
+    minStartIntervalInMs: 500,      // Least time between the starts of two scenarios, to stay within the solver quota
+    maxScenarios: 20                // Most scenarios in one request, fleet sweep included
+};
+
+// Result cache of optimization requests and idempotency keys
+export const CACHE_CONFIG = {
+    ttlInSeconds: 600,              // Identical requests within this time get the cached plan, overridden by CACHE_TTL_SECONDS (0 disables it)
+    maxEntries: 200,                // Plans kept by the in-memory store, the oldest dropped first
+    maxIdempotencyKeyLength: 255    // Longest Idempotency-Key header accepted
+};
+
+// Client authentication and quotas. Clients are loaded from the CLIENTS_FILE (JSON or YAML) or
+// CLIENTS_JSON environment variables; without clients requests are not authenticated.
+export const AUTH_CONFIG = {
+    required: false,                // Reject every request when no clients are configured, overridden by AUTH_REQUIRED
+    maxClockSkewInSeconds: 300,     // Largest difference between a signature timestamp and the server clock
+    usageRetentionInDays: 400,      // Daily usage counters kept by the in-memory store
+    defaultLimits: {                // Limits of clients that do not set their own, null for no limit
+        rate_limit_per_minute: 60,
+        daily_max_optimizations: 1000,
+        daily_max_shipments: 20000
+    }
+};
+
+// Local heuristic solver configuration
+export const LOCAL_SOLVER_CONFIG = {
+    averageSpeedKmh: 30,        // Average driving speed used for travel time estimates
+    roadDistanceFactor: 1.3,    // Ratio between road distance and straight-line distance
+    maxLocalSearchPasses: 20,   // Maximum number of relocate passes after construction
+};
+
+// Legacy `responde` output format versions (1 = original shape, 2 = with vehicle, pickups and ETAs)
+export const LEGACY_FORMAT_VERSIONS = [1, 2];
+export const DEFAULT_LEGACY_FORMAT_VERSION = 1;
+
+// Response body versions (1 = original shape, 2 = the documented response model of lib/responseModel.js)
+export const RESPONSE_VERSIONS = [1, 2];
+export const DEFAULT_RESPONSE_VERSION = 1;
+
 // Booking token used in shipment labels
 export const BOOKING_TOKEN = 'Booking'; 
\ No newline at end of file
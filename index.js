@@ -1,84 +1,184 @@
 // Cloud Run Function entry point
 import dotenv from 'dotenv';
-import { optimizeRoute } from './optimization.js';
-import { printOptimizationSummary } from './lib/aux.js';
+import {
+    CACHE_CONFIG,
+    DEFAULT_BOOKING_DIRECTION,
+    DEFAULT_RESPONSE_VERSION,
+    TURNAROUND_TIME_IN_MINUTES,
+    WAVE_WINDOW_IN_MINUTES
+} from './config.js';
+import { optimizeRoute, resolveSolverOptions } from './optimization.js';
+import { authenticateRequest, consumeQuota } from './lib/auth.js';
+import { getVisitTimes, printOptimizationSummary, splitRouteIntoTrips } from './lib/aux.js';
+import { getClientRegistry } from './lib/clients.js';
+import { getAllowedVehicleIndices, getVehicleProfile } from './lib/fleet.js';
+import { geocodeBookings } from './lib/geocoding.js';
+import {
+    canAccessJob,
+    cancelJob,
+    checkCallbackUrl,
+    createJob,
+    getCallbackSigningSecret,
+    getJobStore,
+    runJob,
+    toJobView
+} from './lib/jobs.js';
+import { getLocationRegistry } from './lib/locations.js';
+import { MANIFEST_FORMATS, MANIFEST_LANGUAGES } from './lib/manifests.js';
+import { EXPORT_FORMATS } from './lib/mapExports.js';
+import { buildOpenAPIDocument } from './lib/openapi.js';
+import { buildQuote, getBookingZone, getPricingParameters } from './lib/pricing.js';
+import { applyPlanState, diffPlans, getPlanState, isActiveBooking } from './lib/reoptimization.js';
+import { CACHE_STATUS, hashRequest, runCached } from './lib/requestCache.js';
+import { buildResponseModel } from './lib/responseModel.js';
+import { buildRideLimits, getRideLimitParameters } from './lib/rideLimits.js';
+import { runScenarios } from './lib/scenarios.js';
+import { buildVehicleShift, getPlanningHorizon, parseShiftTime } from './lib/shifts.js';
+import {
+    buildBookingTimeWindows,
+    getTimeWindowParameters,
+    getTimeWindowStatus
+} from './lib/timeWindows.js';
+import { buildUsageReport, getUsageDay, getUsageStore, isUsageDay } from './lib/usage.js';
+import { formatLocalDateTime } from './lib/utils.js';
+import {
+    jobRequestSchema,
+    validateOptimizationRequest,
+    validateReoptimizationRequest,
+    validateScenarioRequest
+} from './lib/validation.js';
 
 // Initialize dotenv
 dotenv.config();
 
+// Formats the plan can be returned in besides JSON, selected with the `format` query parameter
+const OUTPUT_FORMATS = { ...EXPORT_FORMATS, ...MANIFEST_FORMATS };
+
 /**
  * Transforms incoming request data to the format expected by the optimization algorithm
  * @param {Object} requestData - The request data in the customer format
- * @returns {Object} - Data transformed to match the algorithm's expected input format
+ * @returns {Object} - Data transformed to match the algorithm's expected input format, plus vehicle profiles and optimization options
  */
 const transformRequestData = (requestData) => {
     // Define default parameters
     const stopTimeInMinutes = requestData.parameters?.STOP_TIME_IN_MINUTES || 2;
     const maxRouteTimeInMinutes = requestData.parameters?.MAX_ROUTE_TIME_IN_MINUTES || 90;
+    const multiTrip = requestData.parameters?.MULTI_TRIP || false;
+    const timeWindowParameters = getTimeWindowParameters(requestData.parameters);
+    const rideLimitParameters = getRideLimitParameters(requestData.parameters);
+    const locations = getLocationRegistry();
+
+    // Shift start and end in the request time zone, instead of "now + 24h"
+    const horizon = getPlanningHorizon(requestData.parameters);
+
+    // Solver selection, falling back to the environment configuration when not set
+    const options = {
+        backend: requestData.parameters?.SOLVER_BACKEND,
+        fallbackToLocal: requestData.parameters?.SOLVER_FALLBACK,
+        considerRoadTraffic: requestData.parameters?.CONSIDER_ROAD_TRAFFIC,
+        legacyFormatVersion: requestData.parameters?.LEGACY_FORMAT_VERSION,
+        responseVersion: requestData.parameters?.RESPONSE_VERSION ?? DEFAULT_RESPONSE_VERSION,
+        // Whole-shift planning: vehicles return to base after each wave of bookings
+        multiTrip: multiTrip ? {
+            waveWindowInMinutes: requestData.parameters?.WAVE_WINDOW_IN_MINUTES ?? WAVE_WINDOW_IN_MINUTES,
+            turnaroundInMinutes: requestData.parameters?.TURNAROUND_TIME_IN_MINUTES ?? TURNAROUND_TIME_IN_MINUTES
+        } : null,
+        startDate: horizon.startDate,
+        endDate: horizon.endDate,
+        timeZone: horizon.timeZone
+    };
+    
+    // Capacities, costs and features of each vehicle, from its type
+    const vehicleProfiles = requestData.vehicles.map(getVehicleProfile);
     
     // Transform bookings data
     const bookings = requestData.bookings.map((booking, index) => {
-        // Get coordinates for the origin
-        // In this example, we're using a simple mapping for common locations
-        const originLocations = {
-            "AMB Terminal 1": { latitude: -33.39733755598884, longitude: -70.79438713103244 },
-            "AMB Terminal 2": { latitude: -33.39312201984877, longitude: -70.79180431908104 },
-            // Add more common locations as needed
-        };
+        // Named locations also define how long a pickup takes there; departures picked up
+        // at home or at a hotel take a regular stop
+        const namedOrigin = locations.resolve(booking.origin);
+        const originLocation = namedOrigin || booking.origin_coordinates;
+        const isDeparture = (booking.direction || DEFAULT_BOOKING_DIRECTION) === 'departure';
+        const pickupDwellInMinutes = namedOrigin ? namedOrigin.pickup_dwell_minutes :
+            isDeparture ? stopTimeInMinutes : 0;
+
+        // Departures are dropped off at a named terminal instead of an address
+        const namedDestination = locations.resolve(booking.destination_location);
+        const destinationLocation = namedDestination || booking.destination;
+
+        // Pickup no earlier than the passengers are ready, drop-off before the deadline
+        const { pickupTimeWindows, deliveryTimeWindows } = buildBookingTimeWindows(booking, timeWindowParameters, horizon);
         
-        const originLocation = originLocations[booking.origin] || { 
-            latitude: booking.origin_coordinates?.latitude,
-            longitude: booking.origin_coordinates?.longitude
-        };
+        // Bookings needing equipment (child seat, wheelchair access) only go in matching vehicles
+        const allowedVehicleIndices = getAllowedVehicleIndices(booking, vehicleProfiles);
+        
+        // Visit labels name the places for drivers: the pickup location or address and the drop-off address or terminal
+        const pickupLabel = namedOrigin?.name || booking.origin ||
+            [booking.origin_address, booking.origin_comuna].filter(Boolean).join(', ');
+        const deliveryLabel = namedDestination?.name ||
+            [booking.destination_address, booking.destination_comuna].filter(Boolean).join(', ');
         
         return {
-            label: booking.job_id || `Booking ${index + 1}`,
+            label: String(booking.job_id || `Booking ${index + 1}`),
             pickups: [{
+                ...(pickupLabel && { label: pickupLabel }),
                 arrivalLocation: {
                     latitude: originLocation.latitude,
                     longitude: originLocation.longitude
                 },
+                duration: {
+                    seconds: pickupDwellInMinutes * 60
+                },
+                timeWindows: pickupTimeWindows
             }],
             deliveries: [{
+                ...(deliveryLabel && { label: deliveryLabel }),
                 arrivalLocation: {
-                    latitude: booking.destination.latitude,
-                    longitude: booking.destination.longitude
+                    latitude: destinationLocation.latitude,
+                    longitude: destinationLocation.longitude
                 },
                 duration: {
                     seconds: stopTimeInMinutes * 60
-                }
+                },
+                timeWindows: deliveryTimeWindows
             }],
             loadDemands: {
                 passengers: {
                     amount: booking.pax_count
+                },
+                luggage: {
+                    amount: booking.luggage_count || 0
                 }
-            }
+            },
+            ...(allowedVehicleIndices && { allowedVehicleIndices }),
+            // Limits on how long and how far out of their way passengers ride
+            ...buildRideLimits(booking, rideLimitParameters)
         };
     });
     
     // Transform vehicles data
     const vehicles = requestData.vehicles.map((vehicle, index) => {
-        // Get coordinates for start location
-        const startLocations = {
-            "AMB Terminal 1": { latitude: -33.39733755598884, longitude: -70.79438713103244 },
-            "AMB Terminal 2": { latitude: -33.39312201984877, longitude: -70.79180431908104 },
-            // Add more locations as needed
-        };
-        
-        const startLocation = startLocations[vehicle.start_location] || {
-            latitude: vehicle.start_coordinates?.latitude,
-            longitude: vehicle.start_coordinates?.longitude
-        };
+        const startLocation = locations.resolve(vehicle.start_location) || vehicle.start_coordinates;
+        const baseLocation = locations.resolve(vehicle.base_location) || startLocation;
+        const profile = vehicleProfiles[index];
         
         return {
-            label: vehicle.vehicle_number || `Vehicle ${index + 1}`,
+            label: String(vehicle.vehicle_number || `Vehicle ${index + 1}`),
             travelMode: "DRIVING",
-            costPerHour: 40.0,
-            costPerKilometer: 10.0,
+            costPerHour: profile.costPerHour,
+            costPerKilometer: profile.costPerKilometer,
+            fixedCost: profile.fixedCost,
             startLocation: {
                 latitude: startLocation.latitude,
                 longitude: startLocation.longitude
             },
+            // In multi-trip plans every trip ends back at the base
+            ...(multiTrip && {
+                endLocation: {
+                    latitude: baseLocation.latitude,
+                    longitude: baseLocation.longitude
+                }
+            }),
+            ...buildVehicleShift(vehicle, horizon),
             routeDurationLimit: {
                 maxDuration: {
                     seconds: maxRouteTimeInMinutes * 60
@@ -86,17 +186,379 @@ const transformRequestData = (requestData) => {
             },
             loadLimits: {
                 passengers: {
-                    maxLoad: vehicle.vehicle_capacity || 7
+                    maxLoad: profile.seats
+                },
+                luggage: {
+                    maxLoad: profile.luggage
                 }
             }
         };
     });
     
-    return { bookings, vehicles };
+    // Fares split each route cost among its bookings, some rules by the comuna of each booking
+    const pricing = {
+        ...getPricingParameters(requestData.parameters),
+        zones: requestData.bookings.map((booking, index) => getBookingZone(booking, bookings[index]))
+    };
+    
+    return { bookings, vehicles, vehicleProfiles, options: { ...options, pricing } };
 };
 
 /**
- * The main Cloud Run function handler
+ * Formats the results of an optimization as the response returned to the customer
+ * @param {Object} optimization - Results from optimizeRoute
+ * @param {Object} context - Transformed request data (bookings, vehicleProfiles, options)
+ * @returns {Object} Response body
+ */
+const formatOptimizationResult = (optimization, { bookings, vehicleProfiles, options }) => {
+    const { 
+        response, 
+        routes, 
+        visits_detail, 
+        visits_api_response, 
+        summary,
+        unassigned,
+        plan_check,
+        solver_backend,
+        fallback_reason
+    } = optimization;
+    
+    // Times are returned as epoch seconds and as local ISO timestamps
+    const toLocalTime = (seconds) => formatLocalDateTime(new Date(seconds * 1000), options.timeZone);
+    
+    return {
+        status: 'success',
+        // A partial plan leaves some bookings without a vehicle, listed in `unassigned`
+        partial_plan: unassigned.length > 0,
+        solver_backend: solver_backend,
+        fallback_reason: fallback_reason,
+        planning_horizon: {
+            time_zone: options.timeZone,
+            start_time: toLocalTime(options.startDate.getTime() / 1000),
+            end_time: toLocalTime(options.endDate.getTime() / 1000)
+        },
+        metrics: response.metrics,
+        summary: summary,
+        routes: routes.map(route => {
+            const trips = splitRouteIntoTrips(route);
+            const getVisitRequest = (visit) => {
+                const booking = bookings[visit.shipmentIndex || 0];
+                return visit.isPickup ? booking?.pickups[0] : booking?.deliveries[0];
+            };
+
+            return {
+                vehicle: route.vehicleLabel,
+                vehicle_type: vehicleProfiles[route.vehicleIndex || 0]?.type,
+                breaks: (route.breaks || []).map(routeBreak => ({
+                    start_time: parseInt(routeBreak.startTime.seconds),
+                    start_time_local: toLocalTime(parseInt(routeBreak.startTime.seconds)),
+                    duration_minutes: Math.round(parseInt(routeBreak.duration.seconds) / 60)
+                })),
+                trips: trips.map((trip, tripIndex) => {
+                    const first = trip[0];
+                    const last = trip[trip.length - 1];
+                    const start = getVisitTimes(route, first.visitIndex, getVisitRequest(first.visit)).start;
+                    const end = getVisitTimes(route, last.visitIndex, getVisitRequest(last.visit)).departure;
+                    // Waves report when the vehicle was back at the base
+                    const wave = route.trips?.find(waveTrip => first.visitIndex >= waveTrip.firstVisitIndex &&
+                        first.visitIndex < waveTrip.firstVisitIndex + waveTrip.visitCount);
+                    const returnTime = wave ? parseInt(wave.endTime.seconds) : null;
+
+                    return {
+                        trip_number: tripIndex + 1,
+                        wave: wave?.wave ?? null,
+                        booking_ids: trip.filter(({ visit }) => visit.isPickup)
+                            .map(({ visit }) => bookings[visit.shipmentIndex || 0]?.label),
+                        start_time: start,
+                        start_time_local: toLocalTime(start),
+                        last_dropoff_time: end,
+                        last_dropoff_time_local: toLocalTime(end),
+                        return_time: returnTime,
+                        return_time_local: returnTime !== null ? toLocalTime(returnTime) : null
+                    };
+                }),
+                visits: trips.flatMap((trip, tripIndex) => trip.map(({ visit, visitIndex }, tripVisitIndex) => {
+                    const booking = bookings[visit.shipmentIndex || 0];
+                    const visitRequest = getVisitRequest(visit);
+                    const times = getVisitTimes(route, visitIndex, visitRequest);
+
+                    return {
+                        booking_id: booking?.label,
+                        sequence: visitIndex + 1,
+                        trip: tripIndex + 1,
+                        trip_sequence: tripVisitIndex + 1,
+                        arrival_time: times.arrival,
+                        arrival_time_local: toLocalTime(times.arrival),
+                        departure_time: times.departure,
+                        departure_time_local: toLocalTime(times.departure),
+                        location: visit.isPickup ? 'pickup' : 'delivery',
+                        time_window: getTimeWindowStatus(visitRequest?.timeWindows, visit.startTime, options.timeZone)
+                    };
+                }))
+            };
+        }),
+        unassigned: unassigned,
+        // Violations found by the independent check of the returned plan, to review before dispatch
+        plan_check: plan_check,
+        detailed_visits: visits_detail,
+        api_response: visits_api_response
+    };
+};
+
+/**
+ * Formats the results of an optimization in the response version of the request
+ * (parameters.RESPONSE_VERSION): the original response, or the response model of lib/responseModel.js
+ * @param {Object} optimization - Results from optimizeRoute
+ * @param {Object} context - Transformed request data (bookings, vehicles, vehicleProfiles, options)
+ * @param {Object} geocoding - Geocoded and rejected bookings
+ * @returns {Object} Response body
+ */
+const formatResponseBody = (optimization, context, { geocoded, rejected }) => {
+    if (context.options.responseVersion === 2) {
+        return buildResponseModel(optimization, { ...context, geocoded, rejected });
+    }
+
+    return {
+        ...formatOptimizationResult(optimization, context),
+        geocoded_bookings: geocoded,
+        rejected_bookings: rejected
+    };
+};
+
+/**
+ * Validates and geocodes a request body and transforms it into the solver model
+ * @param {Object} body - Request body in the customer format
+ * @param {Object} hooks - Optional hooks
+ * @param {Function} hooks.onProgress - Called with the stage name when each stage starts
+ * @returns {Promise<Object>} The model ({ context, geocoded, rejected }), or the error response
+ * ({ statusCode, body }) when the request is invalid or no booking could be geocoded
+ */
+const prepareOptimization = async (body, { onProgress = () => {} } = {}) => {
+    onProgress('validating');
+    const validationErrors = validateOptimizationRequest(body);
+    
+    if (validationErrors.length > 0) {
+        return {
+            statusCode: 400,
+            body: {
+                status: 'error',
+                error: 'Invalid request',
+                validation_errors: validationErrors
+            }
+        };
+    }
+    
+    // Resolve drop-off addresses; bookings that cannot be geocoded are reported, not planned
+    onProgress('geocoding');
+    const { bookings: resolvableBookings, geocoded, rejected } = await geocodeBookings(body.bookings);
+    
+    if (resolvableBookings.length === 0) {
+        return {
+            statusCode: 422,
+            body: {
+                status: 'error',
+                error: 'No bookings could be geocoded',
+                rejected_bookings: rejected
+            }
+        };
+    }
+    
+    // Transform request data
+    return {
+        context: transformRequestData({ ...body, bookings: resolvableBookings }),
+        geocoded,
+        rejected
+    };
+};
+
+/**
+ * Optimizes a model from prepareOptimization and formats the response
+ * @param {Object} prepared - Model from prepareOptimization ({ context, geocoded, rejected })
+ * @param {Object} hooks - Optional hooks
+ * @param {Function} hooks.onProgress - Called with the stage name when each stage starts
+ * @param {Function} hooks.chargeUsage - Called with the usage ({ optimizations, shipments }) right before
+ * the solver runs, returning an access check like consumeQuota; its error ends the run
+ * @returns {Promise<Object>} Result like runOptimization's
+ */
+const solveOptimization = async ({ context, geocoded, rejected }, {
+    onProgress = () => {},
+    chargeUsage = async () => ({})
+} = {}) => {
+    const { bookings, vehicles, options } = context;
+    
+    // Only requests that reach the solver are charged
+    const charge = await chargeUsage({ optimizations: 1, shipments: bookings.length });
+    if (charge.error) {
+        return { statusCode: charge.error.statusCode, body: charge.error.body, headers: charge.headers };
+    }
+    
+    // Run optimization
+    onProgress('optimizing');
+    const optimization = await optimizeRoute(bookings, vehicles, options);
+    
+    // Format response
+    onProgress('formatting');
+    return {
+        statusCode: 200,
+        body: formatResponseBody(optimization, context, { geocoded, rejected }),
+        plan: {
+            bookings,
+            routes: optimization.routes,
+            timeZone: options.timeZone,
+            summary: optimization.summary,
+            unassigned: optimization.unassigned,
+            planCheck: optimization.plan_check,
+            fares: optimization.fares,
+            pricingRule: options.pricing.rule,
+            legacyResponse: optimization.visits_api_response,
+            rejected
+        }
+    };
+};
+
+/**
+ * Validates, geocodes and optimizes a request body. Shared by the HTTP handlers, optimization jobs and the CLI.
+ * @param {Object} body - Request body in the customer format
+ * @param {Object} hooks - Optional hooks
+ * @param {Function} hooks.onProgress - Called with the stage name when each stage starts
+ * @param {Function} hooks.chargeUsage - Called with the usage ({ optimizations, shipments }) right before
+ * the solver runs, returning an access check like consumeQuota; its error ends the run
+ * @returns {Promise<Object>} Object with the HTTP status code, the response body and, on success, the
+ * plan in the solver format ({ bookings, routes, timeZone }) for the map exports, with its summary,
+ * unassigned bookings, plan check, fares, legacy visit list and the bookings rejected before planning
+ * whatever the response version. Rejected charges also return the headers to send.
+ */
+export const runOptimization = async (body, hooks = {}) => {
+    const prepared = await prepareOptimization(body, hooks);
+    return prepared.context ? solveOptimization(prepared, hooks) : prepared;
+};
+
+/**
+ * Sets the headers of an access check (authentication, rate limit or quota) and, when
+ * the request was rejected, sends its error
+ * @param {Object} res - Express response object
+ * @param {Object} access - Result of authenticateRequest or consumeQuota
+ * @returns {boolean} True when the request was rejected and answered
+ */
+const rejectRequest = (res, { headers = {}, error }) => {
+    Object.entries(headers).forEach(([name, value]) => res.set(name, value));
+    if (!error) return false;
+
+    res.status(error.statusCode).json(error.body);
+    return true;
+};
+
+/**
+ * Builds the chargeUsage hook of runOptimization, counting optimizations against the daily quotas of a client
+ * @param {Object} client - Client from authenticateRequest, null when authentication is disabled
+ * @returns {Function} Async function (usage) returning the result of consumeQuota
+ */
+const chargeClient = (client) => (usage) => consumeQuota(client, usage);
+
+/**
+ * Gets what the plan of a request depends on, to key the cache with: the request body and the
+ * inputs resolved for it, i.e. the named locations, geocoded addresses, solver backend and
+ * response version. The model itself is left out, since without SHIFT_START its horizon is
+ * derived from the current time and identical requests would never share a plan.
+ * @param {Object} body - Request body in the customer format
+ * @param {Object} prepared - Model from prepareOptimization ({ context, geocoded, rejected })
+ * @returns {Object} Cache inputs, to hash with hashRequest
+ */
+const getCacheInputs = (body, { context, geocoded, rejected }) => {
+    const locations = getLocationRegistry();
+    const locationNames = [
+        ...body.bookings.flatMap(booking => [booking.origin, booking.destination_location]),
+        ...body.vehicles.flatMap(vehicle => [vehicle.start_location, vehicle.base_location])
+    ].filter(name => typeof name === 'string');
+    const { backend, fallbackToLocal } = resolveSolverOptions(context.options);
+
+    return {
+        body,
+        locations: locationNames.map(name => locations.resolve(name)),
+        geocoded,
+        rejected,
+        backend,
+        fallbackToLocal,
+        responseVersion: context.options.responseVersion
+    };
+};
+
+/**
+ * Runs runOptimization at most once per request within the cache TTL: requests with the same
+ * body and resolved inputs (see getCacheInputs) get the cached result, and concurrent
+ * duplicates wait for the one in flight instead of calling the solver again. Retries sent with
+ * the same Idempotency-Key header get the result of the first attempt, and reusing a key for
+ * another request body is an error. Results and keys are kept per client, so clients never
+ * share them. Only successful results are cached, and only runs that reach the solver are
+ * charged to the client. The cache status and the request hash are set as the X-Cache and
+ * X-Request-Hash response headers.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} client - Client from authenticateRequest, null when authentication is disabled
+ * @returns {Promise<Object>} Result of runOptimization
+ */
+const runOptimizationOnce = async (req, res, client) => {
+    const scope = client ? `client:${client.id}` : 'anonymous';
+    const idempotencyKey = req.headers?.['idempotency-key'];
+    const isSuccess = (result) => result.statusCode === 200;
+    const runRequest = async () => {
+        const prepared = await prepareOptimization(req.body);
+        if (!prepared.context) return { value: prepared, cache: CACHE_STATUS.MISS };
+        
+        // A cached plan is only reused while the locations, geocodes and solver it was planned with are unchanged
+        const requestHash = hashRequest(getCacheInputs(req.body, prepared));
+        const run = await runCached(`request:${scope}:${requestHash}`, () => solveOptimization(prepared, {
+            chargeUsage: chargeClient(client)
+        }), { shouldCache: isSuccess });
+        
+        Object.entries(run.value.headers || {}).forEach(([name, value]) => res.set(name, value));
+        return { ...run, requestHash };
+    };
+
+    if (idempotencyKey === undefined) {
+        const { value, cache, requestHash } = await runRequest();
+        if (requestHash) res.set('X-Request-Hash', requestHash);
+        res.set('X-Cache', cache);
+        return value;
+    }
+
+    if (!idempotencyKey || idempotencyKey.length > CACHE_CONFIG.maxIdempotencyKeyLength) {
+        return {
+            statusCode: 400,
+            body: {
+                status: 'error',
+                error: `Idempotency-Key must have between 1 and ${CACHE_CONFIG.maxIdempotencyKeyLength} characters`
+            }
+        };
+    }
+
+    // Retries are matched by their body, since their resolved inputs may have changed since the first attempt
+    const bodyHash = hashRequest(req.body);
+    let requestCache = CACHE_STATUS.MISS;
+    const { value, cache } = await runCached(`idempotency:${scope}:${idempotencyKey}`, async () => {
+        const { value: result, cache: resultCache, requestHash } = await runRequest();
+        requestCache = resultCache;
+        return { bodyHash, requestHash, result };
+    }, { shouldCache: ({ result }) => isSuccess(result) });
+
+    if (value.bodyHash !== bodyHash) {
+        return {
+            statusCode: 422,
+            body: {
+                status: 'error',
+                error: 'Idempotency-Key was already used with a different request'
+            }
+        };
+    }
+
+    if (value.requestHash) res.set('X-Request-Hash', value.requestHash);
+    res.set('X-Cache', cache === CACHE_STATUS.HIT ? cache : requestCache);
+    return value.result;
+};
+
+/**
+ * The main Cloud Run function handler. The `format` query parameter returns the plan
+ * as GeoJSON, KML or GPX, or as driver manifests in the `lang` language, instead of JSON.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -104,6 +566,8 @@ export const optimizeRouteFunction = async (req, res) => {
     try {
         // Log incoming request
         console.log('Received optimization request');
+        const access = await authenticateRequest(req);
+        if (rejectRequest(res, access)) return;
         
         // Validate request
         if (!req.body) {
@@ -112,53 +576,241 @@ export const optimizeRouteFunction = async (req, res) => {
             });
         }
         
-        if (!req.body.bookings || !Array.isArray(req.body.bookings) || req.body.bookings.length === 0) {
+        const format = req.query?.format || 'json';
+        const language = req.query?.lang || 'es';
+        
+        if (format !== 'json' && !OUTPUT_FORMATS[format]) {
             return res.status(400).send({
-                error: 'At least one booking is required'
+                status: 'error',
+                error: `Unknown format "${format}". Available formats: json, ${Object.keys(OUTPUT_FORMATS).join(', ')}`
             });
         }
         
-        if (!req.body.vehicles || !Array.isArray(req.body.vehicles) || req.body.vehicles.length === 0) {
+        if (!MANIFEST_LANGUAGES.includes(language)) {
             return res.status(400).send({
-                error: 'At least one vehicle is required'
+                status: 'error',
+                error: `Unknown language "${language}". Available languages: ${MANIFEST_LANGUAGES.join(', ')}`
             });
         }
         
-        // Transform request data
-        const { bookings, vehicles } = transformRequestData(req.body);
+        const { statusCode, body, plan } = await runOptimizationOnce(req, res, access.client);
+        
+        // Send response
+        if (statusCode === 200 && format !== 'json') {
+            const content = OUTPUT_FORMATS[format].build(plan.bookings, plan.routes, { timeZone: plan.timeZone, language });
+            res.set('Content-Type', OUTPUT_FORMATS[format].contentType);
+            return res.status(200).send(content);
+        }
+        
+        res.status(statusCode).json(body);
+    } catch (error) {
+        console.error('Error in route optimization function:', error);
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            details: error.details || 'No additional details available'
+        });
+    }
+};
+
+/**
+ * Cloud Run function handler for clients of the legacy API, answering only with the
+ * legacy `responde` format (see LEGACY_FORMAT_VERSION)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const optimizeRouteLegacyFunction = async (req, res) => {
+    try {
+        console.log('Received legacy optimization request');
+        const access = await authenticateRequest(req);
+        if (rejectRequest(res, access)) return;
+        
+        if (!req.body) {
+            return res.status(400).send({
+                error: 'Request body is required'
+            });
+        }
         
-        // Run optimization
-        const { 
-            response, 
-            routes, 
-            visits_detail, 
-            visits_api_response, 
-            summary 
-        } = await optimizeRoute(bookings, vehicles);
+        const { statusCode, body, plan } = await runOptimizationOnce(req, res, access.client);
         
-        // Format and send response
-        const result = {
-            status: 'success',
-            metrics: response.metrics,
-            summary: summary,
-            routes: routes.map(route => ({
-                vehicle: route.vehicleLabel,
-                visits: route.visits.map(visit => ({
-                    booking_id: bookings[visit.shipmentIndex]?.label,
-                    sequence: visit.visitIndex,
-                    arrival_time: visit.arrivalTime,
-                    departure_time: visit.departureTime,
-                    location: visit.isPickup ? 'pickup' : 'delivery'
-                }))
-            })),
-            detailed_visits: visits_detail,
-            api_response: visits_api_response
+        res.status(statusCode).json(statusCode === 200 ? plan.legacyResponse : body);
+    } catch (error) {
+        console.error('Error in legacy route optimization function:', error);
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            details: error.details || 'No additional details available'
+        });
+    }
+};
+
+/**
+ * Cloud Run function handler that quotes the fares of a set of bookings without dispatching
+ * them. The bookings are planned as usual, and only what each one pays of its shared route is returned.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const quoteFunction = async (req, res) => {
+    try {
+        console.log('Received quote request');
+        const access = await authenticateRequest(req);
+        if (rejectRequest(res, access)) return;
+        
+        if (!req.body) {
+            return res.status(400).send({
+                error: 'Request body is required'
+            });
+        }
+        
+        const { statusCode, body, plan } = await runOptimizationOnce(req, res, access.client);
+        
+        res.status(statusCode).json(statusCode === 200 ? buildQuote(plan.fares, {
+            rule: plan.pricingRule,
+            unassigned: plan.unassigned,
+            rejected: plan.rejected
+        }) : body);
+    } catch (error) {
+        console.error('Error in quote function:', error);
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            details: error.details || 'No additional details available'
+        });
+    }
+};
+
+/**
+ * Cloud Run function handler comparing what-if scenarios of a request: its variants (fleet
+ * size, parameters such as the stop time, the route time limit or road traffic) and a sweep
+ * of fleet sizes, run with limited concurrency, with the smallest fleet serving every booking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const scenariosFunction = async (req, res) => {
+    try {
+        console.log('Received scenario comparison request');
+        const access = await authenticateRequest(req);
+        if (rejectRequest(res, access)) return;
+        
+        if (!req.body) {
+            return res.status(400).send({
+                error: 'Request body is required'
+            });
+        }
+        
+        const validationErrors = validateScenarioRequest(req.body);
+        
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid request',
+                validation_errors: validationErrors
+            });
+        }
+        
+        // Each scenario is charged as an optimization when it runs; those over the quota report the error
+        res.status(200).json(await runScenarios(req.body, {
+            run: (request) => runOptimization(request, { chargeUsage: chargeClient(access.client) })
+        }));
+    } catch (error) {
+        console.error('Error in scenario comparison function:', error);
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            details: error.details || 'No additional details available'
+        });
+    }
+};
+
+/**
+ * Cloud Run function handler for optimization jobs, for batches that take longer than the
+ * gateway timeout. Routes:
+ * - POST /: creates a job from an optimization request and returns its id right away
+ * - GET /:jobId: returns the job status, progress and, once finished, its result or error
+ * - POST /:jobId/cancel or DELETE /:jobId: cancels a job that has not finished
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const optimizationJobsFunction = async (req, res) => {
+    try {
+        const access = await authenticateRequest(req);
+        if (rejectRequest(res, access)) return;
+        
+        const [jobId, action] = (req.path || '/').split('/').filter(Boolean);
+        const notFound = () => res.status(404).json({ status: 'error', error: `Job ${jobId} not found` });
+        
+        if (!jobId && req.method === 'POST') {
+            console.log('Received optimization job request');
+            
+            if (!req.body) {
+                return res.status(400).send({
+                    error: 'Request body is required'
+                });
+            }
+            
+            const validationErrors = validateOptimizationRequest(req.body, { schema: jobRequestSchema });
+            
+            if (validationErrors.length > 0) {
+                return res.status(400).send({
+                    status: 'error',
+                    error: 'Invalid request',
+                    validation_errors: validationErrors
+                });
+            }
+            
+            if (req.body.callback_url !== undefined) {
+                const refusal = getCallbackSigningSecret() ?
+                    await checkCallbackUrl(req.body.callback_url) :
+                    'cannot be used: callbacks are signed, and CALLBACK_SIGNING_SECRET is not set';
+                
+                if (refusal) {
+                    return res.status(400).send({
+                        status: 'error',
+                        error: 'Invalid request',
+                        validation_errors: [{ path: '$.callback_url', message: refusal }]
+                    });
+                }
+            }
+            
+            const { callback_url: callbackUrl, ...request } = req.body;
+            const job = await createJob(request, { callbackUrl, clientId: access.client?.id ?? null });
+            
+            // The job keeps running after the response; its outcome is saved in the job store.
+            // It is charged when it reaches the solver, and fails with a 429 when over the quota.
+            const run = (jobRequest, hooks) => runOptimization(jobRequest, { ...hooks, chargeUsage: chargeClient(access.client) });
+            runJob(job.id, run).catch(error => console.error(`Error running job ${job.id}:`, error));
+            
+            return res.status(202).json(toJobView(job));
+        }
+        
+        // Jobs of other clients are reported as not found, so their ids are not disclosed
+        const findJob = async () => {
+            const job = await getJobStore().get(jobId);
+            return job && canAccessJob(job, access.client) ? job : null;
         };
         
-        // Send response
-        res.status(200).json(result);
+        if (jobId && !action && req.method === 'GET') {
+            const job = await findJob();
+            return job ? res.status(200).json(toJobView(job)) : notFound();
+        }
+        
+        if (jobId && ((action === 'cancel' && req.method === 'POST') || (!action && req.method === 'DELETE'))) {
+            if (!await findJob()) return notFound();
+            
+            const cancellation = await cancelJob(jobId);
+            if (!cancellation) return notFound();
+            
+            return cancellation.cancelled ?
+                res.status(200).json(toJobView(cancellation.job)) :
+                res.status(409).json({
+                    status: 'error',
+                    error: `Job ${jobId} already finished with status ${cancellation.job.status}`
+                });
+        }
+        
+        res.status(405).json({ status: 'error', error: `${req.method} ${req.path} is not supported` });
     } catch (error) {
-        console.error('Error in route optimization function:', error);
+        console.error('Error in optimization jobs function:', error);
         res.status(500).json({
             status: 'error',
             error: error.message,
@@ -167,6 +819,185 @@ export const optimizeRouteFunction = async (req, res) => {
     }
 };
 
+/**
+ * Cloud Run function handler re-optimizing a plan that is already in progress: completed and
+ * cancelled bookings are dropped, passengers on board stay in their vehicle, locked bookings
+ * keep their vehicle, and new bookings are inserted from each vehicle's current position
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const reoptimizeRouteFunction = async (req, res) => {
+    try {
+        console.log('Received re-optimization request');
+        const access = await authenticateRequest(req);
+        if (rejectRequest(res, access)) return;
+        
+        if (!req.body) {
+            return res.status(400).send({
+                error: 'Request body is required'
+            });
+        }
+        
+        const validationErrors = validateReoptimizationRequest(req.body);
+        
+        if (validationErrors.length > 0) {
+            return res.status(400).send({
+                status: 'error',
+                error: 'Invalid request',
+                validation_errors: validationErrors
+            });
+        }
+        
+        const { current_plan: currentPlan, cancelled_booking_ids: cancelledBookingIds = [] } = req.body;
+        const planState = getPlanState(currentPlan, cancelledBookingIds);
+        
+        // Only bookings that still have a pickup or a drop-off ahead are planned again
+        const pendingBookings = req.body.bookings.filter((booking, index) =>
+            isActiveBooking(planState, booking.job_id || `Booking ${index + 1}`)
+        );
+        
+        const { bookings: resolvableBookings, geocoded, rejected } = await geocodeBookings(pendingBookings);
+        
+        if (resolvableBookings.length === 0) {
+            return res.status(422).send({
+                status: 'error',
+                error: 'No pending bookings to plan',
+                rejected_bookings: rejected
+            });
+        }
+        
+        const transformed = transformRequestData({ ...req.body, bookings: resolvableBookings });
+        const { options, vehicleProfiles } = transformed;
+        const horizon = getPlanningHorizon(req.body.parameters);
+        const currentTime = parseShiftTime(req.body.parameters?.CURRENT_TIME, horizon) || new Date();
+        const { bookings, vehicles } = applyPlanState(
+            transformed,
+            planState,
+            req.body.vehicles.map(vehicle => vehicle.current_position || null),
+            currentTime,
+            horizon
+        );
+        
+        // Only requests that reach the solver are charged
+        if (rejectRequest(res, await consumeQuota(access.client, { shipments: bookings.length }))) return;
+        
+        const optimization = await optimizeRoute(bookings, vehicles, options);
+        const context = { bookings, vehicles, vehicleProfiles, options };
+        
+        // Changes are always computed on the original routes, which carry the booking of each visit
+        const { routes } = formatOptimizationResult(optimization, context);
+        
+        // Passengers on board left out of the plan have no drop-off: a dispatcher must step in
+        const strandedBookingIds = optimization.unassigned
+            .map(booking => String(booking.job_id))
+            .filter(bookingId => planState.get(bookingId)?.state === 'on_board');
+        
+        if (strandedBookingIds.length > 0) {
+            console.error(`Passengers on board left without a drop-off: ${strandedBookingIds.join(', ')}`);
+        }
+        
+        res.status(200).json({
+            ...formatResponseBody(optimization, context, { geocoded, rejected }),
+            changes: diffPlans(currentPlan, routes),
+            stranded_booking_ids: strandedBookingIds
+        });
+    } catch (error) {
+        console.error('Error in route re-optimization function:', error);
+        res.status(500).json({
+            status: 'error',
+            error: error.message,
+            details: error.details || 'No additional details available'
+        });
+    }
+};
+
+/**
+ * Admin Cloud Run function handler listing the named locations bookings and vehicles can use
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listLocationsFunction = async (req, res) => {
+    try {
+        if (rejectRequest(res, await authenticateRequest(req))) return;
+        
+        res.status(200).json({
+            status: 'success',
+            locations: getLocationRegistry().list()
+        });
+    } catch (error) {
+        console.error('Error listing locations:', error);
+        res.status(500).json({
+            status: 'error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Cloud Run function handler reporting the usage of API clients per day and cost center, for
+ * billing. Clients see their own usage; admin clients see every client or the one in `client_id`.
+ * The `from` and `to` query parameters (YYYY-MM-DD) default to the current month.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const usageFunction = async (req, res) => {
+    try {
+        const access = await authenticateRequest(req);
+        if (rejectRequest(res, access)) return;
+
+        const today = getUsageDay();
+        const { from = `${today.slice(0, 8)}01`, to = today, client_id: clientId } = req.query || {};
+
+        if (!isUsageDay(from) || !isUsageDay(to) || from > to) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'from and to must be dates (YYYY-MM-DD), from not after to'
+            });
+        }
+
+        const { client } = access;
+        if (client && !client.admin && clientId && clientId !== client.id) {
+            return res.status(403).json({
+                status: 'error',
+                error: 'Only admin clients can see the usage of other clients'
+            });
+        }
+
+        const visibleId = client && !client.admin ? client.id : clientId;
+        const clients = getClientRegistry().list().filter(entry => !visibleId || entry.id === visibleId);
+
+        if (visibleId && clients.length === 0) {
+            return res.status(404).json({ status: 'error', error: `Client ${visibleId} not found` });
+        }
+
+        res.status(200).json(buildUsageReport(await getUsageStore().list({ from, to }), clients, { from, to }));
+    } catch (error) {
+        console.error('Error reporting usage:', error);
+        res.status(500).json({
+            status: 'error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Cloud Run function handler returning the OpenAPI description of the API, with the
+ * request schemas and the response model (RESPONSE_VERSION = 2)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const openApiFunction = async (req, res) => {
+    try {
+        res.status(200).json(buildOpenAPIDocument());
+    } catch (error) {
+        console.error('Error building the OpenAPI document:', error);
+        res.status(500).json({
+            status: 'error',
+            error: error.message
+        });
+    }
+};
+
 // Local testing entry point that simulates a Cloud Run request
 export const localTest = async () => {
     // Sample request for testing
@@ -217,6 +1048,7 @@ export const localTest = async () => {
     
     // Mock response object
     const mockResponse = {
+        set: (name, value) => console.log('Header:', name, value),
         status: (code) => ({
             send: (data) => console.log('Response:', code, data),
             json: (data) => console.log('Response:', code, JSON.stringify(data, null, 2))
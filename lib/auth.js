@@ -0,0 +1,195 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { AUTH_CONFIG } from '../config.js';
+import { getClientRegistry, isAuthRequired } from './clients.js';
+import { getSecondsUntilNextDay, getUsageDay, getUsageStore } from './usage.js';
+
+/**
+ * Builds the rejection of a request that could not be authenticated
+ * @param {string} message - Why the request was rejected
+ * @returns {Object} Access check result with a 401 error
+ */
+const unauthorized = (message) => ({
+    headers: { 'WWW-Authenticate': 'ApiKey header="X-API-Key"' },
+    error: { statusCode: 401, body: { status: 'error', error: message } }
+});
+
+/**
+ * Builds the rejection of a request over a limit
+ * @param {string} message - Which limit was exceeded
+ * @param {number} retryAfterSeconds - Time until the limit resets
+ * @returns {Object} Access check result with a 429 error
+ */
+const tooManyRequests = (message, retryAfterSeconds) => ({
+    headers: { 'Retry-After': String(retryAfterSeconds) },
+    error: { statusCode: 429, body: { status: 'error', error: message, retry_after_seconds: retryAfterSeconds } }
+});
+
+/**
+ * Signs a request the way clients with an HMAC secret must: HMAC-SHA256 of the timestamp,
+ * the method, the request path with its query string and the raw request body, each but the
+ * body followed by a dot, so a signature cannot be replayed against another endpoint
+ * @param {string} secret - Client HMAC secret
+ * @param {Object} request - Signed parts of the request
+ * @param {string|number} request.timestamp - Unix time in seconds, also sent in X-Signature-Timestamp
+ * @param {string} request.method - HTTP method (e.g. POST)
+ * @param {string} request.path - Path and query string as sent (e.g. /v1/usage?from=2024-05-01)
+ * @param {Buffer|string} request.body - Raw request body, empty for requests without one
+ * @returns {string} Signature in hexadecimal
+ */
+export const signRequest = (secret, { timestamp, method, path, body = '' }) => {
+    return createHmac('sha256', secret)
+        .update(`${timestamp}.${String(method).toUpperCase()}.${path}.`)
+        .update(body)
+        .digest('hex');
+};
+
+/**
+ * Gets the body a request was signed with: the raw body kept by Cloud Run functions and
+ * server.js, or else the parsed body as JSON
+ * @param {Object} req - Express request object
+ * @returns {Buffer|string} Signed body
+ */
+const getSignedBody = (req) => {
+    if (req.rawBody !== undefined) return req.rawBody;
+
+    const hasBody = req.body && (typeof req.body !== 'object' || Object.keys(req.body).length > 0);
+    return hasBody ? JSON.stringify(req.body) : '';
+};
+
+/**
+ * Checks the X-Signature header of a request against the client secret, in constant time
+ * @param {Object} req - Express request object
+ * @param {Object} client - Client entry with its HMAC secret
+ * @param {string} timestamp - Signature timestamp
+ * @returns {boolean} True when the signature matches
+ */
+const isValidSignature = (req, client, timestamp) => {
+    const signature = String(req.headers['x-signature']).replace(/^sha256=/i, '').toLowerCase();
+    const expected = signRequest(client.hmacSecret, {
+        timestamp,
+        method: req.method || 'POST',
+        path: req.originalUrl || req.url || '/',
+        body: getSignedBody(req)
+    });
+
+    return signature.length === expected.length && timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+/**
+ * Finds the client of a request from its API key (X-API-Key or Authorization: Bearer) or its
+ * HMAC signature (X-Client-Id, X-Signature-Timestamp and X-Signature)
+ * @param {Object} req - Express request object
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} The client ({ client }), or a 401 error
+ */
+const identifyClient = (req, now) => {
+    const registry = getClientRegistry();
+    const headers = req.headers || {};
+    const apiKey = headers['x-api-key'] || headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+
+    if (apiKey) {
+        const client = registry.findByApiKey(apiKey.trim());
+        return client ? { client } : unauthorized('Invalid API key');
+    }
+
+    if (headers['x-signature']) {
+        const client = headers['x-client-id'] ? registry.get(headers['x-client-id']) : null;
+        const timestamp = headers['x-signature-timestamp'];
+
+        if (!client?.hmacSecret) {
+            return unauthorized('Unknown client or client without an HMAC secret');
+        }
+        if (!/^\d+$/.test(timestamp || '') || Math.abs(now / 1000 - Number(timestamp)) > AUTH_CONFIG.maxClockSkewInSeconds) {
+            return unauthorized(`X-Signature-Timestamp must be the current Unix time, within ${AUTH_CONFIG.maxClockSkewInSeconds} seconds`);
+        }
+        return isValidSignature(req, client, timestamp) ? { client } : unauthorized('Invalid request signature');
+    }
+
+    return unauthorized('Authentication required: send an API key in X-API-Key or sign the request');
+};
+
+// Requests of each client in the current minute. Kept by each instance, so with several
+// instances a client can reach the limit on each of them.
+const rateWindows = new Map();
+
+/**
+ * Counts a request against the per-minute rate limit of its client
+ * @param {Object} client - Client entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Rate limit headers, and a 429 error when over the limit
+ */
+const takeRateLimitSlot = (client, now) => {
+    const limit = client.limits.rate_limit_per_minute;
+    if (limit === null) return { headers: {} };
+
+    const windowStart = Math.floor(now / 60000) * 60000;
+    const window = rateWindows.get(client.id);
+    const count = window?.start === windowStart ? window.count : 0;
+
+    if (count >= limit) {
+        return tooManyRequests(
+            `Rate limit of ${limit} requests per minute exceeded`,
+            Math.ceil((windowStart + 60000 - now) / 1000)
+        );
+    }
+
+    rateWindows.set(client.id, { start: windowStart, count: count + 1 });
+    return { headers: { 'X-RateLimit-Limit': String(limit), 'X-RateLimit-Remaining': String(limit - count - 1) } };
+};
+
+/**
+ * Authenticates a request and counts it against the rate limit of its client. Without
+ * configured clients (and AUTH_REQUIRED unset) every request is accepted without a client.
+ * @param {Object} req - Express request object
+ * @param {Object} options - Check options
+ * @param {number} options.now - Current time in milliseconds (defaults to now)
+ * @returns {Promise<Object>} Access check ({ client, headers }), with an error (401 or 429) when rejected
+ */
+export const authenticateRequest = async (req, { now = Date.now() } = {}) => {
+    if (!isAuthRequired()) return { client: null, headers: {} };
+
+    const identification = identifyClient(req, now);
+    if (identification.error) return identification;
+
+    const { client } = identification;
+    const rateLimit = takeRateLimitSlot(client, now);
+
+    await getUsageStore().increment(client.id, getUsageDay(new Date(now)), {
+        requests: 1,
+        rejected_requests: rateLimit.error ? 1 : 0
+    });
+
+    return { client, ...rateLimit };
+};
+
+/**
+ * Counts the optimizations and shipments of a request against the daily quotas of its client.
+ * Requests over a quota are not counted, so the client can still send smaller ones.
+ * @param {Object} client - Client from authenticateRequest, null when authentication is disabled
+ * @param {Object} usage - What the request spends
+ * @param {number} usage.optimizations - Plans requested
+ * @param {number} usage.shipments - Bookings over all the plans
+ * @param {Object} options - Check options
+ * @param {number} options.now - Current time in milliseconds (defaults to now)
+ * @returns {Promise<Object>} Access check ({ headers }), with a 429 error when over a quota
+ */
+export const consumeQuota = async (client, { optimizations = 1, shipments = 0 } = {}, { now = Date.now() } = {}) => {
+    if (!client) return { headers: {} };
+
+    const store = getUsageStore();
+    const day = getUsageDay(new Date(now));
+    const usage = await store.increment(client.id, day, { optimizations, shipments });
+    const { daily_max_optimizations: maxOptimizations, daily_max_shipments: maxShipments } = client.limits;
+
+    let exceeded = null;
+    if (maxOptimizations !== null && usage.optimizations > maxOptimizations) {
+        exceeded = `Daily quota of ${maxOptimizations} optimizations exceeded`;
+    } else if (maxShipments !== null && usage.shipments > maxShipments) {
+        exceeded = `Daily quota of ${maxShipments} shipments exceeded`;
+    }
+
+    if (!exceeded) return { headers: {} };
+
+    await store.increment(client.id, day, { optimizations: -optimizations, shipments: -shipments, rejected_requests: 1 });
+    return tooManyRequests(exceeded, getSecondsUntilNextDay(new Date(now)));
+};
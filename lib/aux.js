@@ -1,4 +1,14 @@
-import { BOOKING_TOKEN, MAX_ROUTE_TIME_IN_MINUTES, VEHICLE_CAPACITY } from '../config.js';
+import {
+    BOOKING_TOKEN,
+    DEFAULT_LEGACY_FORMAT_VERSION,
+    DEFAULT_TIMEZONE,
+    LEGACY_FORMAT_VERSIONS,
+    MAX_ROUTE_TIME_IN_MINUTES
+} from '../config.js';
+import { getRideDetail } from './rideLimits.js';
+import { buildRouteTimeline, getStartLoads } from './timeline.js';
+import { getTimeWindowStatus } from './timeWindows.js';
+import { formatLocalDateTime } from './utils.js';
 
 /**
  * Extracts booking ID from a shipment label
@@ -25,9 +35,11 @@ export const getReferenceBooking = (bookings, visit) => {
         throw new Error(`No booking found with label: ${visit.shipmentLabel}`);
     }
 
+    // Bookings already on board when re-optimizing have no pickup, so their origin is unknown
+    const pickupLocation = ref_booking.pickups[0]?.arrivalLocation;
     const ref_booking_origin_coordinates = {
-        latitude: ref_booking.pickups[0].arrivalLocation.latitude,
-        longitude: ref_booking.pickups[0].arrivalLocation.longitude
+        latitude: pickupLocation?.latitude ?? null,
+        longitude: pickupLocation?.longitude ?? null
     };
     const ref_booking_destination_coordinates = {
         latitude: ref_booking.deliveries[0].arrivalLocation.latitude,
@@ -42,102 +54,76 @@ export const getReferenceBooking = (bookings, visit) => {
 };
 
 /**
- * Calculate cumulative distances for each visit
- * @param {Array} dropoff_visits - Array of visits (dropoffs)
- * @param {Array} transitions - Array of transitions between visits
- * @returns {Object} Object with booking IDs as keys and distance information as values
+ * Gets the arrival, service start and departure times of a visit
+ * @param {Object} route - Route object containing visits and transitions
+ * @param {number} visitIndex - Index of the visit in the route
+ * @param {Object} visitRequest - Pickup or delivery request of the visit
+ * @returns {Object} Object with arrival, start and departure times in epoch seconds
  */
-export const getCumulativeDistances = (dropoff_visits, transitions) => {
-    let cumulativeDistance = 0;
-    const distancesByVisit = {};
-
-    dropoff_visits.forEach((visit, index) => {
-        // Find transition that matches its start time + total duration with the Visit start time
-        const matchingTransitions = transitions.filter(t => 
-            parseInt(t.startTime.seconds) + parseInt(t.totalDuration.seconds) === parseInt(visit.startTime.seconds)
-        );
-        const transition = matchingTransitions[0];
-
-        // Calculate cumulative distance
-        if (transition) {
-            cumulativeDistance += transition.travelDistanceMeters;
-            distancesByVisit[getBookingIDFromShipment(visit)] = {
-                visitIndex: index,
-                distanceMeters: cumulativeDistance
-            };
-        }
-    });
-
-    return distancesByVisit;
-};
+export const getVisitTimes = (route, visitIndex, visitRequest) => {
+    const start = parseInt(route.visits[visitIndex].startTime.seconds);
+    const waitSeconds = parseInt(route.transitions?.[visitIndex]?.waitDuration?.seconds || 0);
 
-/**
- * Calculates travel time for a visit in minutes
- * @param {Object} visit - Visit object
- * @returns {number} Travel time in minutes or -1 if visit is not valid
- */
-export const getVisitTravelTime = (visit) => {
-    if (!visit) return -1;
-    return Math.round(parseInt(visit.startTime.seconds) / 60);
+    return {
+        arrival: start - waitSeconds,
+        start: start,
+        departure: start + parseInt(visitRequest?.duration?.seconds || 0)
+    };
 };
 
 /**
- * Calculates total passengers along a route
+ * Calculates total passengers carried along a route: the passengers of every booking it
+ * drops off, including the ones already on board when it starts
+ * @param {Array} bookings - Array of booking objects (shipments)
  * @param {Object} route - Route object containing visits
  * @returns {number} Total number of passengers
  */
-export const getPassengersAlongRoute = (route) => {
+export const getPassengersAlongRoute = (bookings, route) => {
     if ((!route || !route.visits)) return 0;
 
-    // Sum only positive passenger loads (pickups not dropoffs)
-    const totalPassengers = route.visits
-        .map(visit => parseInt(visit.loadDemands.passengers.amount))
-        .filter(count => count > 0)
-        .reduce((sum, count) => sum + count, 0);
-
-    return totalPassengers;
+    return route.visits
+        .filter(visit => !visit.isPickup)
+        .reduce((sum, visit) => sum + getBookingPassengers(bookings[visit.shipmentIndex || 0]), 0);
 };
 
 /**
  * Gets passenger count for a visit
- * @param {Object} visit - Visit object 
+ * @param {Object} booking - Booking object (shipment) of the visit
  * @param {boolean} pickup - Whether this is a pickup (true) or dropoff (false)
  * @returns {number} Positive count for pickup, negative for dropoff
  */
-export const getPassengersVisit = (visit, pickup) => {
-    return visit.loadDemands.passengers.amount * (pickup ? 1 : -1);
+export const getPassengersVisit = (booking, pickup) => {
+    return getBookingPassengers(booking) * (pickup ? 1 : -1);
 };
 
 /**
- * Creates detailed visit information for all routes
+ * Creates detailed visit information for all routes, from the timeline of each route
  * @param {Array} bookings - Array of booking objects 
  * @param {Array} routes - Array of route objects
  * @param {boolean} pickup - Whether to include pickup visits (true) or dropoff visits (false)
+ * @param {string} timeZone - Time zone of the reported local times
+ * @param {Array} fares - Fare of each booking by shipment index, from priceRoutes (optional)
  * @returns {Array} Array of route objects with detailed visit information
  */
-export const getVisitsDetail = (bookings, routes, pickup = false) => {
+export const getVisitsDetail = (bookings, routes, pickup = false, timeZone = DEFAULT_TIMEZONE, fares = []) => {
     return routes.map((route, index) => {
         // Filter for pickup or dropoff visits based on parameter
-        const pickup_visits = route.visits.filter(v => v.isPickup);
-        const dropoff_visits = route.visits.filter(v => !v.isPickup);
-        const _visits = pickup ? pickup_visits : dropoff_visits;
-        const cumulativeDistances = getCumulativeDistances(dropoff_visits, route.transitions);
+        const timeline = buildRouteTimeline(bookings, route).filter(({ visit }) => Boolean(visit.isPickup) === pickup);
 
         return {
             vehicle: route.vehicleLabel,
-            visits: _visits.map((visit, visit_index) => {
+            visits: timeline.map((entry, visit_index) => {
+                const { visit, visitRequest } = entry;
                 const { 
+                    ref_booking,
                     ref_booking_origin_coordinates, 
                     ref_booking_destination_coordinates 
                 } = getReferenceBooking(bookings, visit);
-                
-                const bookingId = getBookingIDFromShipment(visit);
-                const cumulativeDistance = cumulativeDistances[bookingId];
 
                 return {
                     route_number: index + 1,
                     visit_index: visit_index,
-                    booking_id: bookingId,
+                    booking_id: getBookingIDFromShipment(visit),
                     origin: {
                         lat: ref_booking_origin_coordinates.latitude,
                         lng: ref_booking_origin_coordinates.longitude
@@ -146,9 +132,17 @@ export const getVisitsDetail = (bookings, routes, pickup = false) => {
                         lat: ref_booking_destination_coordinates.latitude,
                         lng: ref_booking_destination_coordinates.longitude,
                     },
-                    distance: cumulativeDistance?.distanceMeters || 0,
-                    travel_time: getVisitTravelTime(visit),
-                    pax_count: getPassengersVisit(visit, pickup)
+                    // Distances in meters and times in minutes since the route started
+                    distance: entry.cumulativeDistanceMeters,
+                    leg_distance: entry.legDistanceMeters,
+                    travel_time: Math.round(entry.elapsedSeconds / 60),
+                    wait_time: Math.round(entry.waitSeconds / 60),
+                    arrival_time_local: formatLocalDateTime(new Date(entry.arrival * 1000), timeZone),
+                    pax_count: getPassengersVisit(entry.booking, pickup),
+                    passengers_on_board: entry.passengersOnBoard,
+                    time_window: getTimeWindowStatus(visitRequest.timeWindows, visit.startTime, timeZone),
+                    ride: getRideDetail(route, ref_booking),
+                    fare: fares[visit.shipmentIndex || 0] ?? null
                 };
             }),
             polyline: route.routePolyline ? route.routePolyline.points : null,
@@ -156,29 +150,173 @@ export const getVisitsDetail = (bookings, routes, pickup = false) => {
     });
 };
 
+// Descriptions of the reasons the solver gives for skipping a shipment
+const SKIP_REASON_DESCRIPTIONS = {
+    NO_VEHICLE: 'There are no vehicles in the model',
+    DEMAND_EXCEEDS_VEHICLE_CAPACITY: 'The passengers exceed the capacity of the vehicles',
+    CANNOT_BE_PERFORMED_WITHIN_VEHICLE_DISTANCE_LIMIT: 'The trip exceeds the route distance limit',
+    CANNOT_BE_PERFORMED_WITHIN_VEHICLE_DURATION_LIMIT: 'The trip exceeds the maximum route time',
+    CANNOT_BE_PERFORMED_WITHIN_VEHICLE_TRAVEL_DURATION_LIMIT: 'The trip exceeds the route travel time limit',
+    CANNOT_BE_PERFORMED_WITHIN_VEHICLE_TIME_WINDOWS: 'The trip does not fit the booking time windows or the vehicle shifts',
+    VEHICLE_NOT_ALLOWED: 'No vehicle is allowed to serve the booking',
+    CANNOT_BE_PERFORMED_WITHIN_PICKUP_TO_DELIVERY_LIMITS: 'The ride would exceed the booking ride time or detour limits',
+    NO_REASON_SPECIFIED: 'The solver did not give a reason'
+};
+
+/**
+ * Gets the passenger count of a booking
+ * @param {Object} booking - Booking object (shipment)
+ * @returns {number} Number of passengers
+ */
+const getBookingPassengers = (booking) => {
+    return parseInt(booking?.loadDemands?.passengers?.amount) || 0;
+};
+
+/**
+ * Lists the bookings the solver could not assign to any vehicle, with the violated constraints
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Object} response - Optimization API response
+ * @returns {Array} Array of unassigned bookings with their pax count and reasons
+ */
+export const getUnassignedBookings = (bookings, response) => {
+    return (response.skippedShipments || []).map(skipped => {
+        const booking = bookings[skipped.index || 0];
+
+        return {
+            job_id: skipped.label || booking?.label,
+            pax_count: getBookingPassengers(booking),
+            reasons: (skipped.reasons || []).map(reason => {
+                const code = reason.code || 'NO_REASON_SPECIFIED';
+                const exampleVehicle = reason.exampleVehicleIndex !== undefined ?
+                    response.routes?.[reason.exampleVehicleIndex]?.vehicleLabel : undefined;
+
+                return {
+                    code: code,
+                    description: SKIP_REASON_DESCRIPTIONS[code] || code,
+                    ...(exampleVehicle && { example_vehicle: exampleVehicle }),
+                    ...(reason.exampleExceededCapacityType && { exceeded_capacity_type: reason.exampleExceededCapacityType })
+                };
+            })
+        };
+    });
+};
+
+/**
+ * Gets the highest load of each type carried at once along a route
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Object} route - Route object containing visits
+ * @returns {Object} Object with load types as keys and peak amounts as values
+ */
+export const getPeakLoads = (bookings, route) => {
+    const startLoads = getStartLoads(bookings, route);
+    const timeline = buildRouteTimeline(bookings, route);
+
+    return {
+        passengers: Math.max(startLoads.passengers, ...timeline.map(entry => entry.passengersOnBoard)),
+        luggage: Math.max(startLoads.luggage, ...timeline.map(entry => entry.luggageOnBoard))
+    };
+};
+
+/**
+ * Gets the capacity of a vehicle for a load type
+ * @param {Object} vehicle - Vehicle object with loadLimits
+ * @param {string} type - Load type (passengers or luggage)
+ * @returns {number|null} Capacity, or null when the vehicle has no limit for the type
+ */
+const getVehicleCapacity = (vehicle, type) => {
+    const maxLoad = vehicle?.loadLimits?.[type]?.maxLoad;
+    return maxLoad !== undefined ? parseInt(maxLoad) : null;
+};
+
+/**
+ * Computes the percentage of a capacity used by a load
+ * @param {number} load - Load carried
+ * @param {number} capacity - Capacity available
+ * @returns {number|null} Utilization percentage, or null without a capacity
+ */
+const getUtilization = (load, capacity) => {
+    return capacity ? Math.round(load / capacity * 100) : null;
+};
+
+/**
+ * Builds the load profile of a route: the load on board when it starts and after every
+ * stop, the peak load and its utilization of the vehicle capacity (its loadLimits)
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Object} route - Route object containing visits
+ * @param {Object} vehicle - Vehicle object with loadLimits
+ * @returns {Object} Capacity, start load, load after each stop, peak load and utilization
+ */
+export const getLoadProfile = (bookings, route, vehicle) => {
+    const capacity = {
+        passengers: getVehicleCapacity(vehicle, 'passengers'),
+        luggage: getVehicleCapacity(vehicle, 'luggage')
+    };
+    const peakLoads = getPeakLoads(bookings, route);
+
+    return {
+        capacity,
+        start_load: getStartLoads(bookings, route),
+        stops: buildRouteTimeline(bookings, route).map(entry => ({
+            sequence: entry.visitIndex + 1,
+            booking_id: entry.booking?.label,
+            stop_type: entry.visit.isPickup ? 'pickup' : 'delivery',
+            passengers_on_board: entry.passengersOnBoard,
+            luggage_on_board: entry.luggageOnBoard
+        })),
+        peak_load: peakLoads,
+        utilization_percent: {
+            passengers: getUtilization(peakLoads.passengers, capacity.passengers),
+            luggage: getUtilization(peakLoads.luggage, capacity.luggage)
+        }
+    };
+};
+
 /**
  * Builds a summary of the optimization results
  * @param {Object} response - Optimization API response
+ * @param {Array} bookings - Array of booking objects (shipments), used to count passengers
+ * @param {Array} vehicles - Array of vehicle objects, used to report capacities
  * @returns {Object} Summary object with route statistics
  */
-export const buildOptimizationSummary = (response) => {
+export const buildOptimizationSummary = (response, bookings = [], vehicles = []) => {
     const output = {};
     const routes = response.routes;
+    const unassigned = getUnassignedBookings(bookings, response);
+    const totalPassengers = bookings.reduce((sum, booking) => sum + getBookingPassengers(booking), 0);
+    const unassignedPassengers = unassigned.reduce((sum, booking) => sum + booking.pax_count, 0);
 
     output.total_routes = routes.length;
+    output.total_bookings = bookings.length;
+    output.assigned_bookings = bookings.length - unassigned.length;
+    output.unassigned_bookings = unassigned.length;
+    output.assigned_passengers = totalPassengers - unassignedPassengers;
+    output.unassigned_passengers = unassignedPassengers;
     output.routes = [];
     
     routes.forEach((route, index) => {
         if (!route.metrics) return;
 
+        const loadProfile = getLoadProfile(bookings, route, vehicles[route.vehicleIndex || 0]);
+
         output.routes.push({
             route_number: index + 1,
             total_stops: route.visits.filter(v => !v.isPickup).length,
             total_pickups: route.visits.filter(v => v.isPickup).length,
             total_dropoffs: route.visits.filter(v => !v.isPickup).length,
             vehicle_label: route.vehicleLabel,
-            total_passengers: getPassengersAlongRoute(route),
-            vehicle_capacity: VEHICLE_CAPACITY,
+            total_passengers: getPassengersAlongRoute(bookings, route),
+            vehicle_capacity: loadProfile.capacity.passengers,
+            luggage_capacity: loadProfile.capacity.luggage,
+            max_passengers_on_board: loadProfile.peak_load.passengers,
+            max_luggage_on_board: loadProfile.peak_load.luggage,
+            seat_utilization_percent: loadProfile.utilization_percent.passengers,
+            luggage_utilization_percent: loadProfile.utilization_percent.luggage,
+            // Passengers and luggage on board when the route starts and after each stop
+            load_profile: {
+                start_load: loadProfile.start_load,
+                stops: loadProfile.stops
+            },
+            total_cost: route.routeTotalCost || 0,
             stats: {
                 total_travel_time_minutes: (parseInt(route.metrics.travelDuration.seconds) / 60).toFixed(2),
                 total_stops_time_minutes: (parseInt(route.metrics.visitDuration.seconds) / 60).toFixed(2),
@@ -199,6 +337,8 @@ export const buildOptimizationSummary = (response) => {
 export const printOptimizationSummary = (output) => {
     console.log(`-`.repeat(50));
     console.log(`# Total de Rutas: ${output.total_routes}`);
+    console.log(`# Reservas asignadas: ${output.assigned_bookings} (${output.assigned_passengers} pasajeros)`);
+    console.log(`# Reservas sin asignar: ${output.unassigned_bookings} (${output.unassigned_passengers} pasajeros)`);
     console.log(`-`.repeat(50));
 
     output.routes.forEach((route) => {
@@ -206,7 +346,8 @@ export const printOptimizationSummary = (output) => {
         console.log(`--------------- RESUMEN RUTA ${route.route_number} ---------------`);
         console.log(`Total de Paradas        : ${route.total_stops}`);
         console.log(`# de Vehículo           : ${route.vehicle_label}`);
-        console.log(`Total de Pasajeros      : ${route.total_passengers} / ${route.vehicle_capacity}`);
+        console.log(`Total de Pasajeros      : ${route.total_passengers} / ${route.vehicle_capacity ?? '-'}`);
+        console.log(`Ocupación máxima        : ${route.seat_utilization_percent}% asientos, ${route.luggage_utilization_percent ?? '-'}% maletas`);
         console.log(`Tiempo total de Viaje   : ${route.stats.total_travel_time_minutes} minutos`);
         console.log(`Tiempo total de Parada  : ${route.stats.total_stops_time_minutes} minutos`);
         console.log(`Tiempo total de Ruta    : ${route.stats.total_route_time_minutes} minutos / ${route.stats.max_route_time_minutes}`);
@@ -216,59 +357,156 @@ export const printOptimizationSummary = (output) => {
 };
 
 /**
- * Creates a response object in the format expected by the API
+ * Splits the visits of a route into trips. A trip starts with a pickup made after a
+ * drop-off, e.g. when the vehicle returns to the airport for a second run.
+ * @param {Object} route - Route object containing visits
+ * @returns {Array} Array of trips, each an array of { visit, visitIndex } in route order
+ */
+export const splitRouteIntoTrips = (route) => {
+    const trips = [];
+
+    route.visits.forEach((visit, visitIndex) => {
+        const previousVisit = route.visits[visitIndex - 1];
+
+        if (trips.length === 0 || (visit.isPickup && previousVisit && !previousVisit.isPickup)) {
+            trips.push([]);
+        }
+        trips[trips.length - 1].push({ visit, visitIndex });
+    });
+
+    return trips;
+};
+
+/**
+ * Gets the distance in meters and the minutes driven since a trip started, measured from
+ * the service start of its first visit
+ * @param {Array} tripTimeline - Timeline entries of the trip's visits
+ * @param {Object} entry - Timeline entry of a visit of the trip
+ * @returns {Object} Object with the distance and travel time of the legacy elements
+ */
+const getTripProgress = (tripTimeline, entry) => {
+    const tripStart = tripTimeline[0];
+
+    return {
+        distancia: entry.cumulativeDistanceMeters - tripStart.cumulativeDistanceMeters,
+        tiempo_viaje: Math.round((entry.arrival - tripStart.start) / 60)
+    };
+};
+
+/**
+ * Builds the version 1 elements of a trip: a start element (position -1) followed by the drop-offs
+ * @param {Array} bookings - Array of booking objects
+ * @param {Array} tripTimeline - Timeline entries of the trip's visits, from buildRouteTimeline
+ * @param {number} routeNumber - Route number (1-based)
+ * @param {number} tripNumber - Trip number across the whole plan (1-based)
+ * @returns {Array} Legacy response elements
+ */
+const buildLegacyTripElementsV1 = (bookings, tripTimeline, routeNumber, tripNumber) => {
+    // Create start element (position -1) for each trip
+    const startElement = {
+        num_ruta: routeNumber,
+        num_viaje: tripNumber,
+        posicion_en_ruta: -1,
+        cod_cliente: 0,
+        lat: 0,
+        lng: 0,
+        distancia: 0,
+        tiempo_viaje: 0
+    };
+
+    const dropoffs = tripTimeline.filter(({ visit }) => !visit.isPickup);
+
+    // Update start element based on first visit
+    if (dropoffs.length > 0) {
+        const { ref_booking_origin_coordinates } = getReferenceBooking(bookings, dropoffs[0].visit);
+        startElement.lat = ref_booking_origin_coordinates.latitude;
+        startElement.lng = ref_booking_origin_coordinates.longitude;
+    }
+
+    // Create response array with visit details
+    const visitDetails = dropoffs.map((entry, visit_index) => {
+        const { ref_booking_destination_coordinates } = getReferenceBooking(bookings, entry.visit);
+
+        return {
+            num_ruta: routeNumber,
+            num_viaje: tripNumber,
+            posicion_en_ruta: visit_index,
+            cod_cliente: getBookingIDFromShipment(entry.visit),
+            lat: ref_booking_destination_coordinates.latitude,
+            lng: ref_booking_destination_coordinates.longitude,
+            ...getTripProgress(tripTimeline, entry)
+        };
+    });
+
+    return [startElement, ...visitDetails];
+};
+
+/**
+ * Builds the version 2 elements of a trip: every pickup and drop-off in order, with the
+ * vehicle label, the distance and minutes since the trip started and the ETA
+ * @param {Array} bookings - Array of booking objects
+ * @param {Object} route - Route object, for its vehicle label
+ * @param {Array} tripTimeline - Timeline entries of the trip's visits, from buildRouteTimeline
+ * @param {number} routeNumber - Route number (1-based)
+ * @param {number} tripNumber - Trip number across the whole plan (1-based)
+ * @param {string} timeZone - Time zone of the ETA timestamps
+ * @returns {Array} Legacy response elements
+ */
+const buildLegacyTripElementsV2 = (bookings, route, tripTimeline, routeNumber, tripNumber, timeZone) => {
+    return tripTimeline.map((entry, position) => {
+        const { visit } = entry;
+        const { ref_booking_origin_coordinates, ref_booking_destination_coordinates } = getReferenceBooking(bookings, visit);
+        const coordinates = visit.isPickup ? ref_booking_origin_coordinates : ref_booking_destination_coordinates;
+
+        return {
+            num_ruta: routeNumber,
+            num_viaje: tripNumber,
+            vehiculo: route.vehicleLabel,
+            posicion_en_ruta: position,
+            tipo: visit.isPickup ? 'recogida' : 'entrega',
+            cod_cliente: getBookingIDFromShipment(visit),
+            pasajeros: entry.passengers,
+            lat: coordinates.latitude,
+            lng: coordinates.longitude,
+            ...getTripProgress(tripTimeline, entry),
+            hora_llegada: formatLocalDateTime(new Date(entry.arrival * 1000), timeZone),
+            hora_salida: formatLocalDateTime(new Date(entry.departure * 1000), timeZone)
+        };
+    });
+};
+
+/**
+ * Creates a response object in the legacy format expected by the API, with one group
+ * of elements per trip of every route
  * @param {Array} bookings - Array of booking objects
  * @param {Array} routes - Array of route objects
+ * @param {Object} options - Output options
+ * @param {number} options.version - Format version (see LEGACY_FORMAT_VERSIONS)
+ * @param {string} options.timeZone - Time zone of the version 2 ETA timestamps
  * @returns {Object} API response object
  */
-export const createVisitsAPIResponse = (bookings, routes) => {
-    let results = { status: 'Ok' };
+export const createVisitsAPIResponse = (bookings, routes, { version = DEFAULT_LEGACY_FORMAT_VERSION, timeZone = DEFAULT_TIMEZONE } = {}) => {
+    if (!LEGACY_FORMAT_VERSIONS.includes(version)) {
+        throw new Error(`Unsupported legacy format version: ${version}`);
+    }
+
+    const results = { status: 'Ok', ...(version > 1 && { version }), responde: [] };
+    let tripNumber = 0;
 
     routes.forEach((route, index) => {
-        // Create start element (position -1) for each route
-        const startElement = {
-            num_ruta: index + 1,
-            num_viaje: index + 1,
-            posicion_en_ruta: -1,
-            cod_cliente: 0,
-            lat: 0,
-            lng: 0,
-            distancia: 0,
-            tiempo_viaje: 0
-        };
+        const timeline = buildRouteTimeline(bookings, route);
 
-        // Get dropoff visits and calculate distances
-        const dropoff_visits = route.visits.filter(v => !v.isPickup);
-        const cumulativeDistances = getCumulativeDistances(dropoff_visits, route.transitions);
+        splitRouteIntoTrips(route).forEach(trip => {
+            tripNumber += 1;
 
-        // Update start element based on first visit
-        if (dropoff_visits.length > 0) {
-            const firstVisit = dropoff_visits[0];
-            const { ref_booking_origin_coordinates } = getReferenceBooking(bookings, firstVisit);
-            startElement.lat = ref_booking_origin_coordinates.latitude;
-            startElement.lng = ref_booking_origin_coordinates.longitude;
-        }
+            const tripTimeline = trip.map(({ visitIndex }) => timeline[visitIndex]);
+            const elements = version === 1 ?
+                buildLegacyTripElementsV1(bookings, tripTimeline, index + 1, tripNumber) :
+                buildLegacyTripElementsV2(bookings, route, tripTimeline, index + 1, tripNumber, timeZone);
 
-        // Create response array with visit details
-        const visitDetails = dropoff_visits.map((visit, visit_index) => {
-            const { ref_booking_destination_coordinates } = getReferenceBooking(bookings, visit);
-            const bookingId = getBookingIDFromShipment(visit);
-            const cumulativeDistance = cumulativeDistances[bookingId];
-
-            return {
-                num_ruta: index + 1,
-                num_viaje: index + 1,
-                posicion_en_ruta: visit_index,
-                cod_cliente: bookingId,
-                lat: ref_booking_destination_coordinates.latitude,
-                lng: ref_booking_destination_coordinates.longitude,
-                distancia: cumulativeDistance?.distanceMeters || 0,
-                tiempo_viaje: getVisitTravelTime(visit)
-            };
+            results.responde.push(...elements);
         });
-
-        results.responde = [startElement, ...visitDetails];
     });
 
     return results;
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,142 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { AUTH_CONFIG } from '../config.js';
+
+const LIMIT_FIELDS = Object.keys(AUTH_CONFIG.defaultLimits);
+
+/**
+ * Hashes an API key. Clients are configured with the hashes of their keys, never the keys themselves.
+ * @param {string} apiKey - API key
+ * @returns {string} SHA-256 hash in hexadecimal
+ */
+export const hashApiKey = (apiKey) => createHash('sha256').update(String(apiKey)).digest('hex');
+
+/**
+ * Creates a registry of the API clients allowed to call the service
+ * @param {Array} clients - Client entries (id, name, cost_center, api_key_hashes, hmac_secret, admin and limits)
+ * @returns {Object} Registry with get, findByApiKey, list and size
+ */
+export const createClientRegistry = (clients) => {
+    if (!Array.isArray(clients)) {
+        throw new Error('API clients must be an array');
+    }
+
+    const byId = new Map();
+    const byKeyHash = new Map();
+
+    clients.forEach((client, index) => {
+        if (!client?.id) {
+            throw new Error(`API client ${index} must have an id`);
+        }
+
+        const id = String(client.id);
+        const keyHashes = [].concat(client.api_key_hashes || []).map(hash => String(hash).toLowerCase());
+
+        if (byId.has(id)) {
+            throw new Error(`API client ${id} is defined more than once`);
+        }
+        if (keyHashes.length === 0 && !client.hmac_secret) {
+            throw new Error(`API client ${id} must have api_key_hashes or an hmac_secret`);
+        }
+        LIMIT_FIELDS.forEach(field => {
+            const limit = client[field];
+            if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+                throw new Error(`API client ${id} has an invalid ${field}`);
+            }
+        });
+
+        const entry = {
+            id,
+            name: String(client.name || id),
+            cost_center: client.cost_center ? String(client.cost_center) : null,
+            admin: client.admin === true,
+            hmacSecret: client.hmac_secret ? String(client.hmac_secret) : null,
+            // A null limit means no limit, a missing one the default
+            limits: Object.fromEntries(LIMIT_FIELDS.map(field => [
+                field,
+                client[field] !== undefined ? client[field] : AUTH_CONFIG.defaultLimits[field]
+            ]))
+        };
+
+        keyHashes.forEach(hash => {
+            if (byKeyHash.has(hash)) {
+                throw new Error(`API key hash ${hash.slice(0, 8)}… is used by both ${byKeyHash.get(hash).id} and ${id}`);
+            }
+            byKeyHash.set(hash, entry);
+        });
+        byId.set(id, entry);
+    });
+
+    return {
+        size: byId.size,
+        get: (id) => byId.get(String(id)) || null,
+        /**
+         * Finds the client an API key belongs to
+         * @param {string} apiKey - API key sent by the client
+         * @returns {Object|null} Client entry, or null when the key is unknown
+         */
+        findByApiKey: (apiKey) => byKeyHash.get(hashApiKey(apiKey)) || null,
+        // Clients without their credentials
+        list: () => [...byId.values()].map(({ hmacSecret, ...client }) => ({ ...client, limits: { ...client.limits } }))
+    };
+};
+
+/**
+ * Reads client entries from a JSON or YAML file, either as an array or as { clients: [...] }
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Array} Client entries
+ */
+export const loadClientsFile = (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const data = extension === '.yaml' || extension === '.yml' ? YAML.parse(content) : JSON.parse(content);
+
+    return Array.isArray(data) ? data : data?.clients;
+};
+
+let clientRegistry = null;
+
+/**
+ * Gets the client registry, loading it on first use from CLIENTS_FILE or CLIENTS_JSON.
+ * Without either the registry is empty.
+ * @returns {Object} Client registry
+ */
+export const getClientRegistry = () => {
+    if (!clientRegistry) {
+        let clients = [];
+
+        if (process.env.CLIENTS_FILE) {
+            clients = loadClientsFile(process.env.CLIENTS_FILE);
+        } else if (process.env.CLIENTS_JSON) {
+            const data = JSON.parse(process.env.CLIENTS_JSON);
+            clients = Array.isArray(data) ? data : data?.clients;
+        }
+
+        clientRegistry = createClientRegistry(clients);
+    }
+
+    return clientRegistry;
+};
+
+/**
+ * Replaces the client registry, e.g. after the clients file changed
+ * @param {Object} registry - Registry from createClientRegistry, or null to reload on next use
+ */
+export const setClientRegistry = (registry) => {
+    clientRegistry = registry;
+};
+
+/**
+ * Checks whether requests must be authenticated: when clients are configured, or when
+ * AUTH_REQUIRED (or AUTH_CONFIG.required) asks to reject requests without clients
+ * @returns {boolean} True when requests must be authenticated
+ */
+export const isAuthRequired = () => {
+    const required = process.env.AUTH_REQUIRED !== undefined ?
+        ['true', '1', 'yes'].includes(process.env.AUTH_REQUIRED.toLowerCase()) :
+        AUTH_CONFIG.required;
+
+    return required || getClientRegistry().size > 0;
+};
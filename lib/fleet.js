@@ -0,0 +1,41 @@
+import { DEFAULT_VEHICLE_TYPE, VEHICLE_TYPES } from '../config.js';
+
+/**
+ * Resolves the capacities, costs and features of a vehicle from its type,
+ * letting the vehicle override any of them
+ * @param {Object} vehicle - Vehicle in the customer format
+ * @returns {Object} Vehicle profile (type, seats, luggage, costPerHour, costPerKilometer, fixedCost, features)
+ */
+export const getVehicleProfile = (vehicle) => {
+    const type = vehicle.vehicle_type || DEFAULT_VEHICLE_TYPE;
+    const vehicleType = VEHICLE_TYPES[type];
+
+    if (!vehicleType) {
+        throw new Error(`Unknown vehicle type "${type}". Available types: ${Object.keys(VEHICLE_TYPES).join(', ')}`);
+    }
+
+    return {
+        type,
+        seats: vehicle.vehicle_capacity ?? vehicleType.seats,
+        luggage: vehicle.luggage_capacity ?? vehicleType.luggage,
+        costPerHour: vehicle.cost_per_hour ?? vehicleType.cost_per_hour,
+        costPerKilometer: vehicle.cost_per_kilometer ?? vehicleType.cost_per_kilometer,
+        fixedCost: vehicle.fixed_cost ?? vehicleType.fixed_cost,
+        features: [...new Set([...vehicleType.features, ...(vehicle.features || [])])]
+    };
+};
+
+/**
+ * Lists the vehicles that have every feature a booking requires
+ * @param {Object} booking - Booking in the customer format
+ * @param {Array} profiles - Vehicle profiles from getVehicleProfile, in vehicle order
+ * @returns {Array|null} Indices of the allowed vehicles, or null when the booking has no requirements
+ */
+export const getAllowedVehicleIndices = (booking, profiles) => {
+    const requirements = booking.requirements || [];
+    if (requirements.length === 0) return null;
+
+    return profiles
+        .map((profile, index) => requirements.every(requirement => profile.features.includes(requirement)) ? index : -1)
+        .filter(index => index >= 0);
+};
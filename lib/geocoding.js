@@ -0,0 +1,291 @@
+import fs from 'fs';
+import { COMUNA_CENTROIDS, GEOCODING_CONFIG } from '../config.js';
+import { isInsideServiceRegion } from './utils.js';
+
+// Confidence levels reported for geocoded addresses
+export const GEOCODE_CONFIDENCE = {
+    HIGH: 'high',       // Exact address match
+    MEDIUM: 'medium',   // Interpolated along a street
+    LOW: 'low'          // Approximate (partial match, street or comuna centroid)
+};
+
+/**
+ * Normalizes text for address comparisons (case, accents and spacing)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizeText = (text) => {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+/**
+ * Builds the key identifying an address in the geocode cache
+ * @param {string} address - Street address
+ * @param {string} comuna - Comuna (optional)
+ * @returns {string} Cache key
+ */
+export const buildAddressKey = (address, comuna) => {
+    return [address, comuna].filter(Boolean).map(normalizeText).join(' | ');
+};
+
+/**
+ * Creates a geocoder backed by the Google Geocoding API
+ * @param {string} apiKey - Google Maps API key
+ * @returns {Object} Geocoder with a name and an async geocode({ address, comuna }) function
+ */
+export const createGoogleGeocoder = (apiKey = process.env.GOOGLE_MAPS_API_KEY) => {
+    if (!apiKey) {
+        throw new Error('GOOGLE_MAPS_API_KEY environment variable is not set. Please set it to use the Google geocoder.');
+    }
+
+    return {
+        name: 'google',
+        geocode: async ({ address, comuna }) => {
+            const params = new URLSearchParams({
+                address: [address, comuna, GEOCODING_CONFIG.country].filter(Boolean).join(', '),
+                region: GEOCODING_CONFIG.region,
+                key: apiKey
+            });
+
+            const response = await fetch(`https://maps.googleapis.com/maps/api/geocode/json?${params}`, {
+                signal: AbortSignal.timeout(GEOCODING_CONFIG.timeoutInMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Geocoding request failed with status ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (data.status === 'ZERO_RESULTS') return null;
+            if (data.status !== 'OK') {
+                throw new Error(`Geocoding failed: ${data.status} ${data.error_message || ''}`.trim());
+            }
+
+            const [result] = data.results;
+            const locationType = result.geometry.location_type;
+            const confidence = result.partial_match ? GEOCODE_CONFIDENCE.LOW :
+                locationType === 'ROOFTOP' ? GEOCODE_CONFIDENCE.HIGH :
+                locationType === 'RANGE_INTERPOLATED' ? GEOCODE_CONFIDENCE.MEDIUM :
+                GEOCODE_CONFIDENCE.LOW;
+
+            return {
+                latitude: result.geometry.location.lat,
+                longitude: result.geometry.location.lng,
+                confidence,
+                formatted_address: result.formatted_address
+            };
+        }
+    };
+};
+
+/**
+ * Creates a geocoder that works without network access: known addresses resolve exactly,
+ * other addresses resolve to the centroid of their comuna with low confidence.
+ * Used in tests and offline, with GEOCODER=static.
+ * @param {Array} addresses - Known addresses ({ address, comuna, latitude, longitude })
+ * @param {Object} centroids - Comuna centroids keyed by comuna name
+ * @returns {Object} Geocoder with a name and an async geocode({ address, comuna }) function
+ */
+export const createStaticGeocoder = (addresses = [], centroids = COMUNA_CENTROIDS) => {
+    const knownAddresses = new Map(addresses.map(entry => [buildAddressKey(entry.address, entry.comuna), entry]));
+    const comunas = new Map(Object.entries(centroids).map(([comuna, coordinates]) => [normalizeText(comuna), { comuna, ...coordinates }]));
+
+    return {
+        name: 'static',
+        geocode: async ({ address, comuna }) => {
+            const known = knownAddresses.get(buildAddressKey(address, comuna));
+            if (known) {
+                return {
+                    latitude: known.latitude,
+                    longitude: known.longitude,
+                    confidence: GEOCODE_CONFIDENCE.HIGH,
+                    formatted_address: [known.address, known.comuna].filter(Boolean).join(', ')
+                };
+            }
+
+            const centroid = comuna ? comunas.get(normalizeText(comuna)) : null;
+            if (centroid) {
+                return {
+                    latitude: centroid.latitude,
+                    longitude: centroid.longitude,
+                    confidence: GEOCODE_CONFIDENCE.LOW,
+                    formatted_address: `${centroid.comuna}, ${GEOCODING_CONFIG.country}`
+                };
+            }
+
+            return null;
+        }
+    };
+};
+
+/**
+ * Creates a cache of geocoded addresses stored in a JSON file, or only in memory without a file
+ * @param {string} filePath - Path of the JSON cache file (optional)
+ * @returns {Object} Cache with get, set and save functions
+ */
+export const createGeocodeCache = (filePath = null) => {
+    let entries = null;
+    let dirty = false;
+
+    const load = () => {
+        if (!entries) {
+            entries = filePath && fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+        }
+        return entries;
+    };
+
+    return {
+        get: (key) => load()[key] || null,
+        set: (key, value) => {
+            load()[key] = value;
+            dirty = true;
+        },
+        save: () => {
+            if (!filePath || !dirty) return;
+            fs.writeFileSync(filePath, JSON.stringify(entries, null, 2));
+            dirty = false;
+        }
+    };
+};
+
+let geocoder = null;
+let geocodeCache = null;
+
+/**
+ * Gets the geocoder selected with GEOCODER ('google' or 'static'), defaulting to Google when
+ * GOOGLE_MAPS_API_KEY is set. The static geocoder only places addresses at the centroid of
+ * their comuna, so it must be chosen explicitly.
+ * @returns {Object} Geocoder
+ * @throws {Error} When no geocoder is configured or GEOCODER is unknown
+ */
+export const getGeocoder = () => {
+    if (!geocoder) {
+        const name = process.env.GEOCODER || (process.env.GOOGLE_MAPS_API_KEY ? 'google' : null);
+
+        if (name === 'google') {
+            geocoder = createGoogleGeocoder();
+        } else if (name === 'static') {
+            geocoder = createStaticGeocoder();
+        } else if (name) {
+            throw new Error(`Unknown GEOCODER "${name}". Available geocoders: google, static`);
+        } else {
+            throw new Error('No geocoder configured: set GOOGLE_MAPS_API_KEY, or GEOCODER=static to place addresses at the centroid of their comuna');
+        }
+    }
+    return geocoder;
+};
+
+/**
+ * Replaces the geocoder, e.g. with a custom implementation or a test double
+ * @param {Object} customGeocoder - Geocoder with a name and an async geocode function, or null to reset
+ */
+export const setGeocoder = (customGeocoder) => {
+    geocoder = customGeocoder;
+};
+
+/**
+ * Gets the geocode cache, stored in GEOCODE_CACHE_FILE when set
+ * @returns {Object} Geocode cache
+ */
+export const getGeocodeCache = () => {
+    if (!geocodeCache) {
+        geocodeCache = createGeocodeCache(process.env.GEOCODE_CACHE_FILE || null);
+    }
+    return geocodeCache;
+};
+
+// Address fields of a booking and the coordinates field each one resolves to
+const BOOKING_ADDRESSES = [
+    { field: 'origin', address: 'origin_address', comuna: 'origin_comuna', coordinates: 'origin_coordinates' },
+    { field: 'destination', address: 'destination_address', comuna: 'destination_comuna', coordinates: 'destination' }
+];
+
+/**
+ * Resolves the coordinates of bookings that only have an address: the drop-off address of
+ * arrivals without a named destination, and the pickup address of departures without a named origin.
+ * Bookings that cannot be resolved are returned as rejected instead of failing the request.
+ * The configured geocoder is only needed for addresses missing from the cache.
+ * @param {Array} bookings - Bookings in the customer format
+ * @param {Object} options - Geocoder and cache to use (defaults to the configured ones)
+ * @returns {Object} Object with the resolvable bookings, the geocoded addresses and the rejected bookings
+ * @throws {Error} When an address must be geocoded and no geocoder is configured
+ */
+export const geocodeBookings = async (bookings, { geocoder = null, cache = getGeocodeCache() } = {}) => {
+    const resolvedBookings = [];
+    const geocoded = [];
+    const rejected = [];
+
+    // Addresses are resolved one at a time to stay within the geocoder rate limits
+    for (const [index, booking] of bookings.entries()) {
+        // Named locations and coordinates take precedence over addresses
+        const pending = BOOKING_ADDRESSES.filter(({ field, address, coordinates }) =>
+            booking[address] && !booking[coordinates] &&
+            !(field === 'origin' && booking.origin) && !(field === 'destination' && booking.destination_location)
+        );
+        const resolvedBooking = { ...booking };
+        let resolved = true;
+
+        for (const { field, address: addressField, comuna: comunaField, coordinates } of pending) {
+            const address = booking[addressField];
+            const comuna = booking[comunaField];
+            const key = buildAddressKey(address, comuna);
+            const reject = (reason) => rejected.push({ index, job_id: booking.job_id ?? null, field, address, comuna, reason });
+
+            let result = cache.get(key);
+            let source = 'cache';
+
+            if (!result) {
+                // Misconfiguration fails the request instead of rejecting every booking
+                const activeGeocoder = geocoder || getGeocoder();
+                source = activeGeocoder.name;
+
+                try {
+                    result = await activeGeocoder.geocode({ address, comuna });
+                } catch (error) {
+                    reject(`Geocoding failed: ${error.message}`);
+                    resolved = false;
+                    break;
+                }
+
+                if (result) {
+                    cache.set(key, { ...result, resolved_at: new Date().toISOString() });
+                }
+            }
+
+            if (!result) {
+                reject('Address could not be geocoded');
+                resolved = false;
+                break;
+            }
+
+            if (!isInsideServiceRegion(result)) {
+                reject('Geocoded address is outside the service region');
+                resolved = false;
+                break;
+            }
+
+            geocoded.push({
+                index,
+                job_id: booking.job_id ?? null,
+                field,
+                address,
+                comuna,
+                latitude: result.latitude,
+                longitude: result.longitude,
+                confidence: result.confidence,
+                formatted_address: result.formatted_address,
+                source
+            });
+            resolvedBooking[coordinates] = { latitude: result.latitude, longitude: result.longitude };
+        }
+
+        if (resolved) {
+            resolvedBookings.push(resolvedBooking);
+        }
+    }
+
+    cache.save();
+
+    return { bookings: resolvedBookings, geocoded, rejected };
+};
@@ -0,0 +1,401 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { JOBS_CONFIG } from '../config.js';
+
+// Lifecycle of an optimization job
+export const JOB_STATUS = {
+    QUEUED: 'queued',           // Created, not started yet
+    RUNNING: 'running',         // Being optimized
+    SUCCEEDED: 'succeeded',     // Finished with a plan
+    FAILED: 'failed',           // Finished with an error (invalid request, solver failure, ...)
+    CANCELLED: 'cancelled'      // Cancelled before finishing
+};
+
+const FINAL_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Percentage of the work done when each stage starts
+const STAGE_PROGRESS = {
+    queued: 0,
+    validating: 5,
+    geocoding: 10,
+    optimizing: 30,
+    formatting: 90,
+    done: 100
+};
+
+// Addresses callbacks must not reach: private networks, loopback, link-local (cloud metadata
+// servers included), shared, reserved and multicast ranges. IPv4-mapped IPv6 addresses are
+// checked against the IPv4 ranges by BlockList itself.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Gets the hosts callbacks may go to, from CALLBACK_ALLOWED_HOSTS (comma-separated) or JOBS_CONFIG
+ * @returns {Array} Lowercase host names, empty when any public host is allowed
+ */
+const getCallbackAllowedHosts = () => (process.env.CALLBACK_ALLOWED_HOSTS !== undefined ?
+    process.env.CALLBACK_ALLOWED_HOSTS.split(',') :
+    JOBS_CONFIG.callbackAllowedHosts
+).map(host => host.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Checks that a callback URL may be called. With allowed hosts configured, only those hosts
+ * and their subdomains are accepted; otherwise the host must resolve to public addresses only,
+ * so callbacks cannot reach internal services or the metadata server.
+ * @param {string} callbackUrl - Callback URL
+ * @param {Object} options - Check options
+ * @param {Array} options.allowedHosts - Allowed hosts (defaults to the configured ones)
+ * @param {Function} options.lookup - DNS lookup (defaults to dns.lookup)
+ * @returns {Promise<string|null>} Why the URL is refused, or null when it may be called
+ */
+export const checkCallbackUrl = async (callbackUrl, { allowedHosts = getCallbackAllowedHosts(), lookup = dns.lookup } = {}) => {
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch {
+        return 'is not a valid URL';
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return 'must be an http or https URL';
+    }
+    if (url.username || url.password) {
+        return 'must not contain credentials';
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (allowedHosts.length > 0) {
+        return allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`)) ?
+            null :
+            `host ${host} is not an allowed callback host (${allowedHosts.join(', ')})`;
+    }
+
+    let addresses;
+    try {
+        addresses = await lookup(host, { all: true });
+    } catch {
+        return `host ${host} could not be resolved`;
+    }
+
+    const blocked = addresses.find(({ address, family }) => NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    return blocked ? `host ${host} resolves to a non-public address (${blocked.address})` : null;
+};
+
+/**
+ * Gets the secret callbacks are signed with, from CALLBACK_SIGNING_SECRET
+ * @returns {string|null} Signing secret, or null when callbacks are disabled
+ */
+export const getCallbackSigningSecret = () => process.env.CALLBACK_SIGNING_SECRET || null;
+
+/**
+ * Signs a callback the way receivers must check it: HMAC-SHA256 of the timestamp, a dot and
+ * the raw body, sent in X-Signature (sha256=...) with the timestamp in X-Signature-Timestamp
+ * @param {string} secret - Callback signing secret
+ * @param {string|number} timestamp - Unix time in seconds
+ * @param {string} body - Raw callback body
+ * @returns {string} Signature in hexadecimal
+ */
+export const signCallback = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+};
+
+/**
+ * Checks whether a job status is final
+ * @param {string} status - Job status
+ * @returns {boolean} True for succeeded, failed and cancelled jobs
+ */
+export const isFinalStatus = (status) => FINAL_STATUSES.includes(status);
+
+/**
+ * Builds the progress of a job at a stage
+ * @param {string} stage - Stage name (queued, validating, geocoding, optimizing, formatting or done)
+ * @returns {Object} Progress ({ stage, percent })
+ */
+const getProgress = (stage) => ({ stage, percent: STAGE_PROGRESS[stage] ?? 0 });
+
+/**
+ * Creates a job store that keeps jobs in memory. Finished jobs are dropped after the retention time.
+ * Other stores (e.g. Firestore or Redis) only need async get(id), save(job) and update(id, apply)
+ * functions. update must read the job, apply the change and save it as one atomic operation
+ * (e.g. a transaction), so that a job is never finished twice.
+ * @param {Object} options - Store options
+ * @param {number} options.retentionInMinutes - How long finished jobs are kept
+ * @returns {Object} Job store with a name and async get, save and update functions
+ */
+export const createMemoryJobStore = ({ retentionInMinutes = JOBS_CONFIG.retentionInMinutes } = {}) => {
+    const jobs = new Map();
+
+    const purge = () => {
+        const cutoff = Date.now() - retentionInMinutes * 60 * 1000;
+        jobs.forEach((job, id) => {
+            if (job.finished_at && Date.parse(job.finished_at) < cutoff) jobs.delete(id);
+        });
+    };
+
+    return {
+        name: 'memory',
+        get: async (id) => {
+            purge();
+            const job = jobs.get(id);
+            return job ? structuredClone(job) : null;
+        },
+        save: async (job) => {
+            jobs.set(job.id, structuredClone(job));
+        },
+        /**
+         * Changes a job atomically
+         * @param {string} id - Job id
+         * @param {Function} apply - Function receiving the stored job and returning the updated job,
+         * or null to leave it unchanged
+         * @returns {Promise<Object|null>} Updated job, or null when the job was not found or left unchanged
+         */
+        update: async (id, apply) => {
+            purge();
+            const job = jobs.get(id);
+            const updated = job ? apply(structuredClone(job)) : null;
+            if (!updated) return null;
+
+            jobs.set(id, structuredClone(updated));
+            return structuredClone(updated);
+        }
+    };
+};
+
+let jobStore = null;
+
+/**
+ * Gets the job store, in memory unless replaced with setJobStore
+ * @returns {Object} Job store
+ */
+export const getJobStore = () => {
+    if (!jobStore) {
+        jobStore = createMemoryJobStore();
+    }
+    return jobStore;
+};
+
+/**
+ * Replaces the job store, e.g. with a persistent implementation shared by several instances
+ * @param {Object} customStore - Job store with async get and save functions, or null to reset
+ */
+export const setJobStore = (customStore) => {
+    jobStore = customStore;
+};
+
+/**
+ * Builds the public view of a job, without the request it was created with
+ * @param {Object} job - Stored job
+ * @returns {Object} Job as returned by the API
+ */
+export const toJobView = (job) => ({
+    job_id: job.id,
+    status: job.status,
+    progress: job.progress,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    callback: job.callback,
+    result: job.result,
+    error: job.error
+});
+
+/**
+ * Checks whether an API client may read or cancel a job: only the client that created it
+ * can, or an admin client
+ * @param {Object} job - Stored job
+ * @param {Object} client - Client from authenticateRequest, null when authentication is disabled
+ * @returns {boolean} True when the client may access the job
+ */
+export const canAccessJob = (job, client) => {
+    if (client?.admin) return true;
+    return (job.client_id ?? null) === (client?.id ?? null);
+};
+
+/**
+ * Creates a queued optimization job
+ * @param {Object} request - Optimization request body
+ * @param {Object} options - Job options
+ * @param {string} options.callbackUrl - URL notified when the job finishes (optional)
+ * @param {string} options.clientId - Id of the API client creating the job, null without authentication
+ * @param {Object} options.store - Job store (defaults to the configured one)
+ * @returns {Promise<Object>} Stored job
+ */
+export const createJob = async (request, { callbackUrl = null, clientId = null, store = getJobStore() } = {}) => {
+    const job = {
+        id: crypto.randomUUID(),
+        client_id: clientId,
+        status: JOB_STATUS.QUEUED,
+        progress: getProgress('queued'),
+        created_at: new Date().toISOString(),
+        started_at: null,
+        finished_at: null,
+        callback: callbackUrl ? { url: callbackUrl, delivered: false, attempts: 0, error: null } : null,
+        result: null,
+        error: null,
+        request
+    };
+
+    await store.save(job);
+    return job;
+};
+
+/**
+ * Posts the final state of a job to its callback URL, signed, retrying failed attempts.
+ * The URL is checked again before each attempt, as its host may resolve differently by then,
+ * and redirects are not followed.
+ * @param {Object} job - Finished job with a callback
+ * @returns {Promise<Object>} Callback delivery state ({ url, delivered, attempts, error })
+ */
+const notifyCallback = async (job) => {
+    const callback = { ...job.callback, delivered: false, attempts: 0, error: null };
+    const secret = getCallbackSigningSecret();
+    const body = JSON.stringify(toJobView(job));
+    let delay = JOBS_CONFIG.callbackRetryDelayInMs;
+
+    while (callback.attempts < JOBS_CONFIG.callbackMaxAttempts) {
+        if (callback.attempts > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay *= 2;
+        }
+        callback.attempts++;
+
+        const refusal = secret ? await checkCallbackUrl(callback.url) : 'CALLBACK_SIGNING_SECRET is not set';
+        if (refusal) {
+            callback.error = `Callback refused: ${refusal}`;
+            break;
+        }
+
+        try {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const response = await fetch(callback.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Signature-Timestamp': timestamp,
+                    'X-Signature': `sha256=${signCallback(secret, timestamp, body)}`
+                },
+                body,
+                redirect: 'error',
+                signal: AbortSignal.timeout(JOBS_CONFIG.callbackTimeoutInMs)
+            });
+
+            if (response.ok) {
+                return { ...callback, delivered: true, error: null };
+            }
+            callback.error = `Callback responded with status ${response.status}`;
+        } catch (error) {
+            callback.error = `Callback failed: ${error.message}`;
+        }
+    }
+
+    console.error(`Could not notify job ${job.id} to ${callback.url}: ${callback.error}`);
+    return callback;
+};
+
+/**
+ * Finishes a job that has not finished yet, checking its status and saving the final state
+ * in one store operation, so a job is never both cancelled and finished by its run
+ * @param {Object} store - Job store
+ * @param {string} jobId - Job id
+ * @param {Object} changes - Final status and outcome of the job
+ * @returns {Promise<Object|null>} Finished job, or null when the job was not found or had already finished
+ */
+const finishJob = (store, jobId, changes) => store.update(jobId, (job) => (
+    isFinalStatus(job.status) ? null : { ...job, ...changes, finished_at: new Date().toISOString() }
+));
+
+/**
+ * Notifies the callback URL of a finished job, if any, and saves the delivery state
+ * @param {Object} store - Job store
+ * @param {Object} job - Finished job
+ * @returns {Promise<Object>} Job with the callback delivery state
+ */
+const notifyJob = async (store, job) => {
+    if (!job.callback) return job;
+
+    const callback = await notifyCallback(job);
+    // Only the delivery state is changed, so a concurrent change to the job is kept
+    return await store.update(job.id, (current) => ({ ...current, callback })) || { ...job, callback };
+};
+
+/**
+ * Runs a queued job. Progress is saved as the optimization goes through its stages,
+ * and the outcome is kept in the store so it can be fetched again later.
+ * Results of jobs cancelled while running are discarded.
+ * @param {string} jobId - Job id
+ * @param {Function} run - Async function (request, { onProgress }) returning { statusCode, body }
+ * @param {Object} options - Run options
+ * @param {Object} options.store - Job store (defaults to the configured one)
+ * @returns {Promise<Object|null>} Finished job, or null when the job was not found or was cancelled
+ */
+export const runJob = async (jobId, run, { store = getJobStore() } = {}) => {
+    // Changes are applied one at a time and never to a job that is already finished
+    let updates = Promise.resolve(null);
+    const update = (changes) => {
+        updates = updates.then(() => store.update(jobId, (job) => (
+            isFinalStatus(job.status) ? null : { ...job, ...changes }
+        )));
+        return updates;
+    };
+
+    const job = await update({
+        status: JOB_STATUS.RUNNING,
+        progress: getProgress('validating'),
+        started_at: new Date().toISOString()
+    });
+    if (!job) return null;
+
+    let outcome;
+    try {
+        const { statusCode, body } = await run(job.request, {
+            onProgress: (stage) => update({ progress: getProgress(stage) })
+        });
+
+        outcome = statusCode === 200 ?
+            { status: JOB_STATUS.SUCCEEDED, result: body } :
+            { status: JOB_STATUS.FAILED, error: { status_code: statusCode, ...body } };
+    } catch (error) {
+        console.error(`Error in optimization job ${jobId}:`, error);
+        outcome = {
+            status: JOB_STATUS.FAILED,
+            error: {
+                status_code: 500,
+                status: 'error',
+                error: error.message,
+                details: error.details || 'No additional details available'
+            }
+        };
+    }
+
+    await updates;
+    const finished = await finishJob(store, jobId, { ...outcome, progress: getProgress('done') });
+    return finished ? notifyJob(store, finished) : null;
+};
+
+/**
+ * Cancels a job that has not finished yet. The callback is notified in the background,
+ * so the cancellation does not wait for its delivery.
+ * @param {string} jobId - Job id
+ * @param {Object} options - Cancel options
+ * @param {Object} options.store - Job store (defaults to the configured one)
+ * @returns {Promise<Object|null>} Object with the job and whether it was cancelled, or null when the job was not found
+ */
+export const cancelJob = async (jobId, { store = getJobStore() } = {}) => {
+    const cancelledJob = await finishJob(store, jobId, { status: JOB_STATUS.CANCELLED });
+
+    if (!cancelledJob) {
+        const job = await store.get(jobId);
+        return job ? { job, cancelled: false } : null;
+    }
+
+    notifyJob(store, cancelledJob).catch(error => console.error(`Error notifying job ${jobId}:`, error));
+    return { job: cancelledJob, cancelled: true };
+};
@@ -0,0 +1,743 @@
+import { LOCAL_SOLVER_CONFIG } from '../config.js';
+import { encodePolyline, estimateTravel } from './utils.js';
+
+// Skip reason codes, named as in the Google Route Optimization API
+export const SKIP_REASONS = {
+    CAPACITY: 'DEMAND_EXCEEDS_VEHICLE_CAPACITY',
+    DURATION_LIMIT: 'CANNOT_BE_PERFORMED_WITHIN_VEHICLE_DURATION_LIMIT',
+    TIME_WINDOWS: 'CANNOT_BE_PERFORMED_WITHIN_VEHICLE_TIME_WINDOWS',
+    VEHICLE_NOT_ALLOWED: 'VEHICLE_NOT_ALLOWED',
+    RIDE_LIMITS: 'CANNOT_BE_PERFORMED_WITHIN_PICKUP_TO_DELIVERY_LIMITS',
+    UNSPECIFIED: 'NO_REASON_SPECIFIED'
+};
+
+// Minimum cost improvement accepted by the local search
+const EPSILON = 1e-6;
+
+/**
+ * Reads a timestamp or duration object ({ seconds }) as a number of seconds
+ * @param {Object} value - Timestamp or duration object
+ * @param {number} fallback - Value returned when the field is missing
+ * @returns {number} Number of seconds
+ */
+const toSeconds = (value, fallback = 0) => {
+    if (!value) return fallback;
+    return parseInt(value.seconds ?? 0);
+};
+
+/**
+ * Builds a timestamp or duration object shaped like the ones returned by the Google client
+ * @param {number} seconds - Number of seconds
+ * @returns {Object} Object with a string seconds property
+ */
+const toProtoSeconds = (seconds) => ({ seconds: String(Math.round(seconds)) });
+
+/**
+ * Reads a load map ({ type: { [key]: value } }) into a plain { type: number } object
+ * @param {Object} loads - Load demands or load limits map
+ * @param {string} key - Property holding the value ('amount' or 'maxLoad')
+ * @returns {Object} Object with load types as keys and numbers as values
+ */
+const readLoads = (loads, key) => {
+    return Object.fromEntries(
+        Object.entries(loads || {}).map(([type, value]) => [type, Number(value?.[key] ?? 0)])
+    );
+};
+
+/**
+ * Builds a load map shaped like the ones returned by the Google client
+ * @param {Object} loads - Object with load types as keys and numbers as values
+ * @param {number} sign - Multiplier applied to every amount
+ * @returns {Object} Load map with string amounts
+ */
+const toLoadMap = (loads, sign = 1) => {
+    return Object.fromEntries(
+        Object.entries(loads).map(([type, amount]) => [type, { amount: String(amount * sign) }])
+    );
+};
+
+/**
+ * Prepares the shipments, vehicles and travel estimates of a model for the heuristic
+ * @param {Object} model - Optimization model (shipments, vehicles, global times)
+ * @param {Object} config - Local solver configuration
+ * @returns {Object} Solver context
+ */
+const buildContext = (model, config) => {
+    const globalStart = toSeconds(model.globalStartTime);
+    const globalEnd = toSeconds(model.globalEndTime, Infinity);
+    const legCache = new Map();
+
+    const getLeg = (from, to) => {
+        if (!from || !to) return { distanceMeters: 0, durationSeconds: 0 };
+
+        const key = `${from.latitude},${from.longitude}|${to.latitude},${to.longitude}`;
+        if (!legCache.has(key)) {
+            legCache.set(key, estimateTravel(from, to, config));
+        }
+
+        return legCache.get(key);
+    };
+
+    const shipments = (model.shipments || []).map((shipment, index) => {
+        const toVisitRequest = (visitRequest, isPickup) => {
+            if (!visitRequest) return null;
+
+            const location = visitRequest.arrivalLocation;
+            if (!Number.isFinite(location?.latitude) || !Number.isFinite(location?.longitude)) {
+                throw new Error(`Shipment ${index} (${shipment.label || 'no label'}) has an invalid ${isPickup ? 'pickup' : 'delivery'} location`);
+            }
+
+            const timeWindows = (visitRequest.timeWindows || []).map(timeWindow => ({
+                start: toSeconds(timeWindow.startTime, -Infinity),
+                end: toSeconds(timeWindow.endTime, Infinity),
+                softStart: timeWindow.softStartTime ? toSeconds(timeWindow.softStartTime) : null,
+                softEnd: timeWindow.softEndTime ? toSeconds(timeWindow.softEndTime) : null,
+                costPerHourBefore: Number(timeWindow.costPerHourBeforeSoftStartTime || 0),
+                costPerHourAfter: Number(timeWindow.costPerHourAfterSoftEndTime || 0)
+            })).sort((a, b) => a.start - b.start);
+
+            return {
+                location,
+                durationSeconds: toSeconds(visitRequest.duration),
+                timeWindows
+            };
+        };
+
+        const pickup = toVisitRequest(shipment.pickups?.[0], true);
+        const delivery = toVisitRequest(shipment.deliveries?.[0], false);
+
+        if (!pickup && !delivery) {
+            throw new Error(`Shipment ${index} (${shipment.label || 'no label'}) has no pickups or deliveries`);
+        }
+
+        // Longest ride allowed by the time limit and the detour limits, measured like the
+        // Google API: from the start of the pickup to the start of the delivery
+        const directSeconds = pickup && delivery ? getLeg(pickup.location, delivery.location).durationSeconds : 0;
+        const relativeDetourLimit = shipment.pickupToDeliveryRelativeDetourLimit;
+        const maxRideSeconds = pickup && delivery ? Math.min(
+            toSeconds(shipment.pickupToDeliveryTimeLimit, Infinity),
+            directSeconds + toSeconds(shipment.pickupToDeliveryAbsoluteDetourLimit, Infinity),
+            relativeDetourLimit !== undefined && relativeDetourLimit !== null ?
+                Math.ceil(directSeconds * (1 + Number(relativeDetourLimit))) : Infinity
+        ) : Infinity;
+
+        return {
+            index,
+            label: shipment.label || '',
+            demands: readLoads(shipment.loadDemands, 'amount'),
+            maxRideSeconds,
+            penaltyCost: shipment.penaltyCost !== undefined ? Number(shipment.penaltyCost) : undefined,
+            allowedVehicleIndices: shipment.allowedVehicleIndices?.length > 0 ?
+                new Set(shipment.allowedVehicleIndices.map(Number)) : null,
+            pickup,
+            delivery
+        };
+    });
+
+    const vehicles = (model.vehicles || []).map((vehicle, index) => ({
+        index,
+        label: vehicle.label || '',
+        startLocation: vehicle.startLocation || null,
+        endLocation: vehicle.endLocation || null,
+        startTime: Math.max(globalStart, toSeconds(vehicle.startTimeWindows?.[0]?.startTime, globalStart)),
+        latestStartTime: toSeconds(vehicle.startTimeWindows?.[0]?.endTime, Infinity),
+        latestEndTime: Math.min(globalEnd, toSeconds(vehicle.endTimeWindows?.[0]?.endTime, Infinity)),
+        breaks: (vehicle.breakRule?.breakRequests || []).map(breakRequest => ({
+            earliest: toSeconds(breakRequest.earliestStartTime),
+            latest: toSeconds(breakRequest.latestStartTime),
+            durationSeconds: toSeconds(breakRequest.minDuration)
+        })).sort((a, b) => a.earliest - b.earliest),
+        loadLimits: readLoads(vehicle.loadLimits, 'maxLoad'),
+        maxDurationSeconds: toSeconds(vehicle.routeDurationLimit?.maxDuration, Infinity),
+        costPerHour: Number(vehicle.costPerHour || 0),
+        costPerKilometer: Number(vehicle.costPerKilometer || 0),
+        fixedCost: Number(vehicle.fixedCost || 0)
+    }));
+
+    return { globalStart, globalEnd, getLeg, shipments, vehicles };
+};
+
+/**
+ * Picks the time window a visit can be served in and the time service starts
+ * @param {Array} timeWindows - Time windows of the visit request (solver format)
+ * @param {number} arrivalTime - Arrival time at the visit location
+ * @returns {Object|null} Chosen window and service start time, or null when every window has closed
+ */
+const resolveTimeWindow = (timeWindows, arrivalTime) => {
+    if (timeWindows.length === 0) {
+        return { timeWindow: null, startTime: arrivalTime };
+    }
+
+    const timeWindow = timeWindows.find(candidate => arrivalTime <= candidate.end);
+    if (!timeWindow) return null;
+
+    return { timeWindow, startTime: Math.max(arrivalTime, timeWindow.start) };
+};
+
+/**
+ * Computes the soft time window penalty of a visit starting at a given time
+ * @param {Object} timeWindow - Time window in the solver format
+ * @param {number} startTime - Visit start time
+ * @returns {number} Penalty cost
+ */
+const getSoftWindowCost = (timeWindow, startTime) => {
+    if (!timeWindow) return 0;
+
+    const earlySeconds = timeWindow.softStart !== null ? Math.max(0, timeWindow.softStart - startTime) : 0;
+    const lateSeconds = timeWindow.softEnd !== null ? Math.max(0, startTime - timeWindow.softEnd) : 0;
+
+    return (earlySeconds * timeWindow.costPerHourBefore + lateSeconds * timeWindow.costPerHourAfter) / 3600;
+};
+
+/**
+ * Simulates a vehicle leaving at a given time and driving through an ordered list of stops
+ * @param {Object} ctx - Solver context
+ * @param {Object} vehicle - Vehicle from the solver context
+ * @param {Array} stops - Ordered stops ({ shipmentIndex, isPickup })
+ * @param {number} departureTime - Time the vehicle leaves its start location
+ * @returns {Object} Feasibility and schedule of the route
+ */
+const simulateSchedule = (ctx, vehicle, stops, departureTime) => {
+    // Delivery-only shipments are on board from the start of the route
+    const loads = Object.fromEntries(Object.keys(vehicle.loadLimits).map(type => [type, 0]));
+    stops.filter(stop => !stop.isPickup && !ctx.shipments[stop.shipmentIndex].pickup).forEach(stop => {
+        Object.entries(ctx.shipments[stop.shipmentIndex].demands).forEach(([type, amount]) => {
+            loads[type] = (loads[type] || 0) + amount;
+        });
+    });
+    const maxLoads = { ...loads };
+
+    let time = departureTime;
+    let location = vehicle.startLocation;
+    let distanceMeters = 0;
+    let travelSeconds = 0;
+    let visitSeconds = 0;
+    let waitSeconds = 0;
+    let breakSeconds = 0;
+    let penaltyCost = 0;
+    let nextBreak = 0;
+    const breaks = [];
+    const schedule = [];
+    const pickupStartTimes = new Map();
+
+    // Takes the pending breaks that are already open, or that would close while driving the next leg
+    const takeBreaks = (legSeconds) => {
+        let waited = 0;
+        let rested = 0;
+
+        while (nextBreak < vehicle.breaks.length) {
+            const breakRequest = vehicle.breaks[nextBreak];
+
+            if (time < breakRequest.earliest && time + legSeconds <= breakRequest.latest) break;
+
+            const breakStart = Math.max(time, breakRequest.earliest);
+            if (breakStart > breakRequest.latest) return null;
+
+            waited += breakStart - time;
+            rested += breakRequest.durationSeconds;
+            breaks.push({ startTime: breakStart, durationSeconds: breakRequest.durationSeconds });
+            time = breakStart + breakRequest.durationSeconds;
+            nextBreak++;
+        }
+
+        return { waited, rested };
+    };
+
+    // The last iteration drives from the final stop to the vehicle end location
+    for (const stop of [...stops, null]) {
+        const shipment = stop && ctx.shipments[stop.shipmentIndex];
+        const visitRequest = stop && (stop.isPickup ? shipment.pickup : shipment.delivery);
+        const destination = stop ? visitRequest.location : vehicle.endLocation;
+        const leg = ctx.getLeg(location, destination);
+        const legDepartureTime = time;
+        const loadsBefore = { ...loads };
+
+        const rest = takeBreaks(leg.durationSeconds);
+        if (!rest) {
+            return { feasible: false, reason: SKIP_REASONS.TIME_WINDOWS };
+        }
+
+        time += leg.durationSeconds;
+        travelSeconds += leg.durationSeconds;
+        distanceMeters += leg.distanceMeters;
+        breakSeconds += rest.rested;
+
+        if (!stop) {
+            waitSeconds += rest.waited;
+            schedule.push({
+                stop: null,
+                location: destination,
+                departureTime: legDepartureTime,
+                leg,
+                waitSeconds: rest.waited,
+                breakSeconds: rest.rested,
+                startTime: time,
+                slackSeconds: Infinity,
+                loadsBefore
+            });
+            break;
+        }
+
+        const resolved = resolveTimeWindow(visitRequest.timeWindows, time);
+        if (!resolved) {
+            return { feasible: false, reason: SKIP_REASONS.TIME_WINDOWS };
+        }
+
+        const visitWaitSeconds = rest.waited + resolved.startTime - time;
+        time = resolved.startTime;
+        waitSeconds += visitWaitSeconds;
+        penaltyCost += getSoftWindowCost(resolved.timeWindow, time);
+
+        for (const [type, amount] of Object.entries(shipment.demands)) {
+            loads[type] = (loads[type] || 0) + amount * (stop.isPickup ? 1 : -1);
+            maxLoads[type] = Math.max(maxLoads[type] || 0, loads[type]);
+
+            if (vehicle.loadLimits[type] !== undefined && loads[type] > vehicle.loadLimits[type]) {
+                return { feasible: false, reason: SKIP_REASONS.CAPACITY, capacityType: type };
+            }
+        }
+
+        if (stop.isPickup) {
+            pickupStartTimes.set(stop.shipmentIndex, time);
+        } else if (pickupStartTimes.has(stop.shipmentIndex) &&
+            time - pickupStartTimes.get(stop.shipmentIndex) > shipment.maxRideSeconds) {
+            return { feasible: false, reason: SKIP_REASONS.RIDE_LIMITS };
+        }
+
+        // Time the visit could be postponed without leaving its window or paying a soft penalty
+        const latestStart = Math.min(
+            resolved.timeWindow?.end ?? Infinity,
+            resolved.timeWindow?.softEnd ?? Infinity
+        );
+
+        schedule.push({
+            stop,
+            location: destination,
+            departureTime: legDepartureTime,
+            leg,
+            waitSeconds: visitWaitSeconds,
+            breakSeconds: rest.rested,
+            startTime: time,
+            slackSeconds: Math.max(0, latestStart - time),
+            loadsBefore
+        });
+
+        time += visitRequest.durationSeconds;
+        visitSeconds += visitRequest.durationSeconds;
+        location = destination;
+    }
+
+    return {
+        feasible: true,
+        schedule,
+        breaks,
+        penaltyCost,
+        startTime: departureTime,
+        endTime: time,
+        metrics: {
+            travelSeconds,
+            visitSeconds,
+            waitSeconds,
+            breakSeconds,
+            totalSeconds: time - departureTime,
+            distanceMeters,
+            maxLoads
+        }
+    };
+};
+
+/**
+ * Simulates a vehicle route, delaying its departure to absorb waiting time at time windows,
+ * and checks the route-level limits
+ * @param {Object} ctx - Solver context
+ * @param {Object} vehicle - Vehicle from the solver context
+ * @param {Array} stops - Ordered stops ({ shipmentIndex, isPickup })
+ * @returns {Object} Feasibility, cost and schedule of the route
+ */
+const simulateRoute = (ctx, vehicle, stops) => {
+    if (stops.length === 0) {
+        return { feasible: true, cost: 0, schedule: [] };
+    }
+
+    let result = simulateSchedule(ctx, vehicle, stops, vehicle.startTime);
+    if (!result.feasible) return result;
+
+    if (result.metrics.waitSeconds > 0) {
+        // A later departure shortens the waits, as long as no visit gets pushed out of its window
+        let waitedSeconds = 0;
+        let delaySeconds = Math.min(result.metrics.waitSeconds, vehicle.latestStartTime - vehicle.startTime);
+
+        result.schedule.forEach(entry => {
+            waitedSeconds += entry.waitSeconds;
+            delaySeconds = Math.min(delaySeconds, waitedSeconds + entry.slackSeconds);
+        });
+
+        if (delaySeconds > 0) {
+            const delayed = simulateSchedule(ctx, vehicle, stops, vehicle.startTime + delaySeconds);
+            if (delayed.feasible) result = delayed;
+        }
+    }
+
+    if (result.metrics.totalSeconds > vehicle.maxDurationSeconds) {
+        return { feasible: false, reason: SKIP_REASONS.DURATION_LIMIT };
+    }
+
+    if (result.endTime > vehicle.latestEndTime) {
+        return { feasible: false, reason: SKIP_REASONS.TIME_WINDOWS };
+    }
+
+    const costs = {
+        'model.vehicles.fixed_cost': vehicle.fixedCost,
+        'model.vehicles.cost_per_hour': vehicle.costPerHour * result.metrics.totalSeconds / 3600,
+        'model.vehicles.cost_per_kilometer': vehicle.costPerKilometer * result.metrics.distanceMeters / 1000,
+        'model.shipments.time_windows': result.penaltyCost
+    };
+
+    return {
+        ...result,
+        cost: Object.values(costs).reduce((sum, cost) => sum + cost, 0),
+        costs
+    };
+};
+
+/**
+ * Finds the cheapest feasible way of inserting a shipment into a route
+ * @param {Object} ctx - Solver context
+ * @param {Object} vehicle - Vehicle from the solver context
+ * @param {Array} stops - Current stops of the vehicle
+ * @param {number} shipmentIndex - Index of the shipment to insert
+ * @returns {Object} Best insertion ({ stops, cost } or null) and the reasons of rejected insertions
+ */
+const findBestInsertion = (ctx, vehicle, stops, shipmentIndex) => {
+    const shipment = ctx.shipments[shipmentIndex];
+    const pickupStop = shipment.pickup && { shipmentIndex, isPickup: true };
+    const deliveryStop = shipment.delivery && { shipmentIndex, isPickup: false };
+    const rejections = [];
+    let best = null;
+
+    if (shipment.allowedVehicleIndices && !shipment.allowedVehicleIndices.has(vehicle.index)) {
+        return { best, rejections: [{ feasible: false, reason: SKIP_REASONS.VEHICLE_NOT_ALLOWED }] };
+    }
+
+    const consider = (candidate) => {
+        const result = simulateRoute(ctx, vehicle, candidate);
+
+        if (!result.feasible) {
+            rejections.push(result);
+        } else if (!best || result.cost < best.cost) {
+            best = { stops: candidate, cost: result.cost };
+        }
+    };
+
+    for (let i = 0; i <= stops.length; i++) {
+        if (!pickupStop || !deliveryStop) {
+            consider([...stops.slice(0, i), pickupStop || deliveryStop, ...stops.slice(i)]);
+            continue;
+        }
+
+        for (let j = i; j <= stops.length; j++) {
+            consider([...stops.slice(0, i), pickupStop, ...stops.slice(i, j), deliveryStop, ...stops.slice(j)]);
+        }
+    }
+
+    return { best, rejections };
+};
+
+/**
+ * Inserts pending shipments one at a time, always picking the cheapest insertion available
+ * @param {Object} ctx - Solver context
+ * @param {Array} routes - Current routes ({ stops, cost }), updated in place
+ * @param {Set} pending - Indices of shipments not yet assigned, updated in place
+ */
+const insertShipments = (ctx, routes, pending) => {
+    const cache = new Map();
+
+    while (pending.size > 0) {
+        let choice = null;
+
+        for (const shipmentIndex of pending) {
+            const shipment = ctx.shipments[shipmentIndex];
+
+            ctx.vehicles.forEach((vehicle, vehicleIndex) => {
+                const key = `${shipmentIndex}:${vehicleIndex}`;
+                if (!cache.has(key)) {
+                    cache.set(key, findBestInsertion(ctx, vehicle, routes[vehicleIndex].stops, shipmentIndex));
+                }
+
+                const { best } = cache.get(key);
+                if (!best) return;
+
+                const delta = best.cost - routes[vehicleIndex].cost;
+
+                // Optional shipments are only served when cheaper than their penalty
+                if (shipment.penaltyCost !== undefined && delta > shipment.penaltyCost) return;
+
+                if (!choice || delta < choice.delta) {
+                    choice = { shipmentIndex, vehicleIndex, delta, ...best };
+                }
+            });
+        }
+
+        if (!choice) break;
+
+        routes[choice.vehicleIndex] = { stops: choice.stops, cost: choice.cost };
+        pending.delete(choice.shipmentIndex);
+
+        // Only insertions into the modified route need to be recomputed
+        pending.forEach(shipmentIndex => cache.delete(`${shipmentIndex}:${choice.vehicleIndex}`));
+    }
+};
+
+/**
+ * Improves the routes by moving single shipments to their cheapest position elsewhere
+ * @param {Object} ctx - Solver context
+ * @param {Array} routes - Current routes ({ stops, cost }), updated in place
+ * @param {number} maxPasses - Maximum number of passes over all shipments
+ */
+const relocateShipments = (ctx, routes, maxPasses) => {
+    for (let pass = 0; pass < maxPasses; pass++) {
+        let improved = false;
+        const assigned = routes.flatMap(route => route.stops.filter(stop => stop.isPickup || !ctx.shipments[stop.shipmentIndex].pickup))
+            .map(stop => stop.shipmentIndex);
+
+        for (const shipmentIndex of assigned) {
+            const fromIndex = routes.findIndex(route => route.stops.some(stop => stop.shipmentIndex === shipmentIndex));
+            const reducedStops = routes[fromIndex].stops.filter(stop => stop.shipmentIndex !== shipmentIndex);
+            const reduced = simulateRoute(ctx, ctx.vehicles[fromIndex], reducedStops);
+
+            if (!reduced.feasible) continue;
+
+            const removalGain = routes[fromIndex].cost - reduced.cost;
+            let move = null;
+
+            ctx.vehicles.forEach((vehicle, vehicleIndex) => {
+                const baseStops = vehicleIndex === fromIndex ? reducedStops : routes[vehicleIndex].stops;
+                const baseCost = vehicleIndex === fromIndex ? reduced.cost : routes[vehicleIndex].cost;
+                const { best } = findBestInsertion(ctx, vehicle, baseStops, shipmentIndex);
+
+                if (best && (!move || best.cost - baseCost < move.delta)) {
+                    move = { vehicleIndex, delta: best.cost - baseCost, ...best };
+                }
+            });
+
+            if (move && move.delta < removalGain - EPSILON) {
+                routes[fromIndex] = { stops: reducedStops, cost: reduced.cost };
+                routes[move.vehicleIndex] = { stops: move.stops, cost: move.cost };
+                improved = true;
+            }
+        }
+
+        if (!improved) break;
+    }
+};
+
+/**
+ * Explains why a shipment could not be added to any of the final routes
+ * @param {Object} ctx - Solver context
+ * @param {Array} routes - Final routes ({ stops, cost })
+ * @param {number} shipmentIndex - Index of the skipped shipment
+ * @returns {Array} Reasons shaped like the Google API skip reasons
+ */
+const getSkipReasons = (ctx, routes, shipmentIndex) => {
+    const reasons = new Map();
+
+    ctx.vehicles.forEach((vehicle, vehicleIndex) => {
+        const { rejections } = findBestInsertion(ctx, vehicle, routes[vehicleIndex].stops, shipmentIndex);
+
+        rejections.forEach(rejection => {
+            if (reasons.has(rejection.reason)) return;
+
+            reasons.set(rejection.reason, {
+                code: rejection.reason,
+                exampleVehicleIndex: vehicleIndex,
+                ...(rejection.capacityType && { exampleExceededCapacityType: rejection.capacityType })
+            });
+        });
+    });
+
+    return reasons.size > 0 ? [...reasons.values()] : [{ code: SKIP_REASONS.UNSPECIFIED }];
+};
+
+/**
+ * Builds a route in the Google response format from a simulated vehicle route
+ * @param {Object} ctx - Solver context
+ * @param {Object} vehicle - Vehicle from the solver context
+ * @param {Array} stops - Ordered stops of the vehicle
+ * @param {Object} request - Original optimization request
+ * @returns {Object} Route shaped like a Google ShipmentRoute
+ */
+const buildRoute = (ctx, vehicle, stops, request) => {
+    const route = {
+        vehicleIndex: vehicle.index,
+        vehicleLabel: vehicle.label,
+        visits: [],
+        transitions: [],
+        breaks: [],
+        metrics: null,
+        routeCosts: {},
+        routeTotalCost: 0,
+        routePolyline: null
+    };
+
+    if (stops.length === 0) return route;
+
+    const result = simulateRoute(ctx, vehicle, stops);
+    const pickupTimes = {};
+
+    route.vehicleStartTime = toProtoSeconds(result.startTime);
+    route.vehicleEndTime = toProtoSeconds(result.endTime);
+
+    result.schedule.forEach((entry, index) => {
+        const previous = index > 0 ? result.schedule[index - 1].location : vehicle.startLocation;
+        const transition = {
+            travelDuration: toProtoSeconds(entry.leg.durationSeconds),
+            travelDistanceMeters: entry.leg.distanceMeters,
+            trafficInfoUnavailable: true,
+            delayDuration: toProtoSeconds(0),
+            breakDuration: toProtoSeconds(entry.breakSeconds),
+            waitDuration: toProtoSeconds(entry.waitSeconds),
+            totalDuration: toProtoSeconds(entry.leg.durationSeconds + entry.waitSeconds + entry.breakSeconds),
+            startTime: toProtoSeconds(entry.departureTime),
+            vehicleLoads: toLoadMap(entry.loadsBefore)
+        };
+
+        if (request.populateTransitionPolylines && previous && entry.location) {
+            transition.routePolyline = { points: encodePolyline([previous, entry.location]) };
+        }
+
+        route.transitions.push(transition);
+
+        if (!entry.stop) return;
+
+        const shipment = ctx.shipments[entry.stop.shipmentIndex];
+        let detourSeconds;
+
+        if (entry.stop.isPickup || !shipment.pickup) {
+            detourSeconds = entry.startTime - result.startTime - ctx.getLeg(vehicle.startLocation, entry.location).durationSeconds;
+            pickupTimes[shipment.index] = entry.startTime;
+        } else {
+            detourSeconds = entry.startTime - pickupTimes[shipment.index] - shipment.pickup.durationSeconds
+                - ctx.getLeg(shipment.pickup.location, shipment.delivery.location).durationSeconds;
+        }
+
+        route.visits.push({
+            shipmentIndex: shipment.index,
+            isPickup: entry.stop.isPickup,
+            visitRequestIndex: 0,
+            startTime: toProtoSeconds(entry.startTime),
+            loadDemands: toLoadMap(shipment.demands, entry.stop.isPickup ? 1 : -1),
+            detour: toProtoSeconds(Math.max(0, detourSeconds)),
+            shipmentLabel: shipment.label,
+            visitLabel: ''
+        });
+    });
+
+    if (request.populatePolylines) {
+        const points = [vehicle.startLocation, ...result.schedule.map(entry => entry.location)].filter(Boolean);
+        route.routePolyline = { points: encodePolyline(points) };
+    }
+
+    route.metrics = {
+        performedShipmentCount: new Set(stops.map(stop => stop.shipmentIndex)).size,
+        travelDuration: toProtoSeconds(result.metrics.travelSeconds),
+        waitDuration: toProtoSeconds(result.metrics.waitSeconds),
+        delayDuration: toProtoSeconds(0),
+        breakDuration: toProtoSeconds(result.metrics.breakSeconds),
+        visitDuration: toProtoSeconds(result.metrics.visitSeconds),
+        totalDuration: toProtoSeconds(result.metrics.totalSeconds),
+        travelDistanceMeters: result.metrics.distanceMeters,
+        maxLoads: toLoadMap(result.metrics.maxLoads)
+    };
+    route.breaks = result.breaks.map(taken => ({
+        startTime: toProtoSeconds(taken.startTime),
+        duration: toProtoSeconds(taken.durationSeconds)
+    }));
+    route.routeCosts = result.costs;
+    route.routeTotalCost = result.cost;
+
+    return route;
+};
+
+/**
+ * Aggregates the metrics of all used routes, like the Google response metrics
+ * @param {Array} routes - Routes in the Google response format
+ * @param {number} skippedMandatoryShipmentCount - Number of skipped mandatory shipments
+ * @returns {Object} Response-level metrics
+ */
+export const buildResponseMetrics = (routes, skippedMandatoryShipmentCount) => {
+    const usedRoutes = routes.filter(route => route.metrics);
+    const sumDuration = (field) => toProtoSeconds(
+        usedRoutes.reduce((sum, route) => sum + toSeconds(route.metrics[field]), 0)
+    );
+    const costs = {};
+
+    usedRoutes.forEach(route => {
+        Object.entries(route.routeCosts).forEach(([key, cost]) => {
+            costs[key] = (costs[key] || 0) + cost;
+        });
+    });
+
+    const startTimes = usedRoutes.map(route => toSeconds(route.vehicleStartTime));
+    const endTimes = usedRoutes.map(route => toSeconds(route.vehicleEndTime));
+
+    return {
+        aggregatedRouteMetrics: {
+            performedShipmentCount: usedRoutes.reduce((sum, route) => sum + route.metrics.performedShipmentCount, 0),
+            travelDuration: sumDuration('travelDuration'),
+            waitDuration: sumDuration('waitDuration'),
+            delayDuration: sumDuration('delayDuration'),
+            breakDuration: sumDuration('breakDuration'),
+            visitDuration: sumDuration('visitDuration'),
+            totalDuration: sumDuration('totalDuration'),
+            travelDistanceMeters: usedRoutes.reduce((sum, route) => sum + route.metrics.travelDistanceMeters, 0)
+        },
+        skippedMandatoryShipmentCount,
+        usedVehicleCount: usedRoutes.length,
+        earliestVehicleStartTime: startTimes.length > 0 ? toProtoSeconds(Math.min(...startTimes)) : null,
+        latestVehicleEndTime: endTimes.length > 0 ? toProtoSeconds(Math.max(...endTimes)) : null,
+        costs,
+        totalCost: usedRoutes.reduce((sum, route) => sum + route.routeTotalCost, 0)
+    };
+};
+
+/**
+ * Solves an optimizeTours request locally with a cheapest-insertion construction
+ * followed by a relocate local search. Travel times are estimated from straight-line
+ * distances, so results are approximate but need no credentials or network access.
+ * @param {Object} request - Request in the Google optimizeTours format
+ * @param {Object} config - Local solver configuration
+ * @returns {Object} Response in the Google optimizeTours format
+ */
+export const optimizeToursLocally = (request, config = LOCAL_SOLVER_CONFIG) => {
+    const ctx = buildContext(request.model, config);
+    const routes = ctx.vehicles.map(() => ({ stops: [], cost: 0 }));
+    const pending = new Set(ctx.shipments.map(shipment => shipment.index));
+
+    insertShipments(ctx, routes, pending);
+    relocateShipments(ctx, routes, config.maxLocalSearchPasses);
+
+    // Relocations may have freed room for shipments that did not fit before
+    insertShipments(ctx, routes, pending);
+
+    const skippedShipments = [...pending].sort((a, b) => a - b).map(shipmentIndex => ({
+        index: shipmentIndex,
+        label: ctx.shipments[shipmentIndex].label,
+        reasons: getSkipReasons(ctx, routes, shipmentIndex)
+    }));
+    const skippedMandatoryShipmentCount = skippedShipments
+        .filter(skipped => ctx.shipments[skipped.index].penaltyCost === undefined).length;
+
+    const responseRoutes = ctx.vehicles.map((vehicle, vehicleIndex) =>
+        buildRoute(ctx, vehicle, routes[vehicleIndex].stops, request)
+    );
+    const metrics = buildResponseMetrics(responseRoutes, skippedMandatoryShipmentCount);
+
+    return {
+        routes: responseRoutes,
+        skippedShipments,
+        validationErrors: [],
+        requestLabel: request.label || '',
+        metrics,
+        totalCost: metrics.totalCost
+    };
+};
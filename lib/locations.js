@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { DEFAULT_LOCATIONS } from '../config.js';
+
+/**
+ * Normalizes a location name for lookups, so "AMB-T1", "amb t1" and "AMB  T1" match
+ * @param {string} name - Location name or alias
+ * @returns {string} Normalized name
+ */
+export const normalizeLocationName = (name) => {
+    return String(name).trim().toLowerCase().replace(/[\s\-_]+/g, ' ');
+};
+
+/**
+ * Creates a registry of named locations
+ * @param {Array} locations - Location entries (id, name, aliases, latitude, longitude, pickup_dwell_minutes, type)
+ * @returns {Object} Registry with resolve, list and names functions
+ */
+export const createLocationRegistry = (locations) => {
+    if (!Array.isArray(locations)) {
+        throw new Error('Locations must be an array');
+    }
+
+    const entries = locations.map((location, index) => {
+        if (!location.id || !location.name) {
+            throw new Error(`Location ${index} must have an id and a name`);
+        }
+        if (Math.abs(location.latitude) > 90 || Math.abs(location.longitude) > 180 ||
+            !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) {
+            throw new Error(`Location ${location.id} has invalid coordinates`);
+        }
+
+        return {
+            id: String(location.id),
+            name: String(location.name),
+            aliases: (location.aliases || []).map(String),
+            type: location.type || 'other',
+            latitude: location.latitude,
+            longitude: location.longitude,
+            pickup_dwell_minutes: location.pickup_dwell_minutes || 0
+        };
+    });
+
+    // Index every id, name and alias, refusing ambiguous ones
+    const byName = new Map();
+    entries.forEach(entry => {
+        [entry.id, entry.name, ...entry.aliases].forEach(name => {
+            const key = normalizeLocationName(name);
+            const existing = byName.get(key);
+
+            if (existing && existing !== entry) {
+                throw new Error(`Location name "${name}" is used by both ${existing.id} and ${entry.id}`);
+            }
+            byName.set(key, entry);
+        });
+    });
+
+    return {
+        /**
+         * Finds a location by id, name or alias
+         * @param {string} name - Location id, name or alias
+         * @returns {Object|null} Location entry, or null when unknown
+         */
+        resolve: (name) => {
+            if (typeof name !== 'string') return null;
+            return byName.get(normalizeLocationName(name)) || null;
+        },
+        list: () => entries.map(entry => ({ ...entry, aliases: [...entry.aliases] })),
+        names: () => entries.map(entry => entry.name)
+    };
+};
+
+/**
+ * Reads location entries from a JSON or YAML file, either as an array or as { locations: [...] }
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Array} Location entries
+ */
+export const loadLocationsFile = (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const data = extension === '.yaml' || extension === '.yml' ? YAML.parse(content) : JSON.parse(content);
+
+    return Array.isArray(data) ? data : data?.locations;
+};
+
+let locationRegistry = null;
+
+/**
+ * Gets the location registry, loading it on first use from LOCATIONS_FILE,
+ * LOCATIONS_JSON or the defaults in config.js
+ * @returns {Object} Location registry
+ */
+export const getLocationRegistry = () => {
+    if (!locationRegistry) {
+        let locations = DEFAULT_LOCATIONS;
+
+        if (process.env.LOCATIONS_FILE) {
+            locations = loadLocationsFile(process.env.LOCATIONS_FILE);
+        } else if (process.env.LOCATIONS_JSON) {
+            const data = JSON.parse(process.env.LOCATIONS_JSON);
+            locations = Array.isArray(data) ? data : data?.locations;
+        }
+
+        locationRegistry = createLocationRegistry(locations);
+    }
+
+    return locationRegistry;
+};
+
+/**
+ * Replaces the location registry, e.g. after the locations file changed
+ * @param {Object} registry - Registry from createLocationRegistry, or null to reload on next use
+ */
+export const setLocationRegistry = (registry) => {
+    locationRegistry = registry;
+};
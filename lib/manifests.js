@@ -0,0 +1,245 @@
+import { DEFAULT_TIMEZONE } from '../config.js';
+import { buildRouteTimeline } from './timeline.js';
+import { formatLocalDateTime } from './utils.js';
+
+// Texts of the manifests by language
+const MANIFEST_TEXTS = {
+    es: {
+        locale: 'es-CL',
+        title: 'Manifiesto de ruta',
+        vehicle: 'Vehículo',
+        route: 'Ruta',
+        date: 'Fecha',
+        start: 'Inicio',
+        end: 'Término',
+        totalDistance: 'Distancia total',
+        totalTime: 'Tiempo total',
+        passengers: 'Pasajeros',
+        stop: '#',
+        eta: 'Hora estimada',
+        type: 'Tipo',
+        booking: 'Reserva',
+        pax: 'Pax',
+        place: 'Dirección / coordenadas',
+        cumulativeDistance: 'Km acumulados',
+        pickup: 'Recogida',
+        delivery: 'Entrega',
+        minutes: 'min',
+        noStops: 'Sin paradas asignadas'
+    },
+    en: {
+        locale: 'en-US',
+        title: 'Route manifest',
+        vehicle: 'Vehicle',
+        route: 'Route',
+        date: 'Date',
+        start: 'Start',
+        end: 'End',
+        totalDistance: 'Total distance',
+        totalTime: 'Total time',
+        passengers: 'Passengers',
+        stop: '#',
+        eta: 'ETA',
+        type: 'Type',
+        booking: 'Booking',
+        pax: 'Pax',
+        place: 'Address / coordinates',
+        cumulativeDistance: 'Cumulative km',
+        pickup: 'Pickup',
+        delivery: 'Drop-off',
+        minutes: 'min',
+        noStops: 'No stops assigned'
+    }
+};
+
+export const MANIFEST_LANGUAGES = Object.keys(MANIFEST_TEXTS);
+
+/**
+ * Gets the manifest texts of a language
+ * @param {string} language - Language code (es or en)
+ * @returns {Object} Texts of the language
+ */
+const getTexts = (language) => {
+    const texts = MANIFEST_TEXTS[language];
+
+    if (!texts) {
+        throw new Error(`Unknown manifest language "${language}". Available languages: ${MANIFEST_LANGUAGES.join(', ')}`);
+    }
+    return texts;
+};
+
+/**
+ * Escapes text for HTML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHTML = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Builds the manifest of every vehicle with stops: the stops in order with their
+ * place, ETA and cumulative distance, and the totals of the route
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Array} routes - Array of route objects
+ * @param {Object} options - Manifest options
+ * @param {string} options.timeZone - Time zone of the reported local times
+ * @returns {Array} Manifests, one per route with visits
+ */
+export const buildManifests = (bookings, routes, { timeZone = DEFAULT_TIMEZONE } = {}) => {
+    const toLocalTime = (seconds) => formatLocalDateTime(new Date(seconds * 1000), timeZone);
+
+    return routes
+        .map((route, index) => ({ route, routeNumber: index + 1 }))
+        .filter(({ route }) => route.visits?.length > 0)
+        .map(({ route, routeNumber }) => {
+            const timeline = buildRouteTimeline(bookings, route);
+
+            const stops = timeline.map(({ visit, visitIndex, booking, visitRequest, ...entry }) => ({
+                sequence: visitIndex + 1,
+                stop_type: visit.isPickup ? 'pickup' : 'delivery',
+                booking_id: booking.label,
+                pax_count: entry.passengers,
+                address: visitRequest.label || null,
+                latitude: visitRequest.arrivalLocation.latitude,
+                longitude: visitRequest.arrivalLocation.longitude,
+                eta_local: toLocalTime(entry.arrival),
+                cumulative_distance_meters: entry.cumulativeDistanceMeters
+            }));
+            const totalDistance = timeline.length > 0 ? timeline[timeline.length - 1].cumulativeDistanceMeters : 0;
+
+            const startTime = parseInt(route.vehicleStartTime?.seconds || 0);
+            const endTime = parseInt(route.vehicleEndTime?.seconds || 0);
+
+            return {
+                route_number: routeNumber,
+                vehicle: route.vehicleLabel || `Vehicle ${(route.vehicleIndex || 0) + 1}`,
+                start_time_local: toLocalTime(startTime),
+                end_time_local: toLocalTime(endTime),
+                total_distance_meters: parseInt(route.metrics?.travelDistanceMeters || totalDistance),
+                total_time_minutes: Math.round((endTime - startTime) / 60),
+                total_passengers: stops.filter(stop => stop.stop_type === 'pickup')
+                    .reduce((sum, stop) => sum + stop.pax_count, 0),
+                stops
+            };
+        });
+};
+
+/**
+ * Formats the values shown in a manifest in the manifest language
+ * @param {Object} texts - Texts of the manifest language
+ * @returns {Object} Formatting functions
+ */
+const getFormatters = (texts) => {
+    const kilometers = new Intl.NumberFormat(texts.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+    return {
+        date: (localDateTime) => localDateTime.slice(0, 10),
+        time: (localDateTime) => localDateTime.slice(11, 16),
+        km: (meters) => kilometers.format(meters / 1000),
+        stopType: (stop) => stop.stop_type === 'pickup' ? texts.pickup : texts.delivery,
+        place: (stop) => {
+            const coordinates = `${stop.latitude.toFixed(5)}, ${stop.longitude.toFixed(5)}`;
+            return stop.address ? `${stop.address} (${coordinates})` : coordinates;
+        }
+    };
+};
+
+/**
+ * Renders manifests as plain text, one block per vehicle
+ * @param {Array} manifests - Manifests from buildManifests
+ * @param {Object} options - Rendering options
+ * @param {string} options.language - Language code (es by default, or en)
+ * @returns {string} Plain text manifests
+ */
+export const renderManifestsText = (manifests, { language = 'es' } = {}) => {
+    const texts = getTexts(language);
+    const format = getFormatters(texts);
+
+    return manifests.map(manifest => {
+        const header = [
+            `${texts.title.toUpperCase()} - ${texts.vehicle} ${manifest.vehicle} (${texts.route} ${manifest.route_number})`,
+            `${texts.date}: ${format.date(manifest.start_time_local)}   ${texts.start}: ${format.time(manifest.start_time_local)}   ${texts.end}: ${format.time(manifest.end_time_local)}`,
+            `${texts.totalDistance}: ${format.km(manifest.total_distance_meters)} km   ${texts.totalTime}: ${manifest.total_time_minutes} ${texts.minutes}   ${texts.passengers}: ${manifest.total_passengers}`,
+            '-'.repeat(72)
+        ];
+
+        const stops = manifest.stops.length === 0 ? [texts.noStops] : manifest.stops.flatMap(stop => [
+            `${String(stop.sequence).padStart(2)}. ${format.time(stop.eta_local)}  ${format.stopType(stop).padEnd(9)} ` +
+                `${texts.booking} ${stop.booking_id}  ${stop.pax_count} ${texts.pax.toLowerCase()}  ${format.km(stop.cumulative_distance_meters)} km`,
+            `    ${format.place(stop)}`
+        ]);
+
+        return [...header, ...stops].join('\n');
+    }).join('\n\n') + '\n';
+};
+
+/**
+ * Renders manifests as a printable HTML document, one page per vehicle
+ * @param {Array} manifests - Manifests from buildManifests
+ * @param {Object} options - Rendering options
+ * @param {string} options.language - Language code (es by default, or en)
+ * @returns {string} HTML document
+ */
+export const renderManifestsHTML = (manifests, { language = 'es' } = {}) => {
+    const texts = getTexts(language);
+    const format = getFormatters(texts);
+
+    const pages = manifests.map(manifest => `
+<section class="manifest">
+  <h1>${escapeHTML(texts.title)}: ${escapeHTML(texts.vehicle)} ${escapeHTML(manifest.vehicle)}</h1>
+  <p class="summary">
+    <span>${escapeHTML(texts.route)}: ${manifest.route_number}</span>
+    <span>${escapeHTML(texts.date)}: ${format.date(manifest.start_time_local)}</span>
+    <span>${escapeHTML(texts.start)}: ${format.time(manifest.start_time_local)}</span>
+    <span>${escapeHTML(texts.end)}: ${format.time(manifest.end_time_local)}</span>
+    <span>${escapeHTML(texts.totalDistance)}: ${format.km(manifest.total_distance_meters)} km</span>
+    <span>${escapeHTML(texts.totalTime)}: ${manifest.total_time_minutes} ${escapeHTML(texts.minutes)}</span>
+    <span>${escapeHTML(texts.passengers)}: ${manifest.total_passengers}</span>
+  </p>
+  <table>
+    <thead>
+      <tr><th>${escapeHTML(texts.stop)}</th><th>${escapeHTML(texts.eta)}</th><th>${escapeHTML(texts.type)}</th><th>${escapeHTML(texts.booking)}</th><th>${escapeHTML(texts.pax)}</th><th>${escapeHTML(texts.place)}</th><th>${escapeHTML(texts.cumulativeDistance)}</th></tr>
+    </thead>
+    <tbody>${manifest.stops.map(stop => `
+      <tr class="${stop.stop_type}"><td>${stop.sequence}</td><td>${format.time(stop.eta_local)}</td><td>${escapeHTML(format.stopType(stop))}</td><td>${escapeHTML(stop.booking_id)}</td><td>${stop.pax_count}</td><td>${escapeHTML(format.place(stop))}</td><td>${format.km(stop.cumulative_distance_meters)}</td></tr>`).join('')}
+    </tbody>
+  </table>
+</section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(texts.title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12pt; margin: 1.5cm; }
+  h1 { font-size: 16pt; margin-bottom: 0.2cm; }
+  .summary span { margin-right: 1em; white-space: nowrap; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  tr.pickup td { background: #f5f9ff; }
+  .manifest { page-break-after: always; }
+  .manifest:last-child { page-break-after: auto; }
+</style>
+</head>
+<body>${pages || `\n<p>${escapeHTML(texts.noStops)}</p>`}
+</body>
+</html>
+`;
+};
+
+// Manifest formats available with the `format` query parameter
+export const MANIFEST_FORMATS = {
+    'manifest-html': {
+        contentType: 'text/html',
+        build: (bookings, routes, options) => renderManifestsHTML(buildManifests(bookings, routes, options), options)
+    },
+    'manifest-text': {
+        contentType: 'text/plain',
+        build: (bookings, routes, options) => renderManifestsText(buildManifests(bookings, routes, options), options)
+    }
+};
@@ -0,0 +1,237 @@
+import { DEFAULT_TIMEZONE } from '../config.js';
+import { getVisitTimes } from './aux.js';
+import { decodePolyline, formatLocalDateTime } from './utils.js';
+
+// Line colors of the routes in KML, cycled by route (aabbggrr, as KML expects)
+const KML_ROUTE_COLORS = ['ffd18b1f', 'ff2f7fff', 'ff3cb44b', 'ff4b19e6', 'ffb4469f', 'ff30c9f5'];
+
+/**
+ * Escapes text for XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeXML = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Builds the stops and the path of every route, shared by all export formats
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Array} routes - Array of route objects
+ * @param {string} timeZone - Time zone of the reported local times
+ * @returns {Array} Routes with their vehicle, path ({ latitude, longitude } points) and stops
+ */
+const buildMapRoutes = (bookings, routes, timeZone) => {
+    return routes
+        .map((route, index) => {
+            const stops = (route.visits || []).map((visit, visitIndex) => {
+                const booking = bookings[visit.shipmentIndex || 0];
+                const visitRequest = visit.isPickup ? booking.pickups[0] : booking.deliveries[0];
+                const times = getVisitTimes(route, visitIndex, visitRequest);
+
+                return {
+                    sequence: visitIndex + 1,
+                    booking_id: booking.label,
+                    stop_type: visit.isPickup ? 'pickup' : 'delivery',
+                    pax_count: parseInt(booking.loadDemands?.passengers?.amount) || 0,
+                    latitude: visitRequest.arrivalLocation.latitude,
+                    longitude: visitRequest.arrivalLocation.longitude,
+                    arrival_time: times.arrival,
+                    arrival_time_local: formatLocalDateTime(new Date(times.arrival * 1000), timeZone),
+                    departure_time_local: formatLocalDateTime(new Date(times.departure * 1000), timeZone)
+                };
+            });
+
+            // Routes without a polyline are drawn as straight lines between their stops
+            const path = route.routePolyline?.points ?
+                decodePolyline(route.routePolyline.points) :
+                stops.map(stop => ({ latitude: stop.latitude, longitude: stop.longitude }));
+
+            return {
+                route_number: index + 1,
+                vehicle: route.vehicleLabel || `Vehicle ${(route.vehicleIndex || 0) + 1}`,
+                distance_meters: parseInt(route.metrics?.travelDistanceMeters || 0),
+                path,
+                stops
+            };
+        })
+        .filter(route => route.stops.length > 0);
+};
+
+/**
+ * Describes a stop in one line, for map labels
+ * @param {Object} stop - Stop from buildMapRoutes
+ * @returns {string} Stop description
+ */
+const describeStop = (stop) => {
+    return `${stop.stop_type === 'pickup' ? 'Pickup' : 'Drop-off'} of booking ${stop.booking_id} ` +
+        `(${stop.pax_count} passengers) at ${stop.arrival_time_local}`;
+};
+
+/**
+ * Builds a GeoJSON FeatureCollection of a plan: a LineString per route and a Point per stop
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Array} routes - Array of route objects
+ * @param {Object} options - Export options
+ * @param {string} options.timeZone - Time zone of the reported local times
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export const buildGeoJSON = (bookings, routes, { timeZone = DEFAULT_TIMEZONE } = {}) => {
+    const features = buildMapRoutes(bookings, routes, timeZone).flatMap(route => [
+        {
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: route.path.map(point => [point.longitude, point.latitude])
+            },
+            properties: {
+                feature_type: 'route',
+                route_number: route.route_number,
+                vehicle: route.vehicle,
+                distance_meters: route.distance_meters,
+                stop_count: route.stops.length
+            }
+        },
+        ...route.stops.map(stop => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [stop.longitude, stop.latitude]
+            },
+            properties: {
+                feature_type: 'stop',
+                route_number: route.route_number,
+                vehicle: route.vehicle,
+                sequence: stop.sequence,
+                booking_id: stop.booking_id,
+                stop_type: stop.stop_type,
+                pax_count: stop.pax_count,
+                arrival_time: stop.arrival_time_local,
+                departure_time: stop.departure_time_local
+            }
+        }))
+    ]);
+
+    return { type: 'FeatureCollection', features };
+};
+
+/**
+ * Builds a KML document of a plan for Google Earth: a folder per vehicle with its route line and stops
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Array} routes - Array of route objects
+ * @param {Object} options - Export options
+ * @param {string} options.timeZone - Time zone of the reported local times
+ * @returns {string} KML document
+ */
+export const buildKML = (bookings, routes, { timeZone = DEFAULT_TIMEZONE } = {}) => {
+    const mapRoutes = buildMapRoutes(bookings, routes, timeZone);
+    const toCoordinates = (points) => points.map(point => `${point.longitude},${point.latitude},0`).join(' ');
+
+    const styles = mapRoutes.map(route => `
+    <Style id="route-${route.route_number}">
+      <LineStyle><color>${KML_ROUTE_COLORS[(route.route_number - 1) % KML_ROUTE_COLORS.length]}</color><width>4</width></LineStyle>
+    </Style>`).join('');
+
+    const folders = mapRoutes.map(route => `
+    <Folder>
+      <name>${escapeXML(route.vehicle)}</name>
+      <Placemark>
+        <name>${escapeXML(`Route ${route.route_number} - ${route.vehicle}`)}</name>
+        <description>${escapeXML(`${route.stops.length} stops, ${(route.distance_meters / 1000).toFixed(1)} km`)}</description>
+        <styleUrl>#route-${route.route_number}</styleUrl>
+        <LineString><tessellate>1</tessellate><coordinates>${toCoordinates(route.path)}</coordinates></LineString>
+      </Placemark>${route.stops.map(stop => `
+      <Placemark>
+        <name>${escapeXML(`${stop.sequence}. ${stop.booking_id}`)}</name>
+        <description>${escapeXML(describeStop(stop))}</description>
+        <Point><coordinates>${toCoordinates([stop])}</coordinates></Point>
+      </Placemark>`).join('')}
+    </Folder>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Optimized routes</name>${styles}${folders}
+  </Document>
+</kml>
+`;
+};
+
+/**
+ * Builds a GPX document of a plan for navigation apps: per vehicle, a route with the stops
+ * in order (rte) and the track to drive (trk)
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Array} routes - Array of route objects
+ * @param {Object} options - Export options
+ * @param {string} options.timeZone - Time zone of the reported local times
+ * @returns {string} GPX 1.1 document
+ */
+export const buildGPX = (bookings, routes, { timeZone = DEFAULT_TIMEZONE } = {}) => {
+    const mapRoutes = buildMapRoutes(bookings, routes, timeZone);
+
+    const gpxRoutes = mapRoutes.map(route => `
+  <rte>
+    <name>${escapeXML(route.vehicle)}</name>
+    <number>${route.route_number}</number>${route.stops.map(stop => `
+    <rtept lat="${stop.latitude}" lon="${stop.longitude}">
+      <time>${new Date(stop.arrival_time * 1000).toISOString()}</time>
+      <name>${escapeXML(`${stop.sequence}. ${stop.booking_id}`)}</name>
+      <desc>${escapeXML(describeStop(stop))}</desc>
+      <type>${stop.stop_type}</type>
+    </rtept>`).join('')}
+  </rte>`).join('');
+
+    const tracks = mapRoutes.map(route => `
+  <trk>
+    <name>${escapeXML(route.vehicle)}</name>
+    <number>${route.route_number}</number>
+    <trkseg>${route.path.map(point => `
+      <trkpt lat="${point.latitude}" lon="${point.longitude}"/>`).join('')}
+    </trkseg>
+  </trk>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="route-optimization-algorithm" xmlns="http://www.topografix.com/GPX/1/1">${gpxRoutes}${tracks}
+</gpx>
+`;
+};
+
+// Export formats available with the `format` query parameter
+export const EXPORT_FORMATS = {
+    geojson: {
+        contentType: 'application/geo+json',
+        build: (bookings, routes, options) => JSON.stringify(buildGeoJSON(bookings, routes, options))
+    },
+    kml: {
+        contentType: 'application/vnd.google-earth.kml+xml',
+        build: buildKML
+    },
+    gpx: {
+        contentType: 'application/gpx+xml',
+        build: buildGPX
+    }
+};
+
+/**
+ * Exports a plan in one of the map formats
+ * @param {string} format - Export format (geojson, kml or gpx)
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Array} routes - Array of route objects
+ * @param {Object} options - Export options (timeZone)
+ * @returns {Object} Object with the content type and the document
+ */
+export const exportPlan = (format, bookings, routes, options = {}) => {
+    const exportFormat = EXPORT_FORMATS[format];
+
+    if (!exportFormat) {
+        throw new Error(`Unknown export format "${format}". Available formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    return {
+        contentType: exportFormat.contentType,
+        content: exportFormat.build(bookings, routes, options)
+    };
+};
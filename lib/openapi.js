@@ -0,0 +1,424 @@
+import fs from 'fs';
+import { PRICING_RULES } from '../config.js';
+import { JOB_STATUS } from './jobs.js';
+import { MANIFEST_FORMATS, MANIFEST_LANGUAGES } from './manifests.js';
+import { EXPORT_FORMATS } from './mapExports.js';
+import { SOLO_FARE_BASIS } from './pricing.js';
+import { responseSchema } from './responseModel.js';
+import { USAGE_COUNTERS } from './usage.js';
+import { jobRequestSchema, reoptimizationSchema, requestSchema, scenarioRequestSchema } from './validation.js';
+
+const { name, version, description } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+/**
+ * Removes the `x-` keywords only validateSchema understands, so generic tools read the schemas
+ * @param {*} schema - Schema or part of a schema
+ * @returns {*} Copy of the schema without `x-` keywords
+ */
+const toPublicSchema = (schema) => {
+    if (Array.isArray(schema)) return schema.map(toPublicSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([keyword]) => !keyword.startsWith('x-'))
+        .map(([keyword, value]) => [keyword, toPublicSchema(value)]));
+};
+
+const errorSchema = {
+    type: 'object',
+    required: ['status', 'error'],
+    properties: {
+        status: { type: 'string', enum: ['error'] },
+        error: { type: 'string' },
+        validation_errors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['path', 'message'],
+                properties: {
+                    path: { type: 'string', description: 'JSON path of the invalid value, e.g. $.bookings[0].pax_count' },
+                    message: { type: 'string' }
+                }
+            }
+        },
+        rejected_bookings: { type: 'array', items: { type: 'object' } },
+        retry_after_seconds: { type: 'integer', description: 'Time until the exceeded limit resets, also in the Retry-After header' }
+    }
+};
+
+const jobSchema = {
+    type: 'object',
+    required: ['job_id', 'status', 'progress', 'created_at'],
+    properties: {
+        job_id: { type: 'string' },
+        status: { type: 'string', enum: Object.values(JOB_STATUS) },
+        progress: { type: 'integer', minimum: 0, maximum: 100 },
+        created_at: { type: 'string', format: 'date-time' },
+        started_at: { type: ['string', 'null'], format: 'date-time' },
+        finished_at: { type: ['string', 'null'], format: 'date-time' },
+        callback: { type: ['object', 'null'] },
+        result: { type: ['object', 'null'], description: 'Optimization response, once the job succeeded' },
+        error: { type: ['object', 'null'], description: 'Error response with its status_code, once the job failed' }
+    }
+};
+
+const amountSchema = { type: 'number' };
+
+const quoteSchema = {
+    type: 'object',
+    required: ['status', 'pricing_rule', 'totals', 'quotes', 'unassigned'],
+    properties: {
+        status: { type: 'string', enum: ['success'] },
+        pricing_rule: { type: 'string', enum: PRICING_RULES },
+        totals: {
+            type: 'object',
+            properties: {
+                quoted_bookings: { type: 'integer', minimum: 0 },
+                fare: amountSchema,
+                solo_fare: amountSchema,
+                solo_fare_basis: { type: 'string', enum: [SOLO_FARE_BASIS] },
+                shared_discount: amountSchema,
+                shared_discount_percent: { type: 'number' }
+            }
+        },
+        quotes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    booking_id: { type: 'string' },
+                    vehicle: { type: 'string' },
+                    pricing_rule: { type: 'string', enum: PRICING_RULES },
+                    zone: { type: ['string', 'null'], description: 'Comuna the booking is priced in' },
+                    route_cost: amountSchema,
+                    share_percent: { type: 'number', description: 'Share of the route cost paid by the booking' },
+                    fare: amountSchema,
+                    solo_fare: { ...amountSchema, description: 'Estimated cost of the same vehicle serving only this booking, from straight-line distances' },
+                    solo_fare_basis: { type: 'string', enum: [SOLO_FARE_BASIS], description: 'How the solo fare was computed' },
+                    shared_discount: { ...amountSchema, description: 'Solo fare minus fare, negative when sharing costs more; as much an estimate as the solo fare' },
+                    shared_discount_percent: { type: 'number' },
+                    shared_with: { type: 'array', items: { type: 'string' }, description: 'Bookings on board during part of the ride' }
+                }
+            }
+        },
+        unassigned: { type: 'array', items: { type: 'object' } },
+        rejected_bookings: {
+            type: 'array',
+            description: 'Bookings that could not be geocoded, so were not quoted',
+            items: {
+                type: 'object',
+                required: ['booking_id', 'field', 'address', 'comuna', 'reason'],
+                properties: {
+                    booking_id: { type: 'string', description: 'job_id of the booking, or "Booking <n>" without one' },
+                    field: { type: 'string', enum: ['origin', 'destination'] },
+                    address: { type: ['string', 'null'] },
+                    comuna: { type: ['string', 'null'] },
+                    reason: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const scenarioComparisonSchema = {
+    type: 'object',
+    required: ['status', 'scenarios', 'suggested_fleet'],
+    properties: {
+        status: { type: 'string', enum: ['success'] },
+        scenarios: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'kind', 'vehicle_count', 'status'],
+                properties: {
+                    name: { type: 'string' },
+                    kind: { type: 'string', enum: ['base', 'variant', 'fleet_sweep'] },
+                    vehicle_count: { type: 'integer', minimum: 1 },
+                    parameters: { type: 'object', description: 'Parameters the scenario overrides' },
+                    status: { type: 'string', enum: ['success', 'error'] },
+                    total_cost: amountSchema,
+                    total_distance_meters: { type: 'integer', minimum: 0 },
+                    vehicles_used: { type: 'integer', minimum: 0 },
+                    unassigned_bookings: { type: 'integer', minimum: 0 },
+                    unassigned_booking_ids: { type: 'array', items: { type: 'string' } },
+                    rejected_bookings: { type: 'integer', minimum: 0, description: 'Bookings that could not be geocoded, so were not planned' },
+                    rejected_booking_ids: { type: 'array', items: { type: 'string' } },
+                    worst_ride_minutes: { type: ['integer', 'null'], description: 'Longest ride from pickup to drop-off' },
+                    error: { type: 'object', description: 'Why the scenario could not be planned' }
+                }
+            }
+        },
+        suggested_fleet: {
+            type: ['object', 'null'],
+            description: 'Smallest fleet of the base scenario and the fleet sweep serving every booking, null when none does',
+            properties: {
+                vehicle_count: { type: 'integer', minimum: 1 },
+                vehicles: { type: 'array', items: { type: 'string' } },
+                scenario: { type: 'string' },
+                total_cost: amountSchema
+            }
+        }
+    }
+};
+
+const countersSchema = {
+    type: 'object',
+    properties: Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, { type: 'integer' }]))
+};
+
+const usageReportSchema = {
+    type: 'object',
+    required: ['status', 'from', 'to', 'clients', 'cost_centers'],
+    properties: {
+        status: { type: 'string', enum: ['success'] },
+        from: { type: 'string', format: 'date' },
+        to: { type: 'string', format: 'date' },
+        clients: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    client_id: { type: 'string' },
+                    name: { type: 'string' },
+                    cost_center: { type: ['string', 'null'] },
+                    limits: {
+                        type: 'object',
+                        description: 'Rate limit and daily quotas, null for no limit',
+                        properties: {
+                            rate_limit_per_minute: { type: ['integer', 'null'] },
+                            daily_max_optimizations: { type: ['integer', 'null'] },
+                            daily_max_shipments: { type: ['integer', 'null'] }
+                        }
+                    },
+                    totals: countersSchema,
+                    days: {
+                        type: 'array',
+                        items: { ...countersSchema, properties: { date: { type: 'string', format: 'date' }, ...countersSchema.properties } }
+                    }
+                }
+            }
+        },
+        cost_centers: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    cost_center: { type: ['string', 'null'] },
+                    client_ids: { type: 'array', items: { type: 'string' } },
+                    totals: countersSchema
+                }
+            }
+        }
+    }
+};
+
+const jsonContent = (schemaName) => ({
+    'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } }
+});
+
+const errorResponses = {
+    400: { description: 'Invalid request', content: jsonContent('ErrorResponse') },
+    401: { description: 'Missing or invalid API key or signature', content: jsonContent('ErrorResponse') },
+    429: { description: 'Over the rate limit or a daily quota of the client', content: jsonContent('ErrorResponse') },
+    500: { description: 'Unexpected error', content: jsonContent('ErrorResponse') }
+};
+
+const optimizationResponses = {
+    200: {
+        description: 'Optimized plan. The response model below is returned with parameters.RESPONSE_VERSION = 2; ' +
+            'version 1 (the default) keeps the original response shape.',
+        content: jsonContent('OptimizationResponse')
+    },
+    422: { description: 'No booking could be geocoded', content: jsonContent('ErrorResponse') },
+    ...errorResponses
+};
+
+/**
+ * Builds the OpenAPI 3.1 description of the HTTP API served by server.js. The request
+ * schemas are the ones requests are validated with, so the document cannot drift from them.
+ * @returns {Object} OpenAPI document
+ */
+export const buildOpenAPIDocument = () => ({
+    openapi: '3.1.0',
+    info: { title: name, version, description },
+    // Requests are only authenticated when API clients are configured
+    security: [{ ApiKey: [] }, { BearerKey: [] }, { ClientId: [], SignatureTimestamp: [], Signature: [] }],
+    paths: {
+        '/v1/optimize': {
+            post: {
+                summary: 'Plans the routes of a set of bookings',
+                parameters: [
+                    {
+                        name: 'format',
+                        in: 'query',
+                        description: 'Returns the plan as a map export or as driver manifests instead of JSON',
+                        schema: { type: 'string', enum: ['json', ...Object.keys(EXPORT_FORMATS), ...Object.keys(MANIFEST_FORMATS)] }
+                    },
+                    {
+                        name: 'lang',
+                        in: 'query',
+                        description: 'Language of the driver manifests',
+                        schema: { type: 'string', enum: MANIFEST_LANGUAGES }
+                    }
+                ],
+                requestBody: { required: true, content: jsonContent('OptimizationRequest') },
+                responses: optimizationResponses
+            }
+        },
+        '/v1/optimize/legacy': {
+            post: {
+                summary: 'Plans the routes and returns only the legacy visit list',
+                requestBody: { required: true, content: jsonContent('OptimizationRequest') },
+                responses: {
+                    200: { description: 'Legacy visit list, in the LEGACY_FORMAT_VERSION format' },
+                    ...errorResponses
+                }
+            }
+        },
+        '/v1/reoptimize': {
+            post: {
+                summary: 'Re-plans a plan in progress from the current vehicle positions',
+                requestBody: { required: true, content: jsonContent('ReoptimizationRequest') },
+                responses: {
+                    ...optimizationResponses,
+                    200: {
+                        ...optimizationResponses[200],
+                        description: `${optimizationResponses[200].description} A \`changes\` list compares the new plan with the current one, and \`stranded_booking_ids\` lists the passengers on board it could not drop off.`
+                    }
+                }
+            }
+        },
+        '/v1/quote': {
+            post: {
+                summary: 'Quotes the fare of each booking of a set without dispatching them',
+                requestBody: { required: true, content: jsonContent('OptimizationRequest') },
+                responses: {
+                    200: { description: 'Fares, in the PRICING_RULE of the request', content: jsonContent('Quote') },
+                    422: { description: 'No booking could be geocoded', content: jsonContent('ErrorResponse') },
+                    ...errorResponses
+                }
+            }
+        },
+        '/v1/scenarios': {
+            post: {
+                summary: 'Compares what-if variants of a request and suggests the smallest fleet serving every booking',
+                requestBody: { required: true, content: jsonContent('ScenarioRequest') },
+                responses: {
+                    200: { description: 'Comparison table', content: jsonContent('ScenarioComparison') },
+                    ...errorResponses
+                }
+            }
+        },
+        '/v1/jobs': {
+            post: {
+                summary: 'Queues an optimization and returns its job at once',
+                requestBody: { required: true, content: jsonContent('JobRequest') },
+                responses: {
+                    202: { description: 'Job queued', content: jsonContent('Job') },
+                    ...errorResponses
+                }
+            }
+        },
+        '/v1/jobs/{job_id}': {
+            parameters: [{ name: 'job_id', in: 'path', required: true, schema: { type: 'string' } }],
+            get: {
+                summary: 'Gets the status, progress and result of a job',
+                responses: {
+                    200: { description: 'Job', content: jsonContent('Job') },
+                    404: { description: 'Unknown job', content: jsonContent('ErrorResponse') }
+                }
+            },
+            delete: {
+                summary: 'Cancels a queued or running job',
+                responses: {
+                    200: { description: 'Job cancelled', content: jsonContent('Job') },
+                    404: { description: 'Unknown job', content: jsonContent('ErrorResponse') },
+                    409: { description: 'The job already finished', content: jsonContent('ErrorResponse') }
+                }
+            }
+        },
+        '/v1/jobs/{job_id}/cancel': {
+            parameters: [{ name: 'job_id', in: 'path', required: true, schema: { type: 'string' } }],
+            post: {
+                summary: 'Cancels a queued or running job',
+                responses: {
+                    200: { description: 'Job cancelled', content: jsonContent('Job') },
+                    404: { description: 'Unknown job', content: jsonContent('ErrorResponse') },
+                    409: { description: 'The job already finished', content: jsonContent('ErrorResponse') }
+                }
+            }
+        },
+        '/v1/locations': {
+            get: {
+                summary: 'Lists the named pickup and start locations',
+                responses: { 200: { description: 'Named locations' } }
+            }
+        },
+        '/v1/usage': {
+            get: {
+                summary: 'Reports the usage of API clients per day and cost center',
+                parameters: [
+                    { name: 'from', in: 'query', description: 'First day, defaults to the first of the month', schema: { type: 'string', format: 'date' } },
+                    { name: 'to', in: 'query', description: 'Last day, defaults to today', schema: { type: 'string', format: 'date' } },
+                    { name: 'client_id', in: 'query', description: 'Client to report, for admin clients', schema: { type: 'string' } }
+                ],
+                responses: {
+                    200: { description: 'Usage report', content: jsonContent('UsageReport') },
+                    ...errorResponses,
+                    403: { description: 'Usage of another client requested by a client that is not an admin', content: jsonContent('ErrorResponse') },
+                    404: { description: 'Unknown client', content: jsonContent('ErrorResponse') }
+                }
+            }
+        },
+        '/v1/openapi.json': {
+            get: {
+                summary: 'Gets this document',
+                security: [],
+                responses: { 200: { description: 'OpenAPI document' } }
+            }
+        },
+        '/healthz': {
+            get: {
+                summary: 'Liveness check',
+                security: [],
+                responses: { 200: { description: 'The server is up' } }
+            }
+        },
+        '/readyz': {
+            get: {
+                summary: 'Readiness check of the solver, the named locations and the API clients',
+                security: [],
+                responses: {
+                    200: { description: 'Ready to take requests' },
+                    503: { description: 'Not ready, or shutting down' }
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            OptimizationRequest: toPublicSchema(requestSchema),
+            JobRequest: toPublicSchema(jobRequestSchema),
+            ReoptimizationRequest: toPublicSchema(reoptimizationSchema),
+            OptimizationResponse: responseSchema,
+            ScenarioRequest: toPublicSchema(scenarioRequestSchema),
+            ScenarioComparison: scenarioComparisonSchema,
+            Quote: quoteSchema,
+            Job: jobSchema,
+            UsageReport: usageReportSchema,
+            ErrorResponse: errorSchema
+        },
+        securitySchemes: {
+            ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            BearerKey: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token' },
+            ClientId: { type: 'apiKey', in: 'header', name: 'X-Client-Id' },
+            SignatureTimestamp: { type: 'apiKey', in: 'header', name: 'X-Signature-Timestamp', description: 'Current Unix time in seconds' },
+            Signature: {
+                type: 'apiKey',
+                in: 'header',
+                name: 'X-Signature',
+                description: 'Hexadecimal HMAC-SHA256, with the client secret, of the timestamp, method, path with query string and raw request body, joined by dots'
+            }
+        }
+    }
+});
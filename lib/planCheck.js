@@ -0,0 +1,190 @@
+import { buildRouteTimeline, getStartLoads } from './timeline.js';
+
+// Violation codes reported by checkPlan
+export const PLAN_VIOLATIONS = {
+    CAPACITY: 'CAPACITY_EXCEEDED',
+    ROUTE_DURATION: 'ROUTE_DURATION_EXCEEDED',
+    SHIFT: 'OUTSIDE_VEHICLE_SHIFT',
+    RIDE_TIME: 'RIDE_TIME_EXCEEDED',
+    PRECEDENCE: 'DELIVERY_BEFORE_PICKUP',
+    MISSING_VISIT: 'MISSING_PICKUP_OR_DELIVERY',
+    DUPLICATE_VISIT: 'DUPLICATE_VISIT',
+    SPLIT_BOOKING: 'BOOKING_IN_SEVERAL_ROUTES',
+    VEHICLE_NOT_ALLOWED: 'VEHICLE_NOT_ALLOWED'
+};
+
+const toSeconds = (value) => parseInt(value?.seconds ?? 0) || 0;
+
+/**
+ * Checks the loads on board against the vehicle load limits, reporting each load type
+ * once per route at the first stop where it goes over
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Object} route - Route object containing visits
+ * @param {Object} vehicle - Vehicle object with loadLimits
+ * @param {Function} report - Adds a violation
+ */
+const checkCapacity = (bookings, route, vehicle, report) => {
+    const startLoads = getStartLoads(bookings, route);
+    const timeline = buildRouteTimeline(bookings, route);
+    const loadsOnBoard = {
+        passengers: (entry) => entry.passengersOnBoard,
+        luggage: (entry) => entry.luggageOnBoard
+    };
+
+    Object.entries(loadsOnBoard).forEach(([type, getLoad]) => {
+        const maxLoad = vehicle?.loadLimits?.[type]?.maxLoad;
+        if (maxLoad === undefined) return;
+
+        const limit = parseInt(maxLoad);
+        const overloaded = startLoads[type] > limit ?
+            { sequence: null, load: startLoads[type] } :
+            timeline.map(entry => ({ sequence: entry.visitIndex + 1, bookingId: entry.booking?.label, load: getLoad(entry) }))
+                .find(stop => stop.load > limit);
+
+        if (overloaded) {
+            report(PLAN_VIOLATIONS.CAPACITY, {
+                booking_id: overloaded.bookingId ?? null,
+                sequence: overloaded.sequence,
+                message: `${overloaded.load} ${type} on board ${overloaded.sequence ? `after stop ${overloaded.sequence}` : 'at the start'}, over the limit of ${limit}`
+            });
+        }
+    });
+};
+
+/**
+ * Checks the route duration limit and the shift of a vehicle. Multi-trip routes are
+ * checked trip by trip, since each trip is a route of its own for the solver.
+ * @param {Object} route - Route object
+ * @param {Object} vehicle - Vehicle object with routeDurationLimit and shift time windows
+ * @param {Function} report - Adds a violation
+ */
+const checkDuration = (route, vehicle, report) => {
+    const maxDuration = vehicle?.routeDurationLimit?.maxDuration;
+    const legs = route.trips?.length ?
+        route.trips.map(trip => ({ start: toSeconds(trip.startTime), end: toSeconds(trip.endTime) })) :
+        [{ start: toSeconds(route.vehicleStartTime), end: toSeconds(route.vehicleEndTime) }];
+
+    if (maxDuration) {
+        legs.forEach(({ start, end }) => {
+            if (end - start > toSeconds(maxDuration)) {
+                report(PLAN_VIOLATIONS.ROUTE_DURATION, {
+                    message: `Route takes ${Math.round((end - start) / 60)} minutes, over the limit of ${Math.round(toSeconds(maxDuration) / 60)}`
+                });
+            }
+        });
+    }
+
+    const shiftStart = vehicle?.startTimeWindows?.[0]?.startTime;
+    const shiftEnd = vehicle?.endTimeWindows?.[0]?.endTime;
+
+    if (shiftStart && toSeconds(route.vehicleStartTime) < toSeconds(shiftStart)) {
+        report(PLAN_VIOLATIONS.SHIFT, { message: 'Route starts before the vehicle shift' });
+    }
+    if (shiftEnd && toSeconds(route.vehicleEndTime) > toSeconds(shiftEnd)) {
+        report(PLAN_VIOLATIONS.SHIFT, { message: 'Route ends after the vehicle shift' });
+    }
+};
+
+/**
+ * Checks that every booking of a route is picked up once before it is dropped off once,
+ * in a vehicle allowed to serve it and within its ride time limit
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Object} route - Route object containing visits
+ * @param {Function} report - Adds a violation
+ * @returns {Set} Indices of the bookings served by the route
+ */
+const checkBookings = (bookings, route, report) => {
+    const visitsByBooking = new Map();
+
+    (route.visits || []).forEach((visit, visitIndex) => {
+        const shipmentIndex = visit.shipmentIndex || 0;
+        const visits = visitsByBooking.get(shipmentIndex) || { pickups: [], deliveries: [] };
+
+        (visit.isPickup ? visits.pickups : visits.deliveries).push({ visit, sequence: visitIndex + 1 });
+        visitsByBooking.set(shipmentIndex, visits);
+    });
+
+    visitsByBooking.forEach(({ pickups, deliveries }, shipmentIndex) => {
+        const booking = bookings[shipmentIndex];
+        const bookingReport = (code, message, sequence = null) => report(code, { booking_id: booking?.label ?? null, sequence, message });
+
+        if (pickups.length > 1 || deliveries.length > 1) {
+            bookingReport(PLAN_VIOLATIONS.DUPLICATE_VISIT, 'Booking is visited more than once');
+        }
+
+        // Bookings without a pickup request are already on board
+        const needsPickup = Boolean(booking?.pickups?.length);
+        if ((needsPickup && pickups.length === 0) || deliveries.length === 0) {
+            bookingReport(PLAN_VIOLATIONS.MISSING_VISIT, pickups.length === 0 ? 'Booking is dropped off without a pickup' : 'Booking is picked up but never dropped off');
+        }
+
+        const pickup = pickups[0];
+        const delivery = deliveries[0];
+
+        if (pickup && delivery && delivery.sequence < pickup.sequence) {
+            bookingReport(PLAN_VIOLATIONS.PRECEDENCE, `Drop-off at stop ${delivery.sequence} comes before the pickup at stop ${pickup.sequence}`, delivery.sequence);
+        }
+
+        const rideLimit = booking?.pickupToDeliveryTimeLimit;
+        if (pickup && delivery && rideLimit) {
+            const rideSeconds = toSeconds(delivery.visit.startTime) - toSeconds(pickup.visit.startTime);
+
+            if (rideSeconds > toSeconds(rideLimit)) {
+                bookingReport(PLAN_VIOLATIONS.RIDE_TIME, `Ride takes ${Math.round(rideSeconds / 60)} minutes, over the limit of ${Math.round(toSeconds(rideLimit) / 60)}`, delivery.sequence);
+            }
+        }
+
+        if (booking?.allowedVehicleIndices && !booking.allowedVehicleIndices.includes(route.vehicleIndex || 0)) {
+            bookingReport(PLAN_VIOLATIONS.VEHICLE_NOT_ALLOWED, 'Vehicle lacks a feature the booking requires');
+        }
+    });
+
+    return new Set(visitsByBooking.keys());
+};
+
+/**
+ * Checks a plan returned by a solver before it goes to dispatch, independently of the
+ * solver: vehicle capacities, route durations and shifts, ride time limits, and that
+ * every booking is picked up before it is dropped off, by a single vehicle
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Array} vehicles - Array of vehicle objects
+ * @param {Array} routes - Array of route objects
+ * @returns {Object} Whether the plan is valid and its violations
+ */
+export const checkPlan = (bookings, vehicles, routes) => {
+    const violations = [];
+    const routesByBooking = new Map();
+
+    (routes || []).forEach(route => {
+        if (!route.visits?.length) return;
+
+        const vehicle = vehicles[route.vehicleIndex || 0];
+        const report = (code, details) => violations.push({
+            code,
+            vehicle: route.vehicleLabel || vehicle?.label || null,
+            booking_id: null,
+            sequence: null,
+            ...details
+        });
+
+        checkCapacity(bookings, route, vehicle, report);
+        checkDuration(route, vehicle, report);
+        checkBookings(bookings, route, report).forEach(shipmentIndex => {
+            routesByBooking.set(shipmentIndex, [...(routesByBooking.get(shipmentIndex) || []), route.vehicleLabel]);
+        });
+    });
+
+    routesByBooking.forEach((vehicleLabels, shipmentIndex) => {
+        if (vehicleLabels.length > 1) {
+            violations.push({
+                code: PLAN_VIOLATIONS.SPLIT_BOOKING,
+                vehicle: null,
+                booking_id: bookings[shipmentIndex]?.label ?? null,
+                sequence: null,
+                message: `Booking is served by vehicles ${vehicleLabels.join(', ')}`
+            });
+        }
+    });
+
+    return { valid: violations.length === 0, violations };
+};
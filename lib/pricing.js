@@ -0,0 +1,244 @@
+import { COMUNA_CENTROIDS, DEFAULT_PRICING_RULE, DEFAULT_ZONE_TARIFF, ZONE_TARIFFS } from '../config.js';
+import { normalizeText } from './geocoding.js';
+import { buildRouteTimeline } from './timeline.js';
+import { calculateDistance, estimateTravel } from './utils.js';
+
+const toSeconds = (value) => parseInt(value?.seconds ?? 0) || 0;
+
+// Amounts are reported with cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// How solo fares are computed, reported with them: the solo trip is not planned by the solver,
+// so its legs are estimated from straight-line distances, unlike the road costs of the shared route
+export const SOLO_FARE_BASIS = 'straight_line_estimate';
+
+/**
+ * Reads the pricing parameters of a request, using the configured defaults when missing
+ * @param {Object} parameters - Request parameters
+ * @returns {Object} Pricing parameters
+ */
+export const getPricingParameters = (parameters = {}) => ({
+    rule: parameters.PRICING_RULE ?? DEFAULT_PRICING_RULE
+});
+
+/**
+ * Gets the comuna a booking is priced in: the comuna of its address (the drop-off of arrivals,
+ * the pickup of departures), or else the comuna whose centroid is nearest to that stop
+ * @param {Object} booking - Booking in the customer format
+ * @param {Object} shipment - The booking as a shipment
+ * @returns {string} Comuna name
+ */
+export const getBookingZone = (booking, shipment) => {
+    const isDeparture = booking.direction === 'departure';
+    const comuna = isDeparture ? booking.origin_comuna : booking.destination_comuna;
+
+    if (comuna) {
+        const known = Object.keys(ZONE_TARIFFS).find(name => normalizeText(name) === normalizeText(comuna));
+        return known || comuna;
+    }
+
+    const point = isDeparture ? shipment.pickups[0].arrivalLocation : shipment.deliveries[0].arrivalLocation;
+    const [nearest] = Object.entries(COMUNA_CENTROIDS)
+        .map(([name, centroid]) => ({ name, distance: calculateDistance(point, centroid) }))
+        .sort((a, b) => a.distance - b.distance);
+
+    return nearest.name;
+};
+
+/**
+ * Gets the operating cost of a route: the vehicle costs, without the penalties the solver
+ * adds for missed soft time windows, which riders should not pay for
+ * @param {Object} route - Route object
+ * @returns {number} Route cost
+ */
+const getOperatingCost = (route) => {
+    const vehicleCosts = Object.entries(route.routeCosts || {}).filter(([key]) => key.startsWith('model.vehicles.'));
+
+    return vehicleCosts.length > 0 ?
+        vehicleCosts.reduce((sum, [, cost]) => sum + Number(cost), 0) :
+        Number(route.routeTotalCost || 0);
+};
+
+/**
+ * Estimates what a booking would cost riding alone: the same vehicle driving from its start
+ * to the pickup, straight to the drop-off and, when it has one, back to its end location.
+ * The legs are straight-line estimates (see SOLO_FARE_BASIS).
+ * @param {Object} booking - Booking object (shipment)
+ * @param {Object} vehicle - Vehicle object with its costs
+ * @returns {number} Solo trip cost
+ */
+const getSoloCost = (booking, vehicle) => {
+    const pickup = booking.pickups[0];
+    const delivery = booking.deliveries[0];
+    const stops = [vehicle.startLocation, pickup?.arrivalLocation, delivery.arrivalLocation, vehicle.endLocation].filter(Boolean);
+
+    let distanceMeters = 0;
+    let durationSeconds = toSeconds(pickup?.duration) + toSeconds(delivery.duration);
+    stops.slice(1).forEach((stop, index) => {
+        const travel = estimateTravel(stops[index], stop);
+        distanceMeters += travel.distanceMeters;
+        durationSeconds += travel.durationSeconds;
+    });
+
+    return Number(vehicle.fixedCost || 0) +
+        Number(vehicle.costPerKilometer || 0) * distanceMeters / 1000 +
+        Number(vehicle.costPerHour || 0) * durationSeconds / 3600;
+};
+
+/**
+ * Gets the weight of each booking of a route in the split of its cost
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Object} route - Route object containing visits
+ * @param {Object} vehicle - Vehicle object
+ * @param {string} rule - Pricing rule ('direct_distance', 'ride_distance' or 'zone')
+ * @param {Array} zones - Comuna of each booking, for the 'zone' rule
+ * @returns {Map} Weight by shipment index
+ */
+const getShareWeights = (bookings, route, vehicle, rule, zones) => {
+    const timeline = buildRouteTimeline(bookings, route);
+    const weights = new Map();
+
+    timeline.filter(({ visit }) => !visit.isPickup).forEach(({ visit, booking, cumulativeDistanceMeters }) => {
+        const shipmentIndex = visit.shipmentIndex || 0;
+
+        if (rule === 'ride_distance') {
+            // Bookings already on board ride from the route start
+            const pickup = timeline.find(entry => entry.visit.isPickup && (entry.visit.shipmentIndex || 0) === shipmentIndex);
+            weights.set(shipmentIndex, cumulativeDistanceMeters - (pickup?.cumulativeDistanceMeters || 0));
+        } else if (rule === 'zone') {
+            weights.set(shipmentIndex, ZONE_TARIFFS[zones?.[shipmentIndex]] ?? DEFAULT_ZONE_TARIFF);
+        } else {
+            const from = booking.pickups[0]?.arrivalLocation || vehicle.startLocation;
+            weights.set(shipmentIndex, estimateTravel(from, booking.deliveries[0].arrivalLocation).distanceMeters);
+        }
+    });
+
+    return weights;
+};
+
+/**
+ * Lists, for each booking of a route, the bookings on board at some point of its ride
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Object} route - Route object containing visits
+ * @returns {Map} Shipment indices of the co-riders by shipment index
+ */
+const getCoRiders = (bookings, route) => {
+    const visits = route.visits || [];
+    const coRiders = new Map();
+    const share = (a, b) => {
+        coRiders.set(a, (coRiders.get(a) || new Set()).add(b));
+        coRiders.set(b, (coRiders.get(b) || new Set()).add(a));
+    };
+
+    // Bookings without a pickup are on board from the start
+    const onBoard = new Set();
+    visits.filter(visit => !visit.isPickup && !bookings[visit.shipmentIndex || 0]?.pickups?.length)
+        .forEach(visit => {
+            onBoard.forEach(other => share(other, visit.shipmentIndex || 0));
+            onBoard.add(visit.shipmentIndex || 0);
+        });
+
+    visits.forEach(visit => {
+        const shipmentIndex = visit.shipmentIndex || 0;
+
+        if (visit.isPickup) {
+            onBoard.forEach(other => share(other, shipmentIndex));
+            onBoard.add(shipmentIndex);
+        } else {
+            onBoard.delete(shipmentIndex);
+        }
+    });
+
+    return coRiders;
+};
+
+/**
+ * Splits the operating cost of each route among its bookings with a pricing rule: in proportion
+ * to their direct distance, to the distance they ride, or to the tariff of their zone. Each fare
+ * is compared with the cost of a solo trip to report the discount of sharing the vehicle.
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Array} vehicles - Array of vehicle objects with their costs
+ * @param {Array} routes - Routes returned by the solver
+ * @param {Object} pricing - Pricing options
+ * @param {string} pricing.rule - Pricing rule (defaults to DEFAULT_PRICING_RULE)
+ * @param {Array} pricing.zones - Comuna of each booking, from getBookingZone
+ * @returns {Array} Fare of each booking by shipment index, null for unassigned bookings
+ */
+export const priceRoutes = (bookings, vehicles, routes, { rule = DEFAULT_PRICING_RULE, zones = [] } = {}) => {
+    const fares = bookings.map(() => null);
+
+    (routes || []).forEach(route => {
+        if (!route.visits?.length) return;
+
+        const vehicle = vehicles[route.vehicleIndex || 0] || {};
+        const routeCost = getOperatingCost(route);
+        const weights = getShareWeights(bookings, route, vehicle, rule, zones);
+        const coRiders = getCoRiders(bookings, route);
+        const totalWeight = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+
+        weights.forEach((weight, shipmentIndex) => {
+            const booking = bookings[shipmentIndex];
+            // Without weights (e.g. all stops at the same place) the cost is split evenly
+            const share = totalWeight > 0 ? weight / totalWeight : 1 / weights.size;
+            const fare = routeCost * share;
+            const soloFare = getSoloCost(booking, vehicle);
+
+            fares[shipmentIndex] = {
+                booking_id: booking.label,
+                vehicle: route.vehicleLabel,
+                pricing_rule: rule,
+                zone: zones[shipmentIndex] ?? null,
+                route_cost: roundAmount(routeCost),
+                share_percent: Math.round(share * 1000) / 10,
+                fare: roundAmount(fare),
+                solo_fare: roundAmount(soloFare),
+                solo_fare_basis: SOLO_FARE_BASIS,
+                // Negative when sharing costs the booking more than riding alone
+                shared_discount: roundAmount(soloFare - fare),
+                shared_discount_percent: soloFare > 0 ? Math.round((soloFare - fare) / soloFare * 1000) / 10 : 0,
+                shared_with: [...(coRiders.get(shipmentIndex) || [])].map(index => bookings[index]?.label)
+            };
+        });
+    });
+
+    return fares;
+};
+
+/**
+ * Builds the quote of a booking set from the fares of its plan, for pricing bookings
+ * without dispatching them
+ * @param {Array} fares - Fare of each booking by shipment index, from priceRoutes
+ * @param {Object} context - Quote context
+ * @param {string} context.rule - Pricing rule the fares were computed with
+ * @param {Array} context.unassigned - Bookings no vehicle could serve, which get no fare
+ * @param {Array} context.rejected - Bookings rejected before planning, as geocodeBookings reports them
+ * @returns {Object} Quote response body
+ */
+export const buildQuote = (fares, { rule = DEFAULT_PRICING_RULE, unassigned = [], rejected = [] } = {}) => {
+    const quotes = fares.filter(Boolean);
+    const sum = (field) => roundAmount(quotes.reduce((total, quote) => total + quote[field], 0));
+    const soloFares = sum('solo_fare');
+
+    return {
+        status: 'success',
+        pricing_rule: rule,
+        totals: {
+            quoted_bookings: quotes.length,
+            fare: sum('fare'),
+            solo_fare: soloFares,
+            solo_fare_basis: SOLO_FARE_BASIS,
+            shared_discount: sum('shared_discount'),
+            shared_discount_percent: soloFares > 0 ? Math.round(sum('shared_discount') / soloFares * 1000) / 10 : 0
+        },
+        quotes,
+        unassigned,
+        // Same shape whatever the response version of the request
+        rejected_bookings: rejected.map(booking => ({
+            booking_id: String(booking.job_id || `Booking ${booking.index + 1}`),
+            field: booking.field,
+            address: booking.address ?? null,
+            comuna: booking.comuna ?? null,
+            reason: booking.reason
+        }))
+    };
+};
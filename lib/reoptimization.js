@@ -0,0 +1,222 @@
+import { OVERDUE_RIDE_COST_PER_HOUR } from '../config.js';
+import { dateToGoogleFormat, estimateTravel, parseDateTime } from './utils.js';
+
+// Status of a visit in the current plan
+export const VISIT_STATUS = {
+    DONE: 'done',           // Already performed
+    LOCKED: 'locked',       // Not performed yet, but must stay with its vehicle
+    PLANNED: 'planned'      // Free to be moved to another vehicle
+};
+
+/**
+ * Reads the state of every booking in the current plan
+ * @param {Object} currentPlan - Current plan ({ routes: [{ vehicle, visits: [{ booking_id, location, status, completed_at }] }] })
+ * @param {Array} cancelledBookingIds - Ids of the cancelled bookings
+ * @returns {Map} Booking state keyed by booking id: { vehicle, pickup, delivery, pickedUpAt, state }, where state is
+ * completed, on_board, locked, planned or cancelled, and pickedUpAt the completed_at of the pickup
+ */
+export const getPlanState = (currentPlan, cancelledBookingIds = []) => {
+    const bookings = new Map();
+    const cancelled = new Set(cancelledBookingIds.map(String));
+
+    (currentPlan?.routes || []).forEach(route => {
+        (route.visits || []).forEach(visit => {
+            const bookingId = String(visit.booking_id);
+            const booking = bookings.get(bookingId) || { vehicle: route.vehicle, pickup: null, delivery: null, pickedUpAt: null };
+
+            booking[visit.location === 'pickup' ? 'pickup' : 'delivery'] = visit.status || VISIT_STATUS.PLANNED;
+            if (visit.location === 'pickup' && visit.completed_at !== undefined) {
+                booking.pickedUpAt = visit.completed_at;
+            }
+            bookings.set(bookingId, booking);
+        });
+    });
+
+    bookings.forEach((booking, bookingId) => {
+        if (cancelled.has(bookingId)) {
+            booking.state = 'cancelled';
+        } else if (booking.delivery === VISIT_STATUS.DONE) {
+            booking.state = 'completed';
+        } else if (booking.pickup === VISIT_STATUS.DONE) {
+            booking.state = 'on_board';
+        } else if (booking.pickup === VISIT_STATUS.LOCKED || booking.delivery === VISIT_STATUS.LOCKED) {
+            booking.state = 'locked';
+        } else {
+            booking.state = 'planned';
+        }
+    });
+
+    cancelled.forEach(bookingId => {
+        if (!bookings.has(bookingId)) {
+            bookings.set(bookingId, { vehicle: null, pickup: null, delivery: null, pickedUpAt: null, state: 'cancelled' });
+        }
+    });
+
+    return bookings;
+};
+
+/**
+ * Checks whether a booking still has to be planned
+ * @param {Map} planState - Booking states from getPlanState
+ * @param {string|number} bookingId - Booking id
+ * @returns {boolean} False for completed and cancelled bookings
+ */
+export const isActiveBooking = (planState, bookingId) => {
+    const state = planState.get(String(bookingId))?.state;
+    return state !== 'completed' && state !== 'cancelled';
+};
+
+/**
+ * Gets the latest drop-off of a passenger already on board allowed by the ride limits of
+ * the booking: its ride time limit, and its detour limits over the direct trip
+ * @param {Object} booking - Booking object (shipment), still with its pickup
+ * @param {Date} pickedUpAt - Time the passenger was picked up
+ * @returns {Date|null} Drop-off deadline, or null when the booking has no ride limits
+ */
+const getOnBoardDeadline = (booking, pickedUpAt) => {
+    const directSeconds = estimateTravel(booking.pickups[0].arrivalLocation, booking.deliveries[0].arrivalLocation).durationSeconds;
+    const rideLimits = [
+        booking.pickupToDeliveryTimeLimit && parseInt(booking.pickupToDeliveryTimeLimit.seconds),
+        booking.pickupToDeliveryAbsoluteDetourLimit && directSeconds + parseInt(booking.pickupToDeliveryAbsoluteDetourLimit.seconds),
+        booking.pickupToDeliveryRelativeDetourLimit !== undefined && directSeconds * (1 + booking.pickupToDeliveryRelativeDetourLimit)
+    ].filter(limit => typeof limit === 'number');
+
+    return rideLimits.length > 0 ? new Date(pickedUpAt.getTime() + Math.min(...rideLimits) * 1000) : null;
+};
+
+/**
+ * Ends the delivery time windows of a booking at a deadline. A deadline that already passed
+ * becomes a soft end at the current time with a steep cost, so the passenger is still dropped
+ * off, as soon as possible, instead of left out of the plan.
+ * @param {Array} timeWindows - Google time windows of the delivery
+ * @param {Date} deadline - Latest drop-off
+ * @param {Date} currentTime - Time the plan is re-optimized at
+ * @returns {Array} Capped time windows
+ */
+const capDeliveryTimeWindows = (timeWindows = [], deadline, currentTime) => {
+    const seconds = (value) => value ? parseInt(value.seconds) : null;
+
+    if (deadline <= currentTime) {
+        return [{
+            ...(timeWindows[0]?.startTime && { startTime: timeWindows[0].startTime }),
+            softEndTime: dateToGoogleFormat(currentTime),
+            costPerHourAfterSoftEndTime: OVERDUE_RIDE_COST_PER_HOUR
+        }];
+    }
+
+    const deadlineSeconds = deadline.getTime() / 1000;
+    const end = dateToGoogleFormat(deadline);
+
+    return (timeWindows.length > 0 ? timeWindows : [{}]).map(timeWindow => ({
+        ...timeWindow,
+        endTime: seconds(timeWindow.endTime) !== null && seconds(timeWindow.endTime) < deadlineSeconds ? timeWindow.endTime : end,
+        ...(seconds(timeWindow.softEndTime) > deadlineSeconds && { softEndTime: end })
+    }));
+};
+
+/**
+ * Applies the current plan to transformed request data: passengers on board are only
+ * dropped off by their vehicle, before the deadline left by their ride limits, locked
+ * bookings stay with their vehicle, and vehicles start from their current position at
+ * the current time
+ * @param {Object} data - Transformed request data ({ bookings, vehicles })
+ * @param {Map} planState - Booking states from getPlanState
+ * @param {Array} currentPositions - Current position of each vehicle, or null when unknown
+ * @param {Date} currentTime - Time the plan is re-optimized at
+ * @param {Object} horizon - Planning horizon, used to read the local pickup times (optional)
+ * @returns {Object} Object with the updated bookings and vehicles
+ */
+export const applyPlanState = ({ bookings, vehicles }, planState, currentPositions, currentTime, horizon = {}) => {
+    const vehicleIndices = new Map(vehicles.map((vehicle, index) => [String(vehicle.label), index]));
+
+    const updatedBookings = bookings.map(booking => {
+        const state = planState.get(String(booking.label));
+        const vehicleIndex = state && vehicleIndices.get(String(state.vehicle));
+
+        if (state?.state === 'on_board') {
+            // A shipment without pickups is on board from the start of the route, so its ride
+            // limits become a drop-off deadline. Without the pickup time the ride counts from now.
+            const {
+                pickupToDeliveryTimeLimit,
+                pickupToDeliveryAbsoluteDetourLimit,
+                pickupToDeliveryRelativeDetourLimit,
+                ...onBoardBooking
+            } = booking;
+            const pickedUpAt = parseDateTime(state.pickedUpAt, horizon.timeZone, horizon.planningDate) || currentTime;
+            const deadline = getOnBoardDeadline(booking, pickedUpAt);
+            const delivery = deadline ? {
+                ...booking.deliveries[0],
+                timeWindows: capDeliveryTimeWindows(booking.deliveries[0].timeWindows, deadline, currentTime)
+            } : booking.deliveries[0];
+
+            return { ...onBoardBooking, pickups: [], deliveries: [delivery], allowedVehicleIndices: [vehicleIndex] };
+        }
+
+        if (state?.state === 'locked') {
+            return { ...booking, allowedVehicleIndices: [vehicleIndex] };
+        }
+
+        return booking;
+    });
+
+    const updatedVehicles = vehicles.map((vehicle, index) => {
+        const shiftStart = vehicle.startTimeWindows?.[0]?.startTime;
+        const startTime = shiftStart && parseInt(shiftStart.seconds) * 1000 > currentTime.getTime() ?
+            shiftStart : dateToGoogleFormat(currentTime);
+
+        return {
+            ...vehicle,
+            ...(currentPositions[index] && {
+                startLocation: {
+                    latitude: currentPositions[index].latitude,
+                    longitude: currentPositions[index].longitude
+                }
+            }),
+            startTimeWindows: [{ ...vehicle.startTimeWindows?.[0], startTime }]
+        };
+    });
+
+    return { bookings: updatedBookings, vehicles: updatedVehicles };
+};
+
+/**
+ * Compares the pending stops of each vehicle in the current plan with the new plan
+ * @param {Object} currentPlan - Current plan, as sent in the request
+ * @param {Array} routes - Routes of the new plan, as returned in the response
+ * @returns {Array} Per vehicle changes, with whether the driver needs to be notified
+ */
+export const diffPlans = (currentPlan, routes) => {
+    const toStop = (visit) => ({ booking_id: String(visit.booking_id), location: visit.location });
+    const previousStops = new Map((currentPlan?.routes || []).map(route => [
+        String(route.vehicle),
+        (route.visits || []).filter(visit => visit.status !== VISIT_STATUS.DONE).map(toStop)
+    ]));
+    const newStops = new Map(routes.map(route => [String(route.vehicle), route.visits.map(toStop)]));
+    const vehicles = [...new Set([...previousStops.keys(), ...newStops.keys()])];
+
+    return vehicles.map(vehicle => {
+        const previous = previousStops.get(vehicle) || [];
+        const next = newStops.get(vehicle) || [];
+        const previousBookings = new Set(previous.map(stop => stop.booking_id));
+        const nextBookings = new Set(next.map(stop => stop.booking_id));
+        const addedBookings = [...nextBookings].filter(bookingId => !previousBookings.has(bookingId));
+        const removedBookings = [...previousBookings].filter(bookingId => !nextBookings.has(bookingId));
+
+        // Stops of the bookings kept by the vehicle, compared in order
+        const keptOrder = (stops) => stops
+            .filter(stop => previousBookings.has(stop.booking_id) && nextBookings.has(stop.booking_id))
+            .map(stop => `${stop.booking_id}:${stop.location}`)
+            .join(',');
+        const reordered = keptOrder(previous) !== keptOrder(next);
+
+        return {
+            vehicle,
+            changed: addedBookings.length > 0 || removedBookings.length > 0 || reordered,
+            added_bookings: addedBookings,
+            removed_bookings: removedBookings,
+            reordered,
+            previous_stops: previous,
+            new_stops: next
+        };
+    });
+};
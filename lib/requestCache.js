@@ -0,0 +1,148 @@
+import { createHash } from 'crypto';
+import { CACHE_CONFIG } from '../config.js';
+
+// Cache statuses reported in the X-Cache response header
+export const CACHE_STATUS = {
+    HIT: 'HIT',         // Answered from the cache, or by waiting on an identical request in flight
+    MISS: 'MISS'        // Computed for this request
+};
+
+/**
+ * Creates a cache store that keeps entries in memory, dropping the oldest ones over the limit.
+ * Other stores (e.g. Redis or Memcached) only need async get(key) and set(key, value, ttlInSeconds) functions.
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Most entries kept
+ * @returns {Object} Cache store with a name and async get and set functions
+ */
+export const createMemoryCacheStore = ({ maxEntries = CACHE_CONFIG.maxEntries } = {}) => {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return structuredClone(entry.value);
+        },
+        set: async (key, value, ttlInSeconds) => {
+            entries.delete(key);
+            entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlInSeconds * 1000 });
+
+            // Maps keep insertion order, so the first entries are the oldest
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+    };
+};
+
+let cacheStore = null;
+
+/**
+ * Gets the cache store, in memory unless replaced with setCacheStore
+ * @returns {Object} Cache store
+ */
+export const getCacheStore = () => {
+    if (!cacheStore) {
+        cacheStore = createMemoryCacheStore();
+    }
+    return cacheStore;
+};
+
+/**
+ * Replaces the cache store, e.g. with one shared by several instances
+ * @param {Object} customStore - Cache store with async get and set functions, or null to reset
+ */
+export const setCacheStore = (customStore) => {
+    cacheStore = customStore;
+};
+
+/**
+ * Gets how long results are cached, from CACHE_TTL_SECONDS or the configured default
+ * @returns {number} Time to live in seconds, 0 when caching is disabled
+ */
+export const getCacheTTL = () => {
+    const ttl = Number(process.env.CACHE_TTL_SECONDS ?? CACHE_CONFIG.ttlInSeconds);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : 0;
+};
+
+/**
+ * Serializes a value as JSON with the object keys sorted, so the same content always
+ * gives the same text whatever the order of its fields
+ * @param {*} value - Value to serialize
+ * @returns {string} Normalized JSON
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (!value || typeof value !== 'object') return JSON.stringify(value) ?? 'null';
+
+    // Dates and other values with their own JSON form
+    if (typeof value.toJSON === 'function') return stableStringify(value.toJSON());
+
+    return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+        .join(',')}}`;
+};
+
+/**
+ * Hashes the normalized content of a request
+ * @param {Object} body - Request body, or the model it was transformed into
+ * @returns {string} SHA-256 hash in hexadecimal
+ */
+export const hashRequest = (body) => createHash('sha256').update(stableStringify(body)).digest('hex');
+
+// Computations in flight by key, so concurrent duplicates share them
+const inFlight = new Map();
+
+/**
+ * Gets a value from the cache, or computes and caches it. While it is computed, calls with
+ * the same key wait for it instead of computing it again.
+ * @param {string} key - Cache key
+ * @param {Function} compute - Computes the value, returning a promise
+ * @param {Object} options - Cache options
+ * @param {Function} options.shouldCache - Whether a computed value is cached (e.g. only successful results)
+ * @param {number} options.ttlInSeconds - How long the value is cached (defaults to getCacheTTL)
+ * @param {Object} options.store - Cache store (defaults to getCacheStore)
+ * @returns {Promise<Object>} The value and its cache status ({ value, cache })
+ */
+export const runCached = async (key, compute, {
+    shouldCache = () => true,
+    ttlInSeconds = getCacheTTL(),
+    store = getCacheStore()
+} = {}) => {
+    if (inFlight.has(key)) {
+        return { value: await inFlight.get(key), cache: CACHE_STATUS.HIT };
+    }
+
+    if (ttlInSeconds > 0) {
+        const cached = await store.get(key);
+        if (cached) return { value: cached, cache: CACHE_STATUS.HIT };
+
+        // Another call may have started while the store was read
+        if (inFlight.has(key)) {
+            return { value: await inFlight.get(key), cache: CACHE_STATUS.HIT };
+        }
+    }
+
+    const computation = (async () => {
+        const value = await compute();
+        if (ttlInSeconds > 0 && shouldCache(value)) {
+            await store.set(key, value, ttlInSeconds);
+        }
+        return value;
+    })();
+
+    inFlight.set(key, computation);
+
+    try {
+        return { value: await computation, cache: CACHE_STATUS.MISS };
+    } finally {
+        inFlight.delete(key);
+    }
+};
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { formatCSV, parseCSV } from './utils.js';
+
+// CSV columns holding lists, written with the items separated by semicolons (e.g. "child_seat;wheelchair_accessible")
+const LIST_COLUMNS = ['requirements', 'features'];
+
+// CSV columns holding booleans
+const BOOLEAN_COLUMNS = ['soft_time_windows'];
+
+// CSV columns holding numbers. Other columns, ids such as job_id and vehicle_number included,
+// are kept as text so leading zeros are not lost. Times may be given as Unix timestamps.
+const NUMERIC_COLUMNS = [
+    'pax_count', 'luggage_count', 'check_in_buffer_minutes', 'max_pickup_wait_minutes', 'lateness_cost_per_hour',
+    'max_ride_time_minutes', 'max_detour_minutes', 'max_detour_ratio',
+    'vehicle_capacity', 'luggage_capacity', 'cost_per_hour', 'cost_per_kilometer', 'fixed_cost',
+    'flight_arrival_time', 'flight_departure_time', 'ready_at', 'pickup_window_start', 'pickup_window_end',
+    'latest_dropoff_time', 'shift_start', 'shift_end',
+    'origin_latitude', 'origin_longitude', 'destination_latitude', 'destination_longitude',
+    'start_latitude', 'start_longitude', 'current_latitude', 'current_longitude'
+];
+
+// CSV column pairs read as coordinates objects
+const COORDINATE_COLUMNS = {
+    origin_coordinates: ['origin_latitude', 'origin_longitude'],
+    destination: ['destination_latitude', 'destination_longitude'],
+    start_coordinates: ['start_latitude', 'start_longitude'],
+    current_position: ['current_latitude', 'current_longitude']
+};
+
+// Columns of the visits CSV written from a plan
+export const VISIT_CSV_COLUMNS = [
+    'vehicle',
+    'vehicle_type',
+    'trip',
+    'sequence',
+    'booking_id',
+    'location',
+    'arrival_time_local',
+    'departure_time_local',
+    'meets_window',
+    'minutes_late'
+];
+
+/**
+ * Converts a CSV row into a booking or vehicle in the request format: empty cells are
+ * left out, coordinate column pairs become objects and list columns become arrays
+ * @param {Object} row - Row from parseCSV
+ * @returns {Object} Booking or vehicle
+ */
+export const csvRowToRecord = (row) => {
+    const record = {};
+    const coordinateColumns = Object.values(COORDINATE_COLUMNS).flat();
+
+    Object.entries(row).forEach(([column, value]) => {
+        if (value === '' || coordinateColumns.includes(column)) return;
+
+        if (LIST_COLUMNS.includes(column)) {
+            record[column] = String(value).split(';').map(item => item.trim()).filter(Boolean);
+        } else if (BOOLEAN_COLUMNS.includes(column)) {
+            record[column] = ['true', '1', 'yes', 'si', 'sí'].includes(String(value).trim().toLowerCase());
+        } else {
+            record[column] = value;
+        }
+    });
+
+    Object.entries(COORDINATE_COLUMNS).forEach(([field, [latitudeColumn, longitudeColumn]]) => {
+        if (row[latitudeColumn] !== undefined && row[latitudeColumn] !== '' &&
+            row[longitudeColumn] !== undefined && row[longitudeColumn] !== '') {
+            record[field] = { latitude: row[latitudeColumn], longitude: row[longitudeColumn] };
+        }
+    });
+
+    return record;
+};
+
+/**
+ * Reads bookings or vehicles from a CSV or JSON file. JSON files can hold an array,
+ * or an object with the records under the given key (e.g. a whole request).
+ * @param {string} filePath - Path of the .csv or .json file
+ * @param {string} key - Key of the records in JSON objects ('bookings' or 'vehicles')
+ * @returns {Array} Records in the request format
+ */
+export const readRecordsFile = (filePath, key) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        return parseCSV(content, { numericColumns: NUMERIC_COLUMNS }).map(csvRowToRecord);
+    }
+
+    const data = JSON.parse(content);
+    const records = Array.isArray(data) ? data : data[key];
+
+    if (!Array.isArray(records)) {
+        throw new Error(`${filePath} must contain an array of ${key} or an object with a "${key}" array`);
+    }
+
+    return records;
+};
+
+/**
+ * Builds an optimization request from files: a whole request (like sample-request.json),
+ * separate bookings and vehicles files, or a request whose bookings or vehicles are replaced
+ * @param {Object} files - Paths of the files
+ * @param {string} files.request - JSON request file (optional)
+ * @param {string} files.bookings - Bookings CSV or JSON file (optional)
+ * @param {string} files.vehicles - Vehicles CSV or JSON file (optional)
+ * @param {Object} parameters - Parameters overriding the ones in the request file
+ * @returns {Object} Optimization request body
+ */
+export const buildRequestFromFiles = ({ request, bookings, vehicles }, parameters = {}) => {
+    const base = request ? JSON.parse(fs.readFileSync(request, 'utf8')) : {};
+
+    return {
+        ...base,
+        bookings: bookings ? readRecordsFile(bookings, 'bookings') : base.bookings,
+        vehicles: vehicles ? readRecordsFile(vehicles, 'vehicles') : base.vehicles,
+        parameters: { ...base.parameters, ...parameters }
+    };
+};
+
+/**
+ * Formats the visits of an optimization result as CSV, one row per pickup or drop-off
+ * @param {Object} result - Result of an optimization (routes with visits, or with stops in response version 2)
+ * @returns {string} CSV data as string
+ */
+export const formatVisitsCSV = (result) => {
+    if (result.response_version === 2) {
+        const rows = result.routes.flatMap(route => route.stops.map(stop => ({
+            vehicle: route.vehicle_id,
+            vehicle_type: route.vehicle_type,
+            trip: stop.trip_number,
+            sequence: stop.sequence,
+            booking_id: stop.booking_id,
+            location: stop.stop_type,
+            arrival_time_local: stop.arrival_time,
+            departure_time_local: stop.departure_time,
+            meets_window: stop.time_window ? stop.time_window.meets_window : '',
+            minutes_late: stop.time_window ? stop.time_window.minutes_late : ''
+        })));
+
+        return formatCSV(rows, VISIT_CSV_COLUMNS);
+    }
+
+    const rows = result.routes.flatMap(route => route.visits.map(visit => ({
+        vehicle: route.vehicle,
+        vehicle_type: route.vehicle_type,
+        trip: visit.trip,
+        sequence: visit.sequence,
+        booking_id: visit.booking_id,
+        location: visit.location,
+        arrival_time_local: visit.arrival_time_local,
+        departure_time_local: visit.departure_time_local,
+        meets_window: visit.time_window ? visit.time_window.meets_window : '',
+        minutes_late: visit.time_window ? visit.time_window.minutes_late : ''
+    })));
+
+    return formatCSV(rows, VISIT_CSV_COLUMNS);
+};
@@ -0,0 +1,538 @@
+import { splitRouteIntoTrips, getUnassignedBookings } from './aux.js';
+import { PLAN_VIOLATIONS } from './planCheck.js';
+import { getRideDetail } from './rideLimits.js';
+import { buildRouteTimeline } from './timeline.js';
+import { getTimeWindowStatus } from './timeWindows.js';
+import { formatLocalDateTime } from './utils.js';
+
+// Version of the response model, returned as `response_version`
+export const RESPONSE_MODEL_VERSION = 2;
+
+const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, 'null') });
+
+const timestampSchema = {
+    type: 'string',
+    format: 'date-time',
+    description: 'ISO 8601 timestamp with the UTC offset of the plan time zone'
+};
+
+const timeWindowSchema = {
+    type: 'object',
+    description: 'Time window promised for the stop and whether the plan meets it',
+    required: ['start', 'end', 'soft', 'meets_window', 'minutes_late'],
+    properties: {
+        start: nullable(timestampSchema),
+        end: nullable(timestampSchema),
+        soft: { type: 'boolean' },
+        meets_window: { type: 'boolean' },
+        minutes_late: { type: 'integer', minimum: 0 }
+    },
+    additionalProperties: false
+};
+
+const rideSchema = {
+    type: 'object',
+    description: 'Ride of the booking compared with a direct trip, reported on drop-off stops',
+    required: ['direct_distance_meters', 'direct_duration_seconds', 'ride_duration_seconds', 'detour_seconds', 'detour_ratio'],
+    properties: {
+        direct_distance_meters: nullable({ type: 'integer', minimum: 0 }),
+        direct_duration_seconds: nullable({ type: 'integer', minimum: 0 }),
+        ride_duration_seconds: nullable({ type: 'integer', minimum: 0 }),
+        detour_seconds: nullable({ type: 'integer' }),
+        detour_ratio: nullable({ type: 'number' })
+    },
+    additionalProperties: false
+};
+
+const stopSchema = {
+    type: 'object',
+    required: [
+        'sequence', 'trip_number', 'booking_id', 'stop_type', 'passengers', 'luggage', 'location',
+        'arrival_time', 'service_start_time', 'departure_time', 'elapsed_seconds', 'wait_seconds', 'service_seconds',
+        'leg_distance_meters', 'leg_duration_seconds', 'cumulative_distance_meters', 'passengers_on_board',
+        'time_window', 'ride'
+    ],
+    properties: {
+        sequence: { type: 'integer', minimum: 1, description: 'Position of the stop in the route' },
+        trip_number: { type: 'integer', minimum: 1, description: 'Trip of the route the stop belongs to' },
+        booking_id: { type: 'string' },
+        stop_type: { type: 'string', enum: ['pickup', 'delivery'] },
+        passengers: { type: 'integer', minimum: 0 },
+        luggage: { type: 'integer', minimum: 0 },
+        location: {
+            type: 'object',
+            required: ['latitude', 'longitude', 'label'],
+            properties: {
+                latitude: { type: 'number' },
+                longitude: { type: 'number' },
+                label: nullable({ type: 'string', description: 'Pickup location name or drop-off address' })
+            },
+            additionalProperties: false
+        },
+        arrival_time: timestampSchema,
+        service_start_time: { ...timestampSchema, description: 'Start of the pickup or drop-off, after any wait' },
+        departure_time: timestampSchema,
+        elapsed_seconds: { type: 'integer', minimum: 0, description: 'Time from the start of the route to the arrival at the stop' },
+        wait_seconds: { type: 'integer', minimum: 0 },
+        service_seconds: { type: 'integer', minimum: 0 },
+        leg_distance_meters: { type: 'integer', minimum: 0, description: 'Distance driven from the previous stop' },
+        leg_duration_seconds: { type: 'integer', minimum: 0, description: 'Time driven from the previous stop' },
+        cumulative_distance_meters: { type: 'integer', minimum: 0 },
+        passengers_on_board: { type: 'integer', minimum: 0, description: 'Passengers on board when leaving the stop' },
+        time_window: nullable(timeWindowSchema),
+        ride: nullable(rideSchema)
+    },
+    additionalProperties: false
+};
+
+const routeMetricsSchema = {
+    type: 'object',
+    required: [
+        'travel_distance_meters', 'travel_duration_seconds', 'wait_duration_seconds',
+        'service_duration_seconds', 'break_duration_seconds', 'total_duration_seconds', 'cost'
+    ],
+    properties: {
+        travel_distance_meters: { type: 'integer', minimum: 0 },
+        travel_duration_seconds: { type: 'integer', minimum: 0 },
+        wait_duration_seconds: { type: 'integer', minimum: 0 },
+        service_duration_seconds: { type: 'integer', minimum: 0 },
+        break_duration_seconds: { type: 'integer', minimum: 0 },
+        total_duration_seconds: { type: 'integer', minimum: 0 },
+        cost: { type: 'number', minimum: 0 }
+    },
+    additionalProperties: false
+};
+
+const routeSchema = {
+    type: 'object',
+    required: ['vehicle_id', 'vehicle_type', 'used', 'start_time', 'end_time', 'capacity', 'metrics', 'breaks', 'trips', 'stops', 'polyline'],
+    properties: {
+        vehicle_id: { type: 'string' },
+        vehicle_type: { type: 'string' },
+        used: { type: 'boolean', description: 'Whether the vehicle has any stop' },
+        start_time: nullable(timestampSchema),
+        end_time: nullable(timestampSchema),
+        capacity: {
+            type: 'object',
+            required: ['seats', 'luggage', 'max_passengers_on_board', 'seat_utilization_percent'],
+            properties: {
+                seats: { type: 'integer', minimum: 0 },
+                luggage: { type: 'integer', minimum: 0 },
+                max_passengers_on_board: { type: 'integer', minimum: 0 },
+                seat_utilization_percent: { type: 'integer', minimum: 0 }
+            },
+            additionalProperties: false
+        },
+        metrics: routeMetricsSchema,
+        breaks: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['start_time', 'duration_seconds'],
+                properties: {
+                    start_time: timestampSchema,
+                    duration_seconds: { type: 'integer', minimum: 0 }
+                },
+                additionalProperties: false
+            }
+        },
+        trips: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['trip_number', 'wave', 'booking_ids', 'start_time', 'last_dropoff_time', 'return_time'],
+                properties: {
+                    trip_number: { type: 'integer', minimum: 1 },
+                    wave: nullable({ type: 'integer', minimum: 1 }),
+                    booking_ids: { type: 'array', items: { type: 'string' } },
+                    start_time: timestampSchema,
+                    last_dropoff_time: timestampSchema,
+                    return_time: nullable(timestampSchema)
+                },
+                additionalProperties: false
+            }
+        },
+        stops: { type: 'array', items: stopSchema },
+        polyline: nullable({ type: 'string', description: 'Encoded polyline of the whole route' })
+    },
+    additionalProperties: false
+};
+
+const bookingIssueSchema = {
+    type: 'object',
+    required: ['index', 'booking_id'],
+    properties: {
+        index: { type: 'integer', minimum: 0, description: 'Position of the booking in the request' },
+        booking_id: nullable({ type: 'string' })
+    }
+};
+
+/**
+ * JSON Schema of the optimization response, version 2 (RESPONSE_VERSION = 2)
+ */
+export const responseSchema = {
+    type: 'object',
+    required: [
+        'response_version', 'status', 'partial_plan', 'solver', 'planning_horizon', 'totals',
+        'routes', 'unassigned_bookings', 'plan_check', 'geocoded_bookings', 'rejected_bookings'
+    ],
+    properties: {
+        response_version: { type: 'integer', enum: [RESPONSE_MODEL_VERSION] },
+        status: { type: 'string', enum: ['success'] },
+        partial_plan: { type: 'boolean', description: 'Whether some bookings were left without a vehicle' },
+        solver: {
+            type: 'object',
+            required: ['backend', 'fallback_reason'],
+            properties: {
+                backend: { type: 'string' },
+                fallback_reason: nullable({ type: 'string' })
+            },
+            additionalProperties: false
+        },
+        planning_horizon: {
+            type: 'object',
+            required: ['time_zone', 'start_time', 'end_time'],
+            properties: {
+                time_zone: { type: 'string' },
+                start_time: timestampSchema,
+                end_time: timestampSchema
+            },
+            additionalProperties: false
+        },
+        totals: {
+            type: 'object',
+            required: [
+                'vehicles_used', 'assigned_bookings', 'unassigned_bookings', 'assigned_passengers',
+                'unassigned_passengers', 'travel_distance_meters', 'travel_duration_seconds',
+                'wait_duration_seconds', 'total_duration_seconds', 'cost'
+            ],
+            properties: {
+                vehicles_used: { type: 'integer', minimum: 0 },
+                assigned_bookings: { type: 'integer', minimum: 0 },
+                unassigned_bookings: { type: 'integer', minimum: 0 },
+                assigned_passengers: { type: 'integer', minimum: 0 },
+                unassigned_passengers: { type: 'integer', minimum: 0 },
+                travel_distance_meters: { type: 'integer', minimum: 0 },
+                travel_duration_seconds: { type: 'integer', minimum: 0 },
+                wait_duration_seconds: { type: 'integer', minimum: 0 },
+                total_duration_seconds: { type: 'integer', minimum: 0 },
+                cost: { type: 'number', minimum: 0 }
+            },
+            additionalProperties: false
+        },
+        routes: { type: 'array', items: routeSchema, description: 'One route per request vehicle, in request order' },
+        unassigned_bookings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['booking_id', 'passengers', 'reasons'],
+                properties: {
+                    booking_id: { type: 'string' },
+                    passengers: { type: 'integer', minimum: 0 },
+                    reasons: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['code', 'description', 'vehicle_id', 'exceeded_capacity_type'],
+                            properties: {
+                                code: { type: 'string' },
+                                description: { type: 'string' },
+                                vehicle_id: nullable({ type: 'string', description: 'Example vehicle that could not take the booking' }),
+                                exceeded_capacity_type: nullable({ type: 'string' })
+                            },
+                            additionalProperties: false
+                        }
+                    }
+                },
+                additionalProperties: false
+            }
+        },
+        plan_check: {
+            type: 'object',
+            description: 'Violations found by an independent check of the plan, to review before dispatch',
+            required: ['valid', 'violations'],
+            properties: {
+                valid: { type: 'boolean' },
+                violations: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['code', 'vehicle_id', 'booking_id', 'sequence', 'message'],
+                        properties: {
+                            code: { type: 'string', enum: Object.values(PLAN_VIOLATIONS) },
+                            vehicle_id: nullable({ type: 'string' }),
+                            booking_id: nullable({ type: 'string' }),
+                            sequence: nullable({ type: 'integer', minimum: 1 }),
+                            message: { type: 'string' }
+                        },
+                        additionalProperties: false
+                    }
+                }
+            },
+            additionalProperties: false
+        },
+        geocoded_bookings: {
+            type: 'array',
+            items: {
+                ...bookingIssueSchema,
+                required: [...bookingIssueSchema.required, 'field', 'address', 'latitude', 'longitude', 'confidence', 'source'],
+                properties: {
+                    ...bookingIssueSchema.properties,
+                    field: { type: 'string', enum: ['origin', 'destination'], description: 'Whether the pickup or the drop-off address was geocoded' },
+                    address: { type: 'string' },
+                    comuna: nullable({ type: 'string' }),
+                    latitude: { type: 'number' },
+                    longitude: { type: 'number' },
+                    confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+                    formatted_address: nullable({ type: 'string' }),
+                    source: { type: 'string' }
+                },
+                additionalProperties: false
+            }
+        },
+        rejected_bookings: {
+            type: 'array',
+            items: {
+                ...bookingIssueSchema,
+                required: [...bookingIssueSchema.required, 'reason'],
+                properties: {
+                    ...bookingIssueSchema.properties,
+                    field: { type: 'string', enum: ['origin', 'destination'] },
+                    address: nullable({ type: 'string' }),
+                    comuna: nullable({ type: 'string' }),
+                    reason: { type: 'string' }
+                },
+                additionalProperties: false
+            }
+        },
+        changes: {
+            type: 'array',
+            description: 'Re-optimization only: per vehicle changes from the current plan',
+            items: { type: 'object' }
+        }
+    },
+    additionalProperties: false
+};
+
+/**
+ * Reads a duration or timestamp ({ seconds }) as a number of seconds. The Google client
+ * returns them as strings and leaves out zero values.
+ * @param {Object} value - Duration or timestamp object
+ * @returns {number} Number of seconds, 0 when missing
+ */
+const toSeconds = (value) => parseInt(value?.seconds ?? 0) || 0;
+
+/**
+ * Builds the stops of a route from its visits and the transitions before them
+ * @param {Object} route - Route object containing visits and transitions
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Function} toTimestamp - Converts epoch seconds to a local ISO timestamp
+ * @param {string} timeZone - Time zone of the time windows
+ * @returns {Array} Stops in the response model
+ */
+const buildStops = (route, bookings, toTimestamp, timeZone) => {
+    const tripNumbers = new Map();
+    splitRouteIntoTrips(route).forEach((trip, tripIndex) => {
+        trip.forEach(({ visitIndex }) => tripNumbers.set(visitIndex, tripIndex + 1));
+    });
+
+    return buildRouteTimeline(bookings, route).map(entry => {
+        const { visit, visitIndex, booking, visitRequest } = entry;
+        const timeWindow = getTimeWindowStatus(visitRequest.timeWindows, visit.startTime, timeZone);
+        const ride = visit.isPickup ? null : getRideDetail(route, booking);
+
+        return {
+            sequence: visitIndex + 1,
+            trip_number: tripNumbers.get(visitIndex),
+            booking_id: booking.label,
+            stop_type: visit.isPickup ? 'pickup' : 'delivery',
+            passengers: entry.passengers,
+            luggage: parseInt(booking.loadDemands?.luggage?.amount) || 0,
+            location: {
+                latitude: visitRequest.arrivalLocation.latitude,
+                longitude: visitRequest.arrivalLocation.longitude,
+                label: visitRequest.label || null
+            },
+            arrival_time: toTimestamp(entry.arrival),
+            service_start_time: toTimestamp(entry.start),
+            departure_time: toTimestamp(entry.departure),
+            elapsed_seconds: entry.elapsedSeconds,
+            wait_seconds: entry.waitSeconds,
+            service_seconds: entry.departure - entry.start,
+            leg_distance_meters: entry.legDistanceMeters,
+            leg_duration_seconds: entry.legDurationSeconds,
+            cumulative_distance_meters: entry.cumulativeDistanceMeters,
+            passengers_on_board: entry.passengersOnBoard,
+            time_window: timeWindow && {
+                start: timeWindow.promised_window.start,
+                end: timeWindow.promised_window.end,
+                soft: timeWindow.promised_window.soft,
+                meets_window: timeWindow.meets_window,
+                minutes_late: timeWindow.minutes_late
+            },
+            ride: ride && {
+                direct_distance_meters: ride.direct_distance_meters,
+                direct_duration_seconds: ride.direct_minutes === null ? null : Math.round(ride.direct_minutes * 60),
+                ride_duration_seconds: ride.actual_minutes === null ? null : Math.round(ride.actual_minutes * 60),
+                detour_seconds: ride.detour_minutes === null ? null : Math.round(ride.detour_minutes * 60),
+                detour_ratio: ride.detour_ratio
+            }
+        };
+    });
+};
+
+/**
+ * Builds the route of a vehicle in the response model. Vehicles without a route in the
+ * solver response (some backends leave out unused vehicles) get an empty route.
+ * @param {Object} route - Route object, or undefined when the solver returned none
+ * @param {Object} context - Vehicle label and profile, bookings, timestamp converter and time zone
+ * @returns {Object} Route in the response model
+ */
+const buildRoute = (route, { vehicleLabel, profile, bookings, toTimestamp, timeZone }) => {
+    const stops = route ? buildStops(route, bookings, toTimestamp, timeZone) : [];
+    const used = stops.length > 0;
+    const metrics = used ? route.metrics || {} : {};
+    const maxPassengersOnBoard = Math.max(0, ...stops.map(stop => stop.passengers_on_board));
+
+    // Trips are rebuilt from the stops; waves report when the vehicle was back at the base
+    const trips = [...new Set(stops.map(stop => stop.trip_number))].map(tripNumber => {
+        const tripStops = stops.filter(stop => stop.trip_number === tripNumber);
+        const firstVisitIndex = tripStops[0].sequence - 1;
+        const wave = route.trips?.find(waveTrip => firstVisitIndex >= waveTrip.firstVisitIndex &&
+            firstVisitIndex < waveTrip.firstVisitIndex + waveTrip.visitCount);
+
+        return {
+            trip_number: tripNumber,
+            wave: wave?.wave ?? null,
+            booking_ids: tripStops.filter(stop => stop.stop_type === 'pickup').map(stop => stop.booking_id),
+            start_time: tripStops[0].service_start_time,
+            last_dropoff_time: tripStops[tripStops.length - 1].departure_time,
+            return_time: wave ? toTimestamp(toSeconds(wave.endTime)) : null
+        };
+    });
+
+    return {
+        vehicle_id: vehicleLabel,
+        vehicle_type: profile.type,
+        used,
+        start_time: used ? toTimestamp(toSeconds(route.vehicleStartTime)) : null,
+        end_time: used ? toTimestamp(toSeconds(route.vehicleEndTime)) : null,
+        capacity: {
+            seats: profile.seats,
+            luggage: profile.luggage,
+            max_passengers_on_board: maxPassengersOnBoard,
+            seat_utilization_percent: profile.seats > 0 ? Math.round(maxPassengersOnBoard / profile.seats * 100) : 0
+        },
+        metrics: {
+            travel_distance_meters: parseInt(metrics.travelDistanceMeters || 0),
+            travel_duration_seconds: toSeconds(metrics.travelDuration),
+            wait_duration_seconds: toSeconds(metrics.waitDuration),
+            service_duration_seconds: toSeconds(metrics.visitDuration),
+            break_duration_seconds: toSeconds(metrics.breakDuration),
+            total_duration_seconds: toSeconds(metrics.totalDuration),
+            cost: used ? Number(route.routeTotalCost || 0) : 0
+        },
+        breaks: used ? (route.breaks || []).map(routeBreak => ({
+            start_time: toTimestamp(toSeconds(routeBreak.startTime)),
+            duration_seconds: toSeconds(routeBreak.duration)
+        })) : [],
+        trips,
+        stops,
+        polyline: used ? route.routePolyline?.points || null : null
+    };
+};
+
+/**
+ * Builds the response model (RESPONSE_VERSION = 2) of an optimization. Every field is
+ * derived from the routes, so the shape is the same whichever solver backend produced them.
+ * @param {Object} optimization - Results from optimizeRoute
+ * @param {Object} context - Transformed request data and geocoding results
+ * @param {Array} context.bookings - Array of booking objects (shipments)
+ * @param {Array} context.vehicles - Array of vehicle objects
+ * @param {Array} context.vehicleProfiles - Vehicle profiles, in vehicle order
+ * @param {Object} context.options - Optimization options (timeZone, startDate, endDate)
+ * @param {Array} context.geocoded - Geocoded bookings
+ * @param {Array} context.rejected - Bookings rejected before planning
+ * @returns {Object} Response body matching responseSchema
+ */
+export const buildResponseModel = (optimization, { bookings, vehicles, vehicleProfiles, options, geocoded = [], rejected = [] }) => {
+    const { response, solver_backend, fallback_reason, plan_check } = optimization;
+    const toTimestamp = (seconds) => formatLocalDateTime(new Date(seconds * 1000), options.timeZone);
+
+    const routes = vehicles.map((vehicle, vehicleIndex) => buildRoute(
+        (response.routes || []).find(route => (route.vehicleIndex || 0) === vehicleIndex),
+        {
+            vehicleLabel: vehicle.label,
+            profile: vehicleProfiles[vehicleIndex],
+            bookings,
+            toTimestamp,
+            timeZone: options.timeZone
+        }
+    ));
+
+    const unassigned = getUnassignedBookings(bookings, response).map(booking => ({
+        booking_id: String(booking.job_id),
+        passengers: booking.pax_count,
+        reasons: booking.reasons.map(reason => ({
+            code: reason.code,
+            description: reason.description,
+            vehicle_id: reason.example_vehicle ?? null,
+            exceeded_capacity_type: reason.exceeded_capacity_type ?? null
+        }))
+    }));
+
+    const pickups = routes.flatMap(route => route.stops.filter(stop => stop.stop_type === 'pickup'));
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const sumMetric = (field) => sum(routes.map(route => route.metrics[field]));
+
+    return {
+        response_version: RESPONSE_MODEL_VERSION,
+        status: 'success',
+        partial_plan: unassigned.length > 0,
+        solver: {
+            backend: solver_backend,
+            fallback_reason: fallback_reason ?? null
+        },
+        planning_horizon: {
+            time_zone: options.timeZone,
+            start_time: toTimestamp(options.startDate.getTime() / 1000),
+            end_time: toTimestamp(options.endDate.getTime() / 1000)
+        },
+        totals: {
+            vehicles_used: routes.filter(route => route.used).length,
+            assigned_bookings: new Set(routes.flatMap(route => route.stops.map(stop => stop.booking_id))).size,
+            unassigned_bookings: unassigned.length,
+            assigned_passengers: sum(pickups.map(stop => stop.passengers)),
+            unassigned_passengers: sum(unassigned.map(booking => booking.passengers)),
+            travel_distance_meters: sumMetric('travel_distance_meters'),
+            travel_duration_seconds: sumMetric('travel_duration_seconds'),
+            wait_duration_seconds: sumMetric('wait_duration_seconds'),
+            total_duration_seconds: sumMetric('total_duration_seconds'),
+            cost: sumMetric('cost')
+        },
+        routes,
+        unassigned_bookings: unassigned,
+        plan_check: {
+            valid: plan_check.valid,
+            violations: plan_check.violations.map(violation => ({
+                code: violation.code,
+                vehicle_id: violation.vehicle,
+                booking_id: violation.booking_id,
+                sequence: violation.sequence,
+                message: violation.message
+            }))
+        },
+        geocoded_bookings: geocoded.map(({ job_id, ...booking }) => ({
+            ...booking,
+            booking_id: job_id === null || job_id === undefined ? null : String(job_id),
+            comuna: booking.comuna ?? null,
+            formatted_address: booking.formatted_address ?? null
+        })),
+        rejected_bookings: rejected.map(({ job_id, ...booking }) => ({
+            ...booking,
+            booking_id: job_id === null || job_id === undefined ? null : String(job_id),
+            address: booking.address ?? null,
+            comuna: booking.comuna ?? null
+        }))
+    };
+};
@@ -0,0 +1,80 @@
+import { MAX_DETOUR_IN_MINUTES, MAX_DETOUR_RATIO, MAX_RIDE_TIME_IN_MINUTES } from '../config.js';
+import { estimateTravel } from './utils.js';
+
+/**
+ * Reads the ride limit parameters of a request, using the configured defaults when missing
+ * @param {Object} parameters - Request parameters
+ * @returns {Object} Ride limit parameters
+ */
+export const getRideLimitParameters = (parameters = {}) => ({
+    maxRideTimeInMinutes: parameters.MAX_RIDE_TIME_IN_MINUTES ?? MAX_RIDE_TIME_IN_MINUTES,
+    maxDetourInMinutes: parameters.MAX_DETOUR_IN_MINUTES ?? MAX_DETOUR_IN_MINUTES,
+    maxDetourRatio: parameters.MAX_DETOUR_RATIO ?? MAX_DETOUR_RATIO
+});
+
+/**
+ * Builds the pickup-to-delivery limits of a booking in the Google format. Rides are
+ * measured from the start of the pickup to the start of the drop-off.
+ * @param {Object} booking - Booking in the customer format (max_ride_time_minutes, max_detour_minutes, max_detour_ratio)
+ * @param {Object} rideLimitParameters - Parameters from getRideLimitParameters
+ * @returns {Object} Shipment fields, empty when the booking has no limits
+ */
+export const buildRideLimits = (booking, rideLimitParameters) => {
+    const maxRideTimeInMinutes = booking.max_ride_time_minutes ?? rideLimitParameters.maxRideTimeInMinutes;
+    const maxDetourInMinutes = booking.max_detour_minutes ?? rideLimitParameters.maxDetourInMinutes;
+    const maxDetourRatio = booking.max_detour_ratio ?? rideLimitParameters.maxDetourRatio;
+
+    return {
+        ...(maxRideTimeInMinutes !== null && {
+            pickupToDeliveryTimeLimit: { seconds: Math.round(maxRideTimeInMinutes * 60) }
+        }),
+        ...(maxDetourInMinutes !== null && {
+            pickupToDeliveryAbsoluteDetourLimit: { seconds: Math.round(maxDetourInMinutes * 60) }
+        }),
+        // The API takes the detour as a fraction of the direct trip (1.5 times the direct trip = 0.5)
+        ...(maxDetourRatio !== null && {
+            pickupToDeliveryRelativeDetourLimit: maxDetourRatio - 1
+        })
+    };
+};
+
+/**
+ * Reads a duration or timestamp ({ seconds }) as a number of seconds. Zero values are
+ * left out of solver responses, so missing ones count as 0.
+ * @param {Object} value - Duration or timestamp object
+ * @returns {number} Number of seconds
+ */
+const toSeconds = (value) => parseInt(value?.seconds ?? 0) || 0;
+
+/**
+ * Compares the planned ride of a booking with a direct trip from its pickup to its destination.
+ * Times come from the solver: the ride runs from the end of the pickup to the start of the
+ * drop-off, and the drop-off `detour` is what the shared route added to the solver's own travel
+ * time, so the direct trip is the ride minus the detour. The direct distance is an estimate
+ * from the straight-line distance, as the solver does not report it.
+ * @param {Object} route - Route object containing visits
+ * @param {Object} booking - Booking object (shipment)
+ * @returns {Object} Direct and actual ride times, detour minutes and detour ratio (null without a pickup)
+ */
+export const getRideDetail = (route, booking) => {
+    const pickupVisit = route.visits.find(visit => visit.isPickup && visit.shipmentLabel === booking.label);
+    const deliveryVisit = route.visits.find(visit => !visit.isPickup && visit.shipmentLabel === booking.label);
+
+    if (!booking.pickups[0] || !pickupVisit || !deliveryVisit) {
+        return { direct_distance_meters: null, direct_minutes: null, actual_minutes: null, detour_minutes: null, detour_ratio: null };
+    }
+
+    const direct = estimateTravel(booking.pickups[0].arrivalLocation, booking.deliveries[0].arrivalLocation);
+    const rideSeconds = toSeconds(deliveryVisit.startTime) - toSeconds(pickupVisit.startTime) -
+        toSeconds(booking.pickups[0].duration);
+    const detourSeconds = toSeconds(deliveryVisit.detour);
+    const directSeconds = Math.max(0, rideSeconds - detourSeconds);
+
+    return {
+        direct_distance_meters: direct.distanceMeters,
+        direct_minutes: Math.round(directSeconds / 60),
+        actual_minutes: Math.round(rideSeconds / 60),
+        detour_minutes: Math.round(detourSeconds / 60),
+        detour_ratio: directSeconds > 0 ? Math.round(rideSeconds / directSeconds * 100) / 100 : null
+    };
+};
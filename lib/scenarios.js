@@ -0,0 +1,191 @@
+import { SCENARIO_CONFIG } from '../config.js';
+
+const toSeconds = (value) => parseInt(value?.seconds ?? 0) || 0;
+
+/**
+ * Gets the fleet sizes tried by the fleet sweep of a scenario request. The full fleet is left
+ * out, since the base scenario already plans with it.
+ * @param {Object} body - Scenario request body
+ * @returns {Array} Vehicle counts, smallest first
+ */
+export const getFleetSweepSizes = (body) => {
+    const vehicleCount = body.vehicles.length;
+    const { min_vehicles: minVehicles = 1, max_vehicles: maxVehicles = vehicleCount } = body.fleet_sweep || {};
+
+    return Array.from({ length: Math.max(0, maxVehicles - minVehicles + 1) }, (_, index) => minVehicles + index)
+        .filter(size => size !== vehicleCount);
+};
+
+/**
+ * Builds the optimization request of each scenario: the base request, each variant with its
+ * parameters and fleet size, and the base request with each fleet size of the sweep. Smaller
+ * fleets keep the first vehicles of the request.
+ * @param {Object} body - Scenario request body
+ * @returns {Array} Scenarios ({ name, kind, vehicleCount, parameters, request })
+ */
+export const buildScenarios = (body) => {
+    const { variants = [], fleet_sweep: fleetSweep, ...base } = body;
+    const withFleet = (request, vehicleCount) => ({ ...request, vehicles: base.vehicles.slice(0, vehicleCount) });
+
+    return [
+        { name: 'base', kind: 'base', vehicleCount: base.vehicles.length, parameters: {}, request: base },
+        ...variants.map(variant => {
+            const vehicleCount = variant.vehicle_count ?? base.vehicles.length;
+
+            return {
+                name: variant.name,
+                kind: 'variant',
+                vehicleCount,
+                parameters: variant.parameters || {},
+                request: withFleet({ ...base, parameters: { ...base.parameters, ...variant.parameters } }, vehicleCount)
+            };
+        }),
+        ...getFleetSweepSizes(body).map(vehicleCount => ({
+            name: `fleet_${vehicleCount}`,
+            kind: 'fleet_sweep',
+            vehicleCount,
+            parameters: {},
+            request: withFleet(base, vehicleCount)
+        }))
+    ];
+};
+
+/**
+ * Runs tasks with at most `concurrency` of them at a time, starting two tasks no closer
+ * than `minStartIntervalInMs`, so a batch of scenarios stays within the solver quota
+ * @param {Array} tasks - Functions returning a promise
+ * @param {Object} limits - Concurrency and least interval between starts
+ * @returns {Promise<Array>} Results of the tasks, in order
+ */
+const runRateLimited = async (tasks, { concurrency, minStartIntervalInMs }) => {
+    const results = new Array(tasks.length);
+    let nextTask = 0;
+    let lastStart = 0;
+
+    const worker = async () => {
+        while (nextTask < tasks.length) {
+            const index = nextTask++;
+            // The start slot is taken before waiting, so workers never share one
+            const startAt = Math.max(Date.now(), lastStart + minStartIntervalInMs);
+            lastStart = startAt;
+
+            if (startAt > Date.now()) {
+                await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+            }
+            results[index] = await tasks[index]();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+    return results;
+};
+
+/**
+ * Gets the longest ride of a plan, from the start of a pickup to the start of its drop-off
+ * @param {Array} routes - Routes returned by the solver
+ * @returns {number} Longest ride in minutes, null when no booking was picked up
+ */
+const getWorstRideMinutes = (routes) => {
+    let worstSeconds = null;
+
+    routes.forEach(route => {
+        const pickupTimes = new Map();
+
+        (route.visits || []).forEach(visit => {
+            const shipmentIndex = visit.shipmentIndex || 0;
+
+            if (visit.isPickup) {
+                pickupTimes.set(shipmentIndex, toSeconds(visit.startTime));
+            } else if (pickupTimes.has(shipmentIndex)) {
+                worstSeconds = Math.max(worstSeconds ?? 0, toSeconds(visit.startTime) - pickupTimes.get(shipmentIndex));
+            }
+        });
+    });
+
+    return worstSeconds === null ? null : Math.round(worstSeconds / 60);
+};
+
+/**
+ * Summarizes the result of a scenario as a row of the comparison table
+ * @param {Object} scenario - Scenario from buildScenarios
+ * @param {Object} result - Result of runOptimization ({ statusCode, body, plan })
+ * @returns {Object} Comparison row
+ */
+const summarizeScenario = (scenario, { statusCode, body, plan }) => {
+    const row = {
+        name: scenario.name,
+        kind: scenario.kind,
+        vehicle_count: scenario.vehicleCount,
+        parameters: scenario.parameters
+    };
+
+    if (statusCode !== 200) {
+        return {
+            ...row,
+            status: 'error',
+            error: { status_code: statusCode, message: body.error, validation_errors: body.validation_errors || [] }
+        };
+    }
+
+    const usedRoutes = plan.routes.filter(route => route.visits?.length > 0);
+
+    return {
+        ...row,
+        status: 'success',
+        total_cost: Math.round(usedRoutes.reduce((sum, route) => sum + Number(route.routeTotalCost || 0), 0) * 100) / 100,
+        total_distance_meters: usedRoutes.reduce((sum, route) => sum + parseInt(route.metrics?.travelDistanceMeters || 0), 0),
+        vehicles_used: usedRoutes.length,
+        unassigned_bookings: plan.unassigned.length,
+        unassigned_booking_ids: plan.unassigned.map(booking => String(booking.job_id)),
+        // Bookings that could not be geocoded are not planned in any scenario
+        rejected_bookings: plan.rejected.length,
+        rejected_booking_ids: plan.rejected.map(booking => String(booking.job_id || `Booking ${booking.index + 1}`)),
+        worst_ride_minutes: getWorstRideMinutes(usedRoutes)
+    };
+};
+
+/**
+ * Runs every scenario of a request and compares them: total cost, distance, vehicles used,
+ * unassigned and rejected bookings and longest ride. The smallest fleet of the base scenario and the fleet
+ * sweep that serves every booking is suggested, the cheapest one on ties.
+ * @param {Object} body - Scenario request body, already validated
+ * @param {Object} options - Run options
+ * @param {Function} options.run - Plans a request, returning { statusCode, body, plan } like runOptimization
+ * @param {number} options.concurrency - Scenarios solved at the same time
+ * @param {number} options.minStartIntervalInMs - Least time between the starts of two scenarios
+ * @returns {Promise<Object>} Comparison table and suggested fleet
+ */
+export const runScenarios = async (body, {
+    run,
+    concurrency = SCENARIO_CONFIG.concurrency,
+    minStartIntervalInMs = SCENARIO_CONFIG.minStartIntervalInMs
+} = {}) => {
+    const scenarios = buildScenarios(body);
+    const tasks = scenarios.map(scenario => async () => {
+        try {
+            return summarizeScenario(scenario, await run(scenario.request));
+        } catch (error) {
+            // A failed scenario is reported in its row instead of failing the comparison
+            return summarizeScenario(scenario, { statusCode: 500, body: { error: error.message } });
+        }
+    });
+
+    const rows = await runRateLimited(tasks, { concurrency, minStartIntervalInMs });
+
+    const [smallest] = rows
+        .filter(row => row.kind !== 'variant' && row.status === 'success' &&
+            row.unassigned_bookings === 0 && row.rejected_bookings === 0)
+        .sort((a, b) => a.vehicle_count - b.vehicle_count || a.total_cost - b.total_cost);
+
+    return {
+        status: 'success',
+        scenarios: rows,
+        suggested_fleet: smallest ? {
+            vehicle_count: smallest.vehicle_count,
+            vehicles: body.vehicles.slice(0, smallest.vehicle_count)
+                .map((vehicle, index) => String(vehicle.vehicle_number || `Vehicle ${index + 1}`)),
+            scenario: smallest.name,
+            total_cost: smallest.total_cost
+        } : null
+    };
+};
@@ -0,0 +1,101 @@
+import { DEFAULT_TIMEZONE, PLANNING_HORIZON_IN_HOURS } from '../config.js';
+import {
+    dateToGoogleFormat,
+    formatLocalDateTime,
+    isValidTimeZone,
+    parseDateTime
+} from './utils.js';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a shift-related time, moving times of day past midnight when they
+ * would otherwise fall before the time they follow (e.g. a 22:00-06:00 shift)
+ * @param {string|number} value - ISO 8601 string, time of day (HH:mm) or epoch seconds
+ * @param {Object} horizon - Planning horizon from getPlanningHorizon
+ * @param {Date} notBefore - Time the value is expected to follow (optional)
+ * @returns {Date|null} Parsed date, or null when no value is given
+ */
+export const parseShiftTime = (value, horizon, notBefore = null) => {
+    const date = parseDateTime(value, horizon.timeZone, horizon.planningDate);
+
+    if (date && notBefore && date < notBefore && /^\d{2}:\d{2}/.test(String(value))) {
+        return new Date(date.getTime() + DAY_IN_MS);
+    }
+
+    return date;
+};
+
+/**
+ * Resolves the planning horizon of a request. Without a shift start, plans start now;
+ * without a shift end, the horizon lasts PLANNING_HORIZON_IN_HOURS.
+ * @param {Object} parameters - Request parameters (TIMEZONE, PLANNING_DATE, SHIFT_START, SHIFT_END)
+ * @returns {Object} Object with timeZone, planningDate (YYYY-MM-DD), startDate and endDate
+ */
+export const getPlanningHorizon = (parameters = {}) => {
+    const timeZone = parameters.TIMEZONE || DEFAULT_TIMEZONE;
+
+    if (!isValidTimeZone(timeZone)) {
+        throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+
+    // Times of day are placed on the planning date, or on the date of the shift start
+    const shiftStartIsTimeOfDay = /^\d{2}:\d{2}/.test(String(parameters.SHIFT_START ?? ''));
+    const planningDate = parameters.PLANNING_DATE ||
+        formatLocalDateTime(
+            (!shiftStartIsTimeOfDay && parseDateTime(parameters.SHIFT_START, timeZone)) || new Date(),
+            timeZone
+        ).slice(0, 10);
+
+    const horizon = { timeZone, planningDate };
+
+    horizon.startDate = parseShiftTime(parameters.SHIFT_START, horizon) ||
+        (parameters.PLANNING_DATE ? parseDateTime(planningDate, timeZone) : new Date());
+    horizon.endDate = parseShiftTime(parameters.SHIFT_END, horizon, horizon.startDate) ||
+        new Date(horizon.startDate.getTime() + PLANNING_HORIZON_IN_HOURS * 60 * 60 * 1000);
+
+    if (horizon.endDate <= horizon.startDate) {
+        throw new Error('SHIFT_END must be after SHIFT_START');
+    }
+
+    return horizon;
+};
+
+/**
+ * Builds the shift time windows and break rule of a vehicle in the Google format
+ * @param {Object} vehicle - Vehicle in the customer format (shift_start, shift_end, breaks)
+ * @param {Object} horizon - Planning horizon from getPlanningHorizon
+ * @returns {Object} Vehicle fields: startTimeWindows, endTimeWindows and breakRule, when set
+ */
+export const buildVehicleShift = (vehicle, horizon) => {
+    const vehicleName = vehicle.vehicle_number || 'without number';
+    const shiftStart = parseShiftTime(vehicle.shift_start, horizon, horizon.startDate);
+    const shiftEnd = parseShiftTime(vehicle.shift_end, horizon, shiftStart || horizon.startDate);
+
+    if (shiftStart && shiftEnd && shiftEnd <= shiftStart) {
+        throw new Error(`Vehicle ${vehicleName}: shift_end must be after shift_start`);
+    }
+
+    const breakRequests = (vehicle.breaks || []).map((breakRule) => {
+        if (!breakRule.earliest_start || !breakRule.duration_minutes) {
+            throw new Error(`Vehicle ${vehicleName}: breaks require earliest_start and duration_minutes`);
+        }
+
+        const earliestStart = parseShiftTime(breakRule.earliest_start, horizon, shiftStart || horizon.startDate);
+        const latestStart = parseShiftTime(breakRule.latest_start, horizon, earliestStart) || earliestStart;
+
+        return {
+            earliestStartTime: dateToGoogleFormat(earliestStart),
+            latestStartTime: dateToGoogleFormat(latestStart),
+            minDuration: {
+                seconds: breakRule.duration_minutes * 60
+            }
+        };
+    });
+
+    return {
+        ...(shiftStart && { startTimeWindows: [{ startTime: dateToGoogleFormat(shiftStart) }] }),
+        ...(shiftEnd && { endTimeWindows: [{ endTime: dateToGoogleFormat(shiftEnd) }] }),
+        ...(breakRequests.length > 0 && { breakRule: { breakRequests } })
+    };
+};
@@ -0,0 +1,144 @@
+import {
+    ARRIVAL_BUFFER_IN_MINUTES,
+    CHECK_IN_BUFFER_IN_MINUTES,
+    DEFAULT_TIMEZONE,
+    LATENESS_COST_PER_HOUR,
+    MAX_PICKUP_WAIT_IN_MINUTES
+} from '../config.js';
+import { parseShiftTime } from './shifts.js';
+import { dateToGoogleFormat, formatLocalDateTime, parseDateTime } from './utils.js';
+
+/**
+ * Reads the time window parameters of a request, using the configured defaults when missing
+ * @param {Object} parameters - Request parameters
+ * @returns {Object} Time window parameters
+ */
+export const getTimeWindowParameters = (parameters = {}) => ({
+    arrivalBufferInMinutes: parameters.ARRIVAL_BUFFER_IN_MINUTES ?? ARRIVAL_BUFFER_IN_MINUTES,
+    maxPickupWaitInMinutes: parameters.MAX_PICKUP_WAIT_IN_MINUTES ?? MAX_PICKUP_WAIT_IN_MINUTES,
+    checkInBufferInMinutes: parameters.CHECK_IN_BUFFER_IN_MINUTES ?? CHECK_IN_BUFFER_IN_MINUTES,
+    softTimeWindows: parameters.SOFT_TIME_WINDOWS ?? false,
+    latenessCostPerHour: parameters.LATENESS_COST_PER_HOUR ?? LATENESS_COST_PER_HOUR
+});
+
+/**
+ * Builds a time window in the Google format
+ * @param {Date} start - Earliest time, always a hard limit (optional)
+ * @param {Date} end - Latest time (optional)
+ * @param {boolean} soft - Whether the latest time is a soft limit
+ * @param {number} latenessCostPerHour - Cost per hour after a soft latest time
+ * @returns {Object} Google TimeWindow object
+ */
+const buildTimeWindow = (start, end, soft, latenessCostPerHour) => {
+    const timeWindow = {};
+
+    if (start) {
+        timeWindow.startTime = dateToGoogleFormat(start);
+    }
+
+    if (end && soft) {
+        timeWindow.softEndTime = dateToGoogleFormat(end);
+        timeWindow.costPerHourAfterSoftEndTime = latenessCostPerHour;
+    } else if (end) {
+        timeWindow.endTime = dateToGoogleFormat(end);
+    }
+
+    return timeWindow;
+};
+
+/**
+ * Builds the pickup and delivery time windows of a booking.
+ * Passengers are ready at `ready_at`, or `flight_arrival_time` plus the arrival buffer, and
+ * must be dropped off before `latest_dropoff_time`, or `flight_departure_time` minus the
+ * check-in buffer. A promised pickup window (`pickup_window_start`, `pickup_window_end`)
+ * replaces the ready time and the longest wait.
+ * Times of day before the start of the horizon are moved past midnight, as shift times are,
+ * when the next day still falls within the horizon (e.g. 01:30 in a 22:00-06:00 shift).
+ * @param {Object} booking - Booking in the customer format
+ * @param {Object} timeWindowParameters - Parameters from getTimeWindowParameters
+ * @param {Object} horizon - Planning horizon, used to read local times (optional)
+ * @returns {Object} Object with pickupTimeWindows and deliveryTimeWindows arrays
+ */
+export const buildBookingTimeWindows = (booking, timeWindowParameters, horizon = {}) => {
+    const parse = (value) => {
+        const date = parseShiftTime(value, horizon, horizon.startDate);
+        return date && horizon.endDate && date > horizon.endDate ?
+            parseDateTime(value, horizon.timeZone, horizon.planningDate) :
+            date;
+    };
+    const flightArrival = parse(booking.flight_arrival_time);
+    const flightDeparture = parse(booking.flight_departure_time);
+    const pickupWindowStart = parse(booking.pickup_window_start);
+    const pickupWindowEnd = parse(booking.pickup_window_end);
+    const checkInBufferInMinutes = booking.check_in_buffer_minutes ?? timeWindowParameters.checkInBufferInMinutes;
+
+    const readyAt = pickupWindowStart || parse(booking.ready_at) || (flightArrival &&
+        new Date(flightArrival.getTime() + timeWindowParameters.arrivalBufferInMinutes * 60 * 1000));
+    const latestDropoff = parse(booking.latest_dropoff_time) || (flightDeparture &&
+        new Date(flightDeparture.getTime() - checkInBufferInMinutes * 60 * 1000));
+
+    if (pickupWindowStart && pickupWindowEnd && pickupWindowEnd <= pickupWindowStart) {
+        throw new Error(`Booking ${booking.job_id}: pickup_window_end must be after pickup_window_start`);
+    }
+
+    if (readyAt && latestDropoff && latestDropoff <= readyAt) {
+        throw new Error(booking.latest_dropoff_time === undefined && flightDeparture ?
+            `Booking ${booking.job_id}: the passengers must be ready before the check-in deadline (flight_departure_time minus ${checkInBufferInMinutes} minutes)` :
+            `Booking ${booking.job_id}: latest_dropoff_time must be after the passengers are ready`);
+    }
+
+    if (pickupWindowEnd && latestDropoff && latestDropoff <= pickupWindowEnd) {
+        throw new Error(`Booking ${booking.job_id}: pickup_window_end must be before the latest drop-off`);
+    }
+
+    const soft = booking.soft_time_windows ?? timeWindowParameters.softTimeWindows;
+    const latenessCostPerHour = booking.lateness_cost_per_hour ?? timeWindowParameters.latenessCostPerHour;
+    const maxPickupWaitInMinutes = booking.max_pickup_wait_minutes ?? timeWindowParameters.maxPickupWaitInMinutes;
+    const latestPickup = pickupWindowEnd || (readyAt && maxPickupWaitInMinutes ?
+        new Date(readyAt.getTime() + maxPickupWaitInMinutes * 60 * 1000) : null);
+
+    return {
+        pickupTimeWindows: readyAt ? [buildTimeWindow(readyAt, latestPickup, soft, latenessCostPerHour)] : [],
+        deliveryTimeWindows: latestDropoff ? [buildTimeWindow(null, latestDropoff, soft, latenessCostPerHour)] : []
+    };
+};
+
+/**
+ * Checks a planned visit time against the promised time windows of its pickup or delivery
+ * @param {Array} timeWindows - Google time windows of the visit request
+ * @param {Object} startTime - Planned visit start time ({ seconds })
+ * @param {string} timeZone - Time zone of the reported window times
+ * @returns {Object|null} Promised window and whether the plan meets it, or null when unconstrained
+ */
+export const getTimeWindowStatus = (timeWindows, startTime, timeZone = DEFAULT_TIMEZONE) => {
+    if (!timeWindows || timeWindows.length === 0 || !startTime) return null;
+
+    const visitSeconds = parseInt(startTime.seconds);
+    const windows = timeWindows.map(timeWindow => {
+        const start = timeWindow.softStartTime || timeWindow.startTime;
+        const end = timeWindow.softEndTime || timeWindow.endTime;
+
+        return {
+            start: start ? parseInt(start.seconds) : null,
+            end: end ? parseInt(end.seconds) : null,
+            soft: Boolean(timeWindow.softStartTime || timeWindow.softEndTime)
+        };
+    });
+
+    // Report the window containing the visit, or the first one when none does
+    const meets = (window) => (window.start === null || visitSeconds >= window.start) &&
+        (window.end === null || visitSeconds <= window.end);
+    const promised = windows.find(meets) || windows[0];
+    const toISO = (seconds) => seconds === null ? null : formatLocalDateTime(new Date(seconds * 1000), timeZone);
+
+    return {
+        promised_window: {
+            start: toISO(promised.start),
+            end: toISO(promised.end),
+            soft: promised.soft
+        },
+        meets_window: meets(promised),
+        minutes_late: promised.end !== null && visitSeconds > promised.end ?
+            Math.round((visitSeconds - promised.end) / 60) : 0
+    };
+};
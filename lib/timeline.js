@@ -0,0 +1,93 @@
+/**
+ * Reads a duration or timestamp ({ seconds }) as a number of seconds. Zero values are
+ * left out of solver responses, so missing ones count as 0.
+ * @param {Object} value - Duration or timestamp object
+ * @returns {number} Number of seconds
+ */
+const toSeconds = (value) => parseInt(value?.seconds ?? 0) || 0;
+
+/**
+ * Gets the time a route starts: the vehicle start time, or else the start of its first
+ * transition or visit
+ * @param {Object} route - Route object containing visits and transitions
+ * @returns {number} Route start in epoch seconds
+ */
+export const getRouteStartTime = (route) => {
+    return toSeconds(route.vehicleStartTime || route.transitions?.[0]?.startTime || route.visits?.[0]?.startTime);
+};
+
+// Loads are read from the shipments: visits in the API response do not carry them
+const getPassengers = (booking) => parseInt(booking?.loadDemands?.passengers?.amount) || 0;
+const getLuggage = (booking) => parseInt(booking?.loadDemands?.luggage?.amount) || 0;
+
+/**
+ * Gets the load on board when a route starts: the passengers and luggage of the bookings
+ * it delivers without picking them up (already on board when re-optimizing)
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Object} route - Route object containing visits
+ * @returns {Object} Passengers and luggage on board at the start
+ */
+export const getStartLoads = (bookings, route) => {
+    const onBoard = (route.visits || [])
+        .filter(visit => !visit.isPickup)
+        .map(visit => bookings[visit.shipmentIndex || 0])
+        .filter(booking => booking && !booking.pickups?.length);
+
+    return {
+        passengers: onBoard.reduce((sum, booking) => sum + getPassengers(booking), 0),
+        luggage: onBoard.reduce((sum, booking) => sum + getLuggage(booking), 0)
+    };
+};
+
+/**
+ * Walks the visits of a route in order with the transition leading to each one (transition i
+ * precedes visit i), so waits, breaks and pickups are all accounted for. Passengers of bookings
+ * without a pickup (already on board when re-optimizing) are on board from the route start.
+ * @param {Array} bookings - Array of booking objects (shipments)
+ * @param {Object} route - Route object containing visits and transitions
+ * @returns {Array} One entry per visit, in route order, with its booking, times in epoch seconds,
+ * elapsed seconds since the route start, leg and cumulative distance, wait and load on board
+ */
+export const buildRouteTimeline = (bookings, route) => {
+    const visits = route.visits || [];
+    const routeStart = getRouteStartTime(route);
+    const startLoads = getStartLoads(bookings, route);
+    let passengersOnBoard = startLoads.passengers;
+    let luggageOnBoard = startLoads.luggage;
+    let cumulativeDistance = 0;
+
+    return visits.map((visit, visitIndex) => {
+        const booking = bookings[visit.shipmentIndex || 0];
+        const visitRequest = visit.isPickup ? booking?.pickups[0] : booking?.deliveries[0];
+        const transition = route.transitions?.[visitIndex];
+        const sign = visit.isPickup ? 1 : -1;
+
+        const start = toSeconds(visit.startTime);
+        const waitSeconds = toSeconds(transition?.waitDuration);
+        const arrival = start - waitSeconds;
+        const legDistance = parseInt(transition?.travelDistanceMeters || 0);
+
+        cumulativeDistance += legDistance;
+        passengersOnBoard += sign * getPassengers(booking);
+        luggageOnBoard += sign * getLuggage(booking);
+
+        return {
+            visit,
+            visitIndex,
+            booking,
+            visitRequest,
+            arrival,
+            start,
+            departure: start + toSeconds(visitRequest?.duration),
+            elapsedSeconds: arrival - routeStart,
+            legDistanceMeters: legDistance,
+            legDurationSeconds: toSeconds(transition?.travelDuration),
+            cumulativeDistanceMeters: cumulativeDistance,
+            waitSeconds,
+            breakSeconds: toSeconds(transition?.breakDuration),
+            passengers: getPassengers(booking),
+            passengersOnBoard,
+            luggageOnBoard
+        };
+    });
+};
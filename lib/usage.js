@@ -0,0 +1,166 @@
+import { AUTH_CONFIG, DEFAULT_TIMEZONE } from '../config.js';
+import { formatLocalDateTime } from './utils.js';
+
+// Counters kept per client and day
+export const USAGE_COUNTERS = [
+    'requests',             // Authenticated requests, rejected ones included
+    'optimizations',        // Plans requested (a scenario comparison counts one per scenario)
+    'shipments',            // Bookings sent to be planned, over all optimizations
+    'rejected_requests'     // Requests over the rate limit or a daily quota
+];
+
+const emptyCounters = () => Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, 0]));
+
+/**
+ * Gets the day usage is counted in. Days follow the local calendar, so daily quotas
+ * reset at local midnight.
+ * @param {Date} date - Date and time (defaults to now)
+ * @param {string} timeZone - IANA time zone (defaults to DEFAULT_TIMEZONE)
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+export const getUsageDay = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => formatLocalDateTime(date, timeZone).slice(0, 10);
+
+/**
+ * Gets the time left until the next usage day starts
+ * @param {Date} date - Date and time (defaults to now)
+ * @param {string} timeZone - IANA time zone (defaults to DEFAULT_TIMEZONE)
+ * @returns {number} Seconds until local midnight
+ */
+export const getSecondsUntilNextDay = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+    const [hours, minutes, seconds] = formatLocalDateTime(date, timeZone).slice(11, 19).split(':').map(Number);
+    return 24 * 3600 - (hours * 3600 + minutes * 60 + seconds);
+};
+
+/**
+ * Checks whether a value is a usage day (YYYY-MM-DD)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for valid dates
+ */
+export const isUsageDay = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+    // Rolled-over dates such as 2024-02-30 are not valid
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Creates a usage store that keeps the daily counters of each client in memory, dropping days
+ * older than the retention time. Other stores (e.g. Firestore or Redis) only need async
+ * increment(clientId, day, counts) and list({ from, to }) functions; increment must apply
+ * the counts atomically and return the updated counters.
+ * @param {Object} options - Store options
+ * @param {number} options.retentionInDays - How many days of counters are kept
+ * @returns {Object} Usage store with a name and async increment and list functions
+ */
+export const createMemoryUsageStore = ({ retentionInDays = AUTH_CONFIG.usageRetentionInDays } = {}) => {
+    const days = new Map();
+
+    const purge = () => {
+        const cutoff = getUsageDay(new Date(Date.now() - retentionInDays * 24 * 3600 * 1000));
+        days.forEach((entry, key) => {
+            if (entry.day < cutoff) days.delete(key);
+        });
+    };
+
+    return {
+        name: 'memory',
+        increment: async (clientId, day, counts) => {
+            const key = `${clientId}|${day}`;
+            const entry = days.get(key) || { clientId, day, counters: emptyCounters() };
+
+            Object.entries(counts).forEach(([counter, count]) => {
+                entry.counters[counter] = (entry.counters[counter] || 0) + count;
+            });
+            days.set(key, entry);
+            return { ...entry.counters };
+        },
+        list: async ({ from, to }) => {
+            purge();
+            return [...days.values()]
+                .filter(entry => entry.day >= from && entry.day <= to)
+                .map(entry => ({ client_id: entry.clientId, date: entry.day, ...entry.counters }));
+        }
+    };
+};
+
+let usageStore = null;
+
+/**
+ * Gets the usage store, in memory unless replaced with setUsageStore
+ * @returns {Object} Usage store
+ */
+export const getUsageStore = () => {
+    if (!usageStore) {
+        usageStore = createMemoryUsageStore();
+    }
+    return usageStore;
+};
+
+/**
+ * Replaces the usage store, e.g. with a persistent one shared by several instances, which
+ * daily quotas and billing need in production
+ * @param {Object} customStore - Usage store with async increment and list functions, or null to reset
+ */
+export const setUsageStore = (customStore) => {
+    usageStore = customStore;
+};
+
+/**
+ * Adds up usage counters
+ * @param {Array} entries - Objects with the usage counters
+ * @returns {Object} Sum of each counter
+ */
+const sumCounters = (entries) => {
+    const totals = emptyCounters();
+    entries.forEach(entry => USAGE_COUNTERS.forEach(counter => {
+        totals[counter] += entry[counter] || 0;
+    }));
+    return totals;
+};
+
+/**
+ * Builds the usage report of a period, per client and per cost center, for billing
+ * @param {Array} entries - Daily counters from the usage store's list function
+ * @param {Array} clients - Clients to report, from the client registry's list function
+ * @param {Object} period - Reported days
+ * @param {string} period.from - First day (YYYY-MM-DD)
+ * @param {string} period.to - Last day (YYYY-MM-DD)
+ * @returns {Object} Usage response body
+ */
+export const buildUsageReport = (entries, clients, { from, to }) => {
+    const clientReports = clients.map(client => {
+        const days = entries
+            .filter(entry => entry.client_id === client.id)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(({ client_id: clientId, ...day }) => day);
+
+        return {
+            client_id: client.id,
+            name: client.name,
+            cost_center: client.cost_center,
+            limits: client.limits,
+            totals: sumCounters(days),
+            days
+        };
+    });
+
+    const costCenters = new Map();
+    clientReports.forEach(report => {
+        const costCenter = costCenters.get(report.cost_center) || { cost_center: report.cost_center, client_ids: [], reports: [] };
+        costCenter.client_ids.push(report.client_id);
+        costCenter.reports.push(report.totals);
+        costCenters.set(report.cost_center, costCenter);
+    });
+
+    return {
+        status: 'success',
+        from,
+        to,
+        clients: clientReports,
+        cost_centers: [...costCenters.values()].map(({ reports, ...costCenter }) => ({
+            ...costCenter,
+            totals: sumCounters(reports)
+        }))
+    };
+};
@@ -1,3 +1,5 @@
+import { LOCAL_SOLVER_CONFIG, SERVICE_REGION } from '../config.js';
+
 /**
  * Format a date object to an ISO string.
  * @param {Date} date - The date to format
@@ -41,24 +43,112 @@ export const calculateDistance = (point1, point2) => {
     return R * c; // in meters
 };
 
+/**
+ * Estimate the road distance and driving time between two points from their straight-line distance.
+ * @param {Object} from - Origin point with latitude and longitude properties
+ * @param {Object} to - Destination point with latitude and longitude properties
+ * @param {Object} config - Estimation settings (roadDistanceFactor, averageSpeedKmh)
+ * @returns {Object} Object with distanceMeters and durationSeconds
+ */
+export const estimateTravel = (from, to, config = LOCAL_SOLVER_CONFIG) => {
+    const distanceMeters = Math.round(calculateDistance(from, to) * config.roadDistanceFactor);
+
+    return {
+        distanceMeters,
+        durationSeconds: Math.round(distanceMeters / (config.averageSpeedKmh * 1000 / 3600))
+    };
+};
+
+/**
+ * Check whether coordinates fall inside the service region bounding box.
+ * @param {Object} point - Point with latitude and longitude properties
+ * @param {Object} region - Bounding box (minLatitude, maxLatitude, minLongitude, maxLongitude)
+ * @returns {boolean} True if the point is inside the region
+ */
+export const isInsideServiceRegion = (point, region = SERVICE_REGION) => {
+    return point.latitude >= region.minLatitude && point.latitude <= region.maxLatitude &&
+        point.longitude >= region.minLongitude && point.longitude <= region.maxLongitude;
+};
+
+/**
+ * Split CSV data into rows of fields. Fields can be quoted to contain commas,
+ * line breaks or quotes (written twice, as in "Av. ""Nueva"" 123").
+ * @param {string} csvData - CSV data as string
+ * @returns {Array} Array of rows, each an array of { value, quoted } fields
+ */
+const splitCSVRows = (csvData) => {
+    const rows = [];
+    let row = [];
+    let field = { value: '', quoted: false };
+    let inQuotes = false;
+
+    const endField = () => {
+        row.push(field);
+        field = { value: '', quoted: false };
+    };
+    const endRow = () => {
+        endField();
+        rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < csvData.length; i++) {
+        const char = csvData[i];
+
+        if (inQuotes) {
+            if (char === '"' && csvData[i + 1] === '"') {
+                field.value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field.value += char;
+            }
+        } else if (char === '"' && field.value.trim() === '') {
+            inQuotes = true;
+            field = { value: '', quoted: true };
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && csvData[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field.value += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Invalid CSV: unterminated quoted field');
+    }
+    if (row.length > 0 || field.value !== '' || field.quoted) {
+        endRow();
+    }
+
+    return rows;
+};
+
 /**
  * Parse a CSV file into an array of objects.
+ * Unquoted numeric values are converted to numbers; quoted values are kept as text.
  * @param {string} csvData - CSV data as string
+ * @param {Object} options - Parse options
+ * @param {Array} options.numericColumns - Only columns converted to numbers (all columns when not set)
  * @returns {Array} Array of objects representing CSV rows
  */
-export const parseCSV = (csvData) => {
-    const lines = csvData.split('\n');
-    const headers = lines[0].split(',').map(header => header.trim());
+export const parseCSV = (csvData, { numericColumns = null } = {}) => {
+    const [headerRow = [], ...rows] = splitCSVRows(csvData.replace(/^\uFEFF/, ''));
+    const headers = headerRow.map(header => header.value.trim());
     
-    return lines.slice(1).filter(line => line.trim() !== '').map(line => {
-        const values = line.split(',');
+    return rows.filter(row => row.some(field => field.quoted || field.value.trim() !== '')).map(row => {
         const entry = {};
         
         headers.forEach((header, index) => {
-            let value = values[index] ? values[index].trim() : '';
+            const field = row[index];
+            let value = field ? (field.quoted ? field.value : field.value.trim()) : '';
             
             // Try to convert to number if possible
-            if (!isNaN(value) && value !== '') {
+            if (field && !field.quoted && !isNaN(value) && value !== '' &&
+                (!numericColumns || numericColumns.includes(header))) {
                 value = Number(value);
             }
             
@@ -69,6 +159,23 @@ export const parseCSV = (csvData) => {
     });
 };
 
+/**
+ * Format an array of objects as CSV, quoting the values that need it.
+ * @param {Array} rows - Array of objects
+ * @param {Array} columns - Column names, in order
+ * @returns {string} CSV data as string
+ */
+export const formatCSV = (rows, columns) => {
+    const formatValue = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(formatValue).join(','))
+        .join('\n') + '\n';
+};
+
 /**
  * Group an array of objects by a specified property.
  * @param {Array} array - Array of objects to group
@@ -92,4 +199,168 @@ export const groupBy = (array, key) => {
  */
 export const hasRequiredProperties = (obj, requiredProps) => {
     return requiredProps.every(prop => obj.hasOwnProperty(prop) && obj[prop] !== undefined);
-}; 
\ No newline at end of file
+};
+
+/**
+ * Encode a list of coordinates using the Google encoded polyline algorithm.
+ * @param {Array} points - Array of points with latitude and longitude properties
+ * @returns {string} Encoded polyline string
+ */
+export const encodePolyline = (points) => {
+    const encodeValue = (value) => {
+        let remaining = value < 0 ? ~(value << 1) : value << 1;
+        let encoded = '';
+
+        while (remaining >= 0x20) {
+            encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+            remaining >>= 5;
+        }
+
+        return encoded + String.fromCharCode(remaining + 63);
+    };
+
+    let lastLatitude = 0;
+    let lastLongitude = 0;
+
+    return points.map(point => {
+        const latitude = Math.round(point.latitude * 1e5);
+        const longitude = Math.round(point.longitude * 1e5);
+        const encoded = encodeValue(latitude - lastLatitude) + encodeValue(longitude - lastLongitude);
+
+        lastLatitude = latitude;
+        lastLongitude = longitude;
+        return encoded;
+    }).join('');
+};
+
+/**
+ * Decode a Google encoded polyline into a list of coordinates.
+ * @param {string} encoded - Encoded polyline string
+ * @returns {Array} Array of points with latitude and longitude properties
+ */
+export const decodePolyline = (encoded) => {
+    const points = [];
+    let index = 0;
+    let latitude = 0;
+    let longitude = 0;
+
+    const decodeValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+        latitude += decodeValue();
+        longitude += decodeValue();
+        points.push({ latitude: latitude / 1e5, longitude: longitude / 1e5 });
+    }
+
+    return points;
+};
+
+/**
+ * Get the UTC offset of a time zone at a given instant.
+ * @param {Date} date - The instant to check
+ * @param {string} timeZone - IANA time zone name (e.g. America/Santiago)
+ * @returns {number} Offset from UTC in minutes (negative west of Greenwich)
+ */
+export const getTimeZoneOffsetMinutes = (date, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date).map(part => [part.type, part.value])
+    );
+    const wallClockAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return Math.round((wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Format a date as a local ISO 8601 string with the time zone offset.
+ * @param {Date} date - The date to format
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Local ISO string (e.g. 2024-03-01T08:30:00-03:00)
+ */
+export const formatLocalDateTime = (date, timeZone) => {
+    const offset = getTimeZoneOffsetMinutes(date, timeZone);
+    const local = new Date(date.getTime() + offset * 60 * 1000);
+    const pad = (value) => String(value).padStart(2, '0');
+    const sign = offset < 0 ? '-' : '+';
+
+    return `${local.toISOString().slice(0, 19)}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+/**
+ * Check whether a string is a valid IANA time zone name.
+ * @param {string} timeZone - Time zone name to check
+ * @returns {boolean} True if the time zone is supported
+ */
+export const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Parse a date-time value into a Date object.
+ * Values without a UTC offset are read as wall-clock times in the given time zone,
+ * and times of day (HH:mm) are placed on the given reference date. The date and the time
+ * can be separated by a T or a space; other formats are rejected.
+ * @param {string|number|Date} value - ISO 8601 string, time of day, epoch seconds or Date
+ * @param {string} timeZone - IANA time zone for values without an offset (optional)
+ * @param {string} referenceDate - Date (YYYY-MM-DD) for times of day (optional)
+ * @returns {Date|null} Parsed date, or null when no value is given
+ */
+export const parseDateTime = (value, timeZone, referenceDate) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    let date;
+
+    if (value instanceof Date) {
+        date = value;
+    } else if (typeof value === 'number') {
+        date = new Date(value * 1000);
+    } else if (timeZone && /^(\d{4}-\d{2}-\d{2})?([T ]?\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(String(value))) {
+        const isTimeOfDay = /^\d{2}:\d{2}/.test(value);
+        if (isTimeOfDay && !referenceDate) {
+            throw new Error(`A date is required to place the time of day ${value}`);
+        }
+
+        const [datePart, timePart = '00:00:00'] = isTimeOfDay ? [referenceDate, value] : value.split(/[T ]/);
+        const wallClockAsUTC = new Date(`${datePart}T${timePart}Z`);
+
+        // Resolve the offset twice so instants next to a DST change land on the right side
+        date = new Date(wallClockAsUTC.getTime() - getTimeZoneOffsetMinutes(wallClockAsUTC, timeZone) * 60 * 1000);
+        date = new Date(wallClockAsUTC.getTime() - getTimeZoneOffsetMinutes(date, timeZone) * 60 * 1000);
+    } else if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i.test(String(value))) {
+        // ISO 8601 with a UTC offset, or a value without one when no time zone is given
+        date = new Date(String(value).replace(' ', 'T'));
+    } else {
+        date = new Date(NaN);
+    }
+
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date-time value: ${value}`);
+    }
+
+    return date;
+};
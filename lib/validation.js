@@ -0,0 +1,611 @@
+import {
+    BOOKING_DIRECTIONS,
+    LEGACY_FORMAT_VERSIONS,
+    PRICING_RULES,
+    RESPONSE_VERSIONS,
+    SCENARIO_CONFIG,
+    VEHICLE_FEATURES,
+    VEHICLE_TYPES
+} from '../config.js';
+import { getSolverBackends } from '../optimization.js';
+import { getVehicleProfile } from './fleet.js';
+import { getLocationRegistry } from './locations.js';
+import { getPlanState, isActiveBooking, VISIT_STATUS } from './reoptimization.js';
+import { getFleetSweepSizes } from './scenarios.js';
+import { getPlanningHorizon, buildVehicleShift } from './shifts.js';
+import { buildBookingTimeWindows, getTimeWindowParameters } from './timeWindows.js';
+import { isInsideServiceRegion, isValidTimeZone, parseDateTime } from './utils.js';
+
+const coordinatesSchema = {
+    type: 'object',
+    required: ['latitude', 'longitude'],
+    properties: {
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', minimum: -180, maximum: 180 }
+    },
+    additionalProperties: false,
+    'x-service-region': true
+};
+
+const dateTimeSchema = { type: ['string', 'number'], format: 'date-time' };
+
+const featuresSchema = { type: 'array', items: { type: 'string', enum: VEHICLE_FEATURES } };
+
+const bookingSchema = {
+    type: 'object',
+    required: ['pax_count'],
+    properties: {
+        job_id: { type: ['string', 'integer'] },
+        pax_count: { type: 'integer', minimum: 1 },
+        luggage_count: { type: 'integer', minimum: 0 },
+        requirements: featuresSchema,
+        direction: { type: 'string', enum: BOOKING_DIRECTIONS },
+        origin: { type: 'string', minLength: 1 },
+        origin_coordinates: coordinatesSchema,
+        origin_address: { type: 'string', minLength: 1 },
+        origin_comuna: { type: 'string', minLength: 1 },
+        destination: coordinatesSchema,
+        destination_location: { type: 'string', minLength: 1 },
+        destination_address: { type: 'string', minLength: 1 },
+        destination_comuna: { type: 'string', minLength: 1 },
+        flight_arrival_time: dateTimeSchema,
+        flight_departure_time: dateTimeSchema,
+        check_in_buffer_minutes: { type: 'number', minimum: 0 },
+        ready_at: dateTimeSchema,
+        pickup_window_start: dateTimeSchema,
+        pickup_window_end: dateTimeSchema,
+        latest_dropoff_time: dateTimeSchema,
+        max_pickup_wait_minutes: { type: 'number', minimum: 0 },
+        soft_time_windows: { type: 'boolean' },
+        lateness_cost_per_hour: { type: 'number', minimum: 0 },
+        max_ride_time_minutes: { type: 'number', exclusiveMinimum: 0 },
+        max_detour_minutes: { type: 'number', minimum: 0 },
+        max_detour_ratio: { type: 'number', minimum: 1 }
+    },
+    additionalProperties: false
+};
+
+const breakSchema = {
+    type: 'object',
+    required: ['earliest_start', 'duration_minutes'],
+    properties: {
+        earliest_start: dateTimeSchema,
+        latest_start: dateTimeSchema,
+        duration_minutes: { type: 'number', exclusiveMinimum: 0 }
+    },
+    additionalProperties: false
+};
+
+const vehicleSchema = {
+    type: 'object',
+    properties: {
+        vehicle_number: { type: ['string', 'integer'] },
+        start_location: { type: 'string', minLength: 1 },
+        start_coordinates: coordinatesSchema,
+        base_location: { type: 'string', minLength: 1 },
+        vehicle_type: { type: 'string', enum: Object.keys(VEHICLE_TYPES) },
+        vehicle_capacity: { type: 'integer', minimum: 1 },
+        luggage_capacity: { type: 'integer', minimum: 0 },
+        cost_per_hour: { type: 'number', minimum: 0 },
+        cost_per_kilometer: { type: 'number', minimum: 0 },
+        fixed_cost: { type: 'number', minimum: 0 },
+        features: featuresSchema,
+        shift_start: dateTimeSchema,
+        shift_end: dateTimeSchema,
+        breaks: { type: 'array', items: breakSchema }
+    },
+    additionalProperties: false
+};
+
+const parametersSchema = {
+    type: 'object',
+    properties: {
+        STOP_TIME_IN_MINUTES: { type: 'number', minimum: 0 },
+        MAX_ROUTE_TIME_IN_MINUTES: { type: 'number', exclusiveMinimum: 0 },
+        SOLVER_BACKEND: { type: 'string', 'x-solver-backend': true },
+        SOLVER_FALLBACK: { type: 'boolean' },
+        CONSIDER_ROAD_TRAFFIC: { type: 'boolean' },
+        TIMEZONE: { type: 'string', format: 'time-zone' },
+        PLANNING_DATE: { type: 'string', format: 'date' },
+        SHIFT_START: dateTimeSchema,
+        SHIFT_END: dateTimeSchema,
+        ARRIVAL_BUFFER_IN_MINUTES: { type: 'number', minimum: 0 },
+        CHECK_IN_BUFFER_IN_MINUTES: { type: 'number', minimum: 0 },
+        MAX_PICKUP_WAIT_IN_MINUTES: { type: 'number', minimum: 0 },
+        SOFT_TIME_WINDOWS: { type: 'boolean' },
+        LATENESS_COST_PER_HOUR: { type: 'number', minimum: 0 },
+        LEGACY_FORMAT_VERSION: { type: 'integer', enum: LEGACY_FORMAT_VERSIONS },
+        RESPONSE_VERSION: { type: 'integer', enum: RESPONSE_VERSIONS },
+        MULTI_TRIP: { type: 'boolean' },
+        WAVE_WINDOW_IN_MINUTES: { type: 'number', minimum: 0 },
+        TURNAROUND_TIME_IN_MINUTES: { type: 'number', minimum: 0 },
+        MAX_RIDE_TIME_IN_MINUTES: { type: 'number', exclusiveMinimum: 0 },
+        MAX_DETOUR_IN_MINUTES: { type: 'number', minimum: 0 },
+        MAX_DETOUR_RATIO: { type: 'number', minimum: 1 },
+        PRICING_RULE: { type: 'string', enum: PRICING_RULES }
+    },
+    additionalProperties: false
+};
+
+/**
+ * JSON Schema of the optimization request body. Keywords prefixed with `x-` are
+ * checked by validateSchema but ignored by generic JSON Schema tools.
+ */
+export const requestSchema = {
+    type: 'object',
+    required: ['bookings', 'vehicles'],
+    properties: {
+        bookings: { type: 'array', minItems: 1, items: bookingSchema },
+        vehicles: { type: 'array', minItems: 1, items: vehicleSchema },
+        parameters: parametersSchema
+    },
+    additionalProperties: false
+};
+
+/**
+ * JSON Schema of the optimization job request body: an optimization request with an
+ * optional URL notified when the job finishes
+ */
+export const jobRequestSchema = {
+    ...requestSchema,
+    properties: {
+        ...requestSchema.properties,
+        callback_url: { type: 'string', format: 'uri' }
+    }
+};
+
+const scenarioVariantSchema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        vehicle_count: { type: 'integer', minimum: 1 },
+        parameters: parametersSchema
+    },
+    additionalProperties: false
+};
+
+/**
+ * JSON Schema of the scenario comparison request body: a base optimization request with
+ * the variants to compare it with and the range of fleet sizes to try
+ */
+export const scenarioRequestSchema = {
+    ...requestSchema,
+    properties: {
+        ...requestSchema.properties,
+        variants: { type: 'array', items: scenarioVariantSchema },
+        fleet_sweep: {
+            type: 'object',
+            properties: {
+                min_vehicles: { type: 'integer', minimum: 1 },
+                max_vehicles: { type: 'integer', minimum: 1 }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+const planVisitSchema = {
+    type: 'object',
+    required: ['booking_id', 'location'],
+    properties: {
+        booking_id: { type: ['string', 'integer'] },
+        location: { type: 'string', enum: ['pickup', 'delivery'] },
+        status: { type: 'string', enum: Object.values(VISIT_STATUS) },
+        // When a done visit was performed, to count the ride of passengers on board
+        completed_at: dateTimeSchema
+    },
+    additionalProperties: false
+};
+
+/**
+ * JSON Schema of the re-optimization request body: an optimization request with the
+ * current plan, the cancelled bookings and the current position of each vehicle
+ */
+export const reoptimizationSchema = {
+    ...requestSchema,
+    required: [...requestSchema.required, 'current_plan'],
+    properties: {
+        ...requestSchema.properties,
+        vehicles: {
+            ...requestSchema.properties.vehicles,
+            items: {
+                ...vehicleSchema,
+                properties: { ...vehicleSchema.properties, current_position: coordinatesSchema }
+            }
+        },
+        parameters: {
+            ...parametersSchema,
+            properties: { ...parametersSchema.properties, CURRENT_TIME: dateTimeSchema }
+        },
+        current_plan: {
+            type: 'object',
+            required: ['routes'],
+            properties: {
+                routes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['vehicle', 'visits'],
+                        properties: {
+                            vehicle: { type: ['string', 'integer'] },
+                            visits: { type: 'array', items: planVisitSchema }
+                        },
+                        additionalProperties: false
+                    }
+                }
+            },
+            additionalProperties: false
+        },
+        cancelled_booking_ids: { type: 'array', items: { type: ['string', 'integer'] } }
+    }
+};
+
+/**
+ * Gets the JSON Schema type name of a value
+ * @param {*} value - Value to check
+ * @returns {string} Type name (null, array, integer, number, string, boolean or object)
+ */
+const getType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+/**
+ * Checks a value against a format keyword
+ * @param {*} value - Value to check
+ * @param {string} format - Format name
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+const checkFormat = (value, format) => {
+    switch (format) {
+        case 'date-time':
+            try {
+                parseDateTime(value, 'UTC', '2000-01-01');
+                return null;
+            } catch {
+                return 'must be an ISO 8601 date-time, a time of day (HH:mm) or epoch seconds';
+            }
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime()) ?
+                null : 'must be a date in YYYY-MM-DD format';
+        case 'uri':
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http or https URL';
+            } catch {
+                return 'must be an http or https URL';
+            }
+        case 'time-zone':
+            return isValidTimeZone(value) ? null : 'must be a valid IANA time zone (e.g. America/Santiago)';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Validates a value against a schema, collecting every error found
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema subset (type, required, properties, items, ...)
+ * @param {string} path - JSON path of the value
+ * @param {Array} errors - Array where { path, message } errors are appended
+ * @returns {Array} The errors array
+ */
+export const validateSchema = (value, schema, path = '$', errors = []) => {
+    const types = [].concat(schema.type || []);
+    const type = getType(value);
+
+    if (types.length > 0 && !types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+        errors.push({ path, message: `must be of type ${types.join(' or ')}` });
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be greater than or equal to ${schema.minimum}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be less than or equal to ${schema.maximum}` });
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+    }
+
+    if (schema.format && value !== null) {
+        const message = checkFormat(value, schema.format);
+        if (message) errors.push({ path, message });
+    }
+
+    if (schema['x-solver-backend'] && !getSolverBackends().includes(value)) {
+        errors.push({ path, message: `must be one of: ${getSolverBackends().join(', ')}` });
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateSchema(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (type === 'object') {
+        (schema.required || []).forEach(property => {
+            if (value[property] === undefined) {
+                errors.push({ path: `${path}.${property}`, message: 'is required' });
+            }
+        });
+
+        Object.entries(value).forEach(([property, propertyValue]) => {
+            const propertySchema = schema.properties?.[property];
+
+            if (propertySchema) {
+                validateSchema(propertyValue, propertySchema, `${path}.${property}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${property}`, message: 'is not an allowed property' });
+            }
+        });
+
+        const hasValidCoordinates = Math.abs(value.latitude) <= 90 && Math.abs(value.longitude) <= 180;
+
+        if (schema['x-service-region'] && hasValidCoordinates && !isInsideServiceRegion(value)) {
+            errors.push({ path, message: 'is outside the service region' });
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Validates an optimization request body: the schema first, then the rules
+ * that depend on several fields (locations, capacities, time ordering)
+ * @param {Object} body - Request body
+ * @param {Object} options - Validation options
+ * @param {Object} options.locations - Location registry used to resolve origin and start_location
+ * @param {Object} options.schema - Schema of the request body (defaults to requestSchema)
+ * @returns {Array} Array of { path, message } errors, empty when the request is valid
+ */
+export const validateOptimizationRequest = (body, { locations = getLocationRegistry(), schema = requestSchema } = {}) => {
+    const errors = validateSchema(body, schema);
+
+    if (!Array.isArray(body?.bookings) || !Array.isArray(body?.vehicles)) return errors;
+
+    // Cross-field rules are skipped for items that already failed the schema
+    const schemaErrorPaths = errors.map(error => error.path);
+    const hasSchemaErrors = (path) => schemaErrorPaths.some(errorPath =>
+        errorPath === path || errorPath.startsWith(`${path}.`) || errorPath.startsWith(`${path}[`)
+    );
+    const isKnownLocation = (name) => typeof name !== 'string' || locations.resolve(name) !== null;
+    const unknownLocationMessage = `is not a known location (${locations.names().join(', ')})`;
+
+    // Capacities and features come from the vehicle types, checked only for valid vehicles
+    const profiles = body.vehicles
+        .filter((vehicle, index) => vehicle && typeof vehicle === 'object' && !hasSchemaErrors(`$.vehicles[${index}]`))
+        .map(getVehicleProfile);
+    const maxSeats = Math.max(...profiles.map(profile => profile.seats));
+    const maxLuggage = Math.max(...profiles.map(profile => profile.luggage));
+
+    let horizon = null;
+    if (!hasSchemaErrors('$.parameters')) {
+        try {
+            horizon = getPlanningHorizon(body.parameters);
+        } catch (error) {
+            errors.push({ path: '$.parameters', message: error.message });
+        }
+    }
+
+    const timeWindowParameters = getTimeWindowParameters(body.parameters);
+
+    // Bookings and vehicles are matched by id in plans, so ids must be unique ('7' and 7 included)
+    const jobIdPaths = new Map();
+    const vehicleNumberPaths = new Map();
+    const checkUnique = (paths, id, path, field) => {
+        if (id === undefined || id === null) return;
+
+        if (paths.has(String(id))) {
+            errors.push({ path: `${path}.${field}`, message: `is already used by ${paths.get(String(id))}` });
+        } else {
+            paths.set(String(id), path);
+        }
+    };
+
+    body.bookings.forEach((booking, index) => {
+        const path = `$.bookings[${index}]`;
+        if (!booking || typeof booking !== 'object') return;
+
+        checkUnique(jobIdPaths, booking.job_id, path, 'job_id');
+
+        if (booking.origin === undefined && booking.origin_coordinates === undefined && booking.origin_address === undefined) {
+            errors.push({ path: `${path}.origin`, message: 'is required when origin_coordinates and origin_address are not set' });
+        } else if (booking.origin_coordinates === undefined && !isKnownLocation(booking.origin)) {
+            errors.push({ path: `${path}.origin`, message: `${unknownLocationMessage} and origin_coordinates is not set` });
+        }
+
+        if (booking.destination === undefined && booking.destination_address === undefined && booking.destination_location === undefined) {
+            errors.push({ path: `${path}.destination`, message: 'is required when destination_address and destination_location are not set' });
+        } else if (!isKnownLocation(booking.destination_location)) {
+            errors.push({ path: `${path}.destination_location`, message: unknownLocationMessage });
+        }
+
+        // Flight times say which way the booking goes: arrivals land, departures take off
+        const isDeparture = booking.direction === 'departure';
+        if (isDeparture && booking.flight_arrival_time !== undefined) {
+            errors.push({ path: `${path}.flight_arrival_time`, message: 'is only allowed on arrivals; use flight_departure_time' });
+        }
+        if (!isDeparture && booking.flight_departure_time !== undefined) {
+            errors.push({ path: `${path}.flight_departure_time`, message: 'is only allowed on departures (direction "departure")' });
+        }
+        if (isDeparture && booking.flight_departure_time === undefined && booking.latest_dropoff_time === undefined) {
+            errors.push({ path: `${path}.flight_departure_time`, message: 'is required on departures when latest_dropoff_time is not set' });
+        }
+        // Without a start, the pickup could be planned any time before the flight deadline
+        if (isDeparture && booking.pickup_window_start === undefined && booking.ready_at === undefined) {
+            errors.push({ path: `${path}.pickup_window_start`, message: 'is required on departures when ready_at is not set' });
+        }
+
+        if (Number.isInteger(booking.pax_count) && profiles.length > 0 && booking.pax_count > maxSeats) {
+            errors.push({ path: `${path}.pax_count`, message: `exceeds the largest vehicle capacity (${maxSeats})` });
+        }
+
+        if (Number.isInteger(booking.luggage_count) && profiles.length > 0 && booking.luggage_count > maxLuggage) {
+            errors.push({ path: `${path}.luggage_count`, message: `exceeds the largest vehicle luggage capacity (${maxLuggage})` });
+        }
+
+        const requirements = Array.isArray(booking.requirements) ? booking.requirements : [];
+        if (requirements.length > 0 && profiles.length > 0 && !hasSchemaErrors(`${path}.requirements`) &&
+            !profiles.some(profile => requirements.every(requirement => profile.features.includes(requirement)))) {
+            errors.push({ path: `${path}.requirements`, message: `no vehicle has ${requirements.join(' and ')}` });
+        }
+
+        if (horizon && !hasSchemaErrors(path)) {
+            try {
+                buildBookingTimeWindows(booking, timeWindowParameters, horizon);
+            } catch (error) {
+                errors.push({ path, message: error.message });
+            }
+        }
+    });
+
+    body.vehicles.forEach((vehicle, index) => {
+        const path = `$.vehicles[${index}]`;
+        if (!vehicle || typeof vehicle !== 'object') return;
+
+        checkUnique(vehicleNumberPaths, vehicle.vehicle_number, path, 'vehicle_number');
+
+        if (vehicle.start_location === undefined && vehicle.start_coordinates === undefined) {
+            errors.push({ path: `${path}.start_location`, message: 'is required when start_coordinates is not set' });
+        } else if (vehicle.start_coordinates === undefined && !isKnownLocation(vehicle.start_location)) {
+            errors.push({ path: `${path}.start_location`, message: `${unknownLocationMessage} and start_coordinates is not set` });
+        }
+
+        if (!isKnownLocation(vehicle.base_location)) {
+            errors.push({ path: `${path}.base_location`, message: unknownLocationMessage });
+        }
+
+        if (horizon && !hasSchemaErrors(path)) {
+            try {
+                buildVehicleShift(vehicle, horizon);
+            } catch (error) {
+                errors.push({ path, message: error.message });
+            }
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Validates a re-optimization request body: the optimization request rules plus
+ * the consistency of the current plan with the bookings and vehicles
+ * @param {Object} body - Request body
+ * @param {Object} options - Validation options
+ * @param {Object} options.locations - Location registry used to resolve origin and start_location
+ * @returns {Array} Array of { path, message } errors, empty when the request is valid
+ */
+export const validateReoptimizationRequest = (body, { locations = getLocationRegistry() } = {}) => {
+    const errors = validateOptimizationRequest(body, { locations, schema: reoptimizationSchema });
+
+    const routes = body?.current_plan?.routes;
+    if (!Array.isArray(routes) || !Array.isArray(body.bookings) || !Array.isArray(body.vehicles)) return errors;
+
+    const vehicleIds = new Set(body.vehicles.map((vehicle, index) => String(vehicle?.vehicle_number || `Vehicle ${index + 1}`)));
+    const bookingIds = new Set(body.bookings.map((booking, index) => String(booking?.job_id || `Booking ${index + 1}`)));
+    const cancelledIds = Array.isArray(body.cancelled_booking_ids) ? body.cancelled_booking_ids : [];
+    const planState = getPlanState(body.current_plan, cancelledIds);
+    const bookingVehicles = new Map();
+
+    routes.forEach((route, routeIndex) => {
+        const path = `$.current_plan.routes[${routeIndex}]`;
+        if (!route || typeof route !== 'object' || !Array.isArray(route.visits)) return;
+
+        if (!vehicleIds.has(String(route.vehicle))) {
+            errors.push({ path: `${path}.vehicle`, message: 'is not one of the request vehicles' });
+        }
+
+        route.visits.forEach((visit, visitIndex) => {
+            if (!visit || typeof visit !== 'object') return;
+
+            const bookingId = String(visit.booking_id);
+            const visitPath = `${path}.visits[${visitIndex}].booking_id`;
+            const vehicle = bookingVehicles.get(bookingId);
+
+            if (vehicle !== undefined && vehicle !== routeIndex) {
+                errors.push({ path: visitPath, message: `is already planned in $.current_plan.routes[${vehicle}]` });
+            }
+            bookingVehicles.set(bookingId, routeIndex);
+
+            if (isActiveBooking(planState, bookingId) && !bookingIds.has(bookingId)) {
+                errors.push({ path: visitPath, message: 'is pending but is not one of the request bookings' });
+            }
+        });
+    });
+
+    // States before the cancellations, to detect cancelled bookings that already started
+    const currentState = getPlanState(body.current_plan);
+
+    cancelledIds.forEach((bookingId, index) => {
+        const state = currentState.get(String(bookingId))?.state;
+
+        if (state === 'on_board' || state === 'completed') {
+            errors.push({
+                path: `$.cancelled_booking_ids[${index}]`,
+                message: state === 'on_board' ? 'is already on board and cannot be cancelled' : 'is already completed and cannot be cancelled'
+            });
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Validates a scenario comparison request body: the optimization request rules for the base
+ * request plus the variants and the fleet sweep, which only use vehicles of the base request
+ * @param {Object} body - Request body
+ * @param {Object} options - Validation options
+ * @param {Object} options.locations - Location registry used to resolve origin and start_location
+ * @returns {Array} Array of { path, message } errors, empty when the request is valid
+ */
+export const validateScenarioRequest = (body, { locations = getLocationRegistry() } = {}) => {
+    const errors = validateOptimizationRequest(body, { locations, schema: scenarioRequestSchema });
+    if (errors.length > 0 || !Array.isArray(body?.vehicles)) return errors;
+
+    const variants = body.variants || [];
+    const names = new Set(['base']);
+
+    variants.forEach((variant, index) => {
+        const path = `$.variants[${index}]`;
+
+        if (names.has(variant.name)) {
+            errors.push({ path: `${path}.name`, message: `is already used by another scenario` });
+        }
+        names.add(variant.name);
+
+        if (variant.vehicle_count > body.vehicles.length) {
+            errors.push({ path: `${path}.vehicle_count`, message: `exceeds the number of request vehicles (${body.vehicles.length})` });
+        }
+    });
+
+    const { min_vehicles: minVehicles = 1, max_vehicles: maxVehicles = body.vehicles.length } = body.fleet_sweep || {};
+    if (minVehicles > maxVehicles) {
+        errors.push({ path: '$.fleet_sweep.min_vehicles', message: 'must not exceed max_vehicles' });
+    } else if (maxVehicles > body.vehicles.length) {
+        errors.push({ path: '$.fleet_sweep.max_vehicles', message: `exceeds the number of request vehicles (${body.vehicles.length})` });
+    }
+
+    const scenarioCount = 1 + variants.length + (errors.length > 0 ? 0 : getFleetSweepSizes(body).length);
+    if (scenarioCount > SCENARIO_CONFIG.maxScenarios) {
+        errors.push({ path: '$', message: `has ${scenarioCount} scenarios, over the limit of ${SCENARIO_CONFIG.maxScenarios}; narrow the fleet_sweep or drop variants` });
+    }
+
+    return errors;
+};
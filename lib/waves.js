@@ -0,0 +1,345 @@
+import { buildResponseMetrics } from './localSolver.js';
+import { decodePolyline, encodePolyline } from './utils.js';
+
+/**
+ * Reads a timestamp or duration object ({ seconds }) as a number of seconds
+ * @param {Object} value - Timestamp or duration object
+ * @returns {number|null} Number of seconds, or null when missing
+ */
+const toSeconds = (value) => value ? parseInt(value.seconds ?? 0) : null;
+
+/**
+ * Builds a timestamp or duration object shaped like the ones returned by the Google client
+ * @param {number} seconds - Number of seconds
+ * @returns {Object} Object with a string seconds property
+ */
+const toProtoSeconds = (seconds) => ({ seconds: String(Math.round(seconds)) });
+
+/**
+ * Groups shipments into waves by the time their passengers are ready (the start of the
+ * first pickup time window), so bookings from the same flight bank travel together.
+ * Shipments without a ready time join the first wave.
+ * @param {Array} shipments - Shipments in the Google format
+ * @param {number} waveWindowInMinutes - Longest time between the first and last ready time of a wave
+ * @returns {Array} Waves in time order, each { readyTime, shipmentIndices }
+ */
+export const groupShipmentsIntoWaves = (shipments, waveWindowInMinutes) => {
+    const readyTimes = shipments.map(shipment => toSeconds(shipment.pickups?.[0]?.timeWindows?.[0]?.startTime));
+    const order = shipments.map((shipment, index) => index)
+        .sort((a, b) => (readyTimes[a] ?? -Infinity) - (readyTimes[b] ?? -Infinity));
+    const waves = [];
+
+    order.forEach(shipmentIndex => {
+        const readyTime = readyTimes[shipmentIndex];
+        const currentWave = waves[waves.length - 1];
+
+        if (currentWave && (readyTime === null || currentWave.readyTime === null ||
+            readyTime - currentWave.readyTime <= waveWindowInMinutes * 60)) {
+            currentWave.shipmentIndices.push(shipmentIndex);
+            currentWave.readyTime = currentWave.readyTime ?? readyTime;
+        } else {
+            waves.push({ readyTime, shipmentIndices: [shipmentIndex] });
+        }
+    });
+
+    return waves;
+};
+
+/**
+ * Builds the vehicles available for a wave: each starts where and when its previous trip
+ * ended, and only takes the breaks that must happen before the next wave
+ * @param {Array} vehicles - Vehicles in the Google format
+ * @param {Array} vehicleStates - Per vehicle { availableTime, location, pendingBreaks }
+ * @param {Object} nextWave - Next wave, or null for the last one
+ * @param {number} globalEndTime - End of the planning horizon in epoch seconds
+ * @returns {Array} Available vehicles as { vehicleIndex, vehicle }
+ */
+const buildWaveVehicles = (vehicles, vehicleStates, nextWave, globalEndTime) => {
+    return vehicles.flatMap((vehicle, vehicleIndex) => {
+        const state = vehicleStates[vehicleIndex];
+        const shiftEnd = toSeconds(vehicle.endTimeWindows?.[0]?.endTime) ?? globalEndTime;
+
+        if (state.availableTime !== null && state.availableTime >= shiftEnd) return [];
+
+        const shiftStart = toSeconds(vehicle.startTimeWindows?.[0]?.startTime);
+        const startTime = Math.max(state.availableTime ?? -Infinity, shiftStart ?? -Infinity);
+
+        // Breaks that can no longer start are dropped, the ones that can wait go to a later wave
+        const breakRequests = state.pendingBreaks.filter(breakRequest =>
+            state.availableTime === null || toSeconds(breakRequest.latestStartTime) >= state.availableTime
+        ).filter(breakRequest =>
+            !nextWave || nextWave.readyTime === null || toSeconds(breakRequest.latestStartTime) < nextWave.readyTime
+        );
+        const { breakRule, ...waveVehicle } = vehicle;
+
+        return [{
+            vehicleIndex,
+            breakRequests,
+            vehicle: {
+                ...waveVehicle,
+                startLocation: state.location,
+                ...(Number.isFinite(startTime) && {
+                    startTimeWindows: [{ ...vehicle.startTimeWindows?.[0], startTime: toProtoSeconds(startTime) }]
+                }),
+                ...(breakRequests.length > 0 && { breakRule: { ...breakRule, breakRequests } })
+            }
+        }];
+    });
+};
+
+/**
+ * Joins the transition back to base at the end of a trip with the first transition
+ * of the next trip, so every visit keeps exactly one preceding transition
+ * @param {Object} returnTransition - Last transition of the previous trip
+ * @param {Object} nextTransition - First transition of the next trip
+ * @returns {Object} Combined transition
+ */
+const joinTransitions = (returnTransition, nextTransition) => {
+    const sum = (field) => (toSeconds(returnTransition[field]) || 0) + (toSeconds(nextTransition[field]) || 0);
+    const startTime = toSeconds(returnTransition.startTime);
+    const totalDuration = toSeconds(nextTransition.startTime) + toSeconds(nextTransition.totalDuration) - startTime;
+    const travelDuration = sum('travelDuration');
+    const breakDuration = sum('breakDuration');
+    const delayDuration = sum('delayDuration');
+    const polylines = [returnTransition, nextTransition]
+        .map(transition => transition.routePolyline?.points)
+        .filter(Boolean);
+
+    return {
+        ...nextTransition,
+        startTime: returnTransition.startTime,
+        travelDuration: toProtoSeconds(travelDuration),
+        travelDistanceMeters: (returnTransition.travelDistanceMeters || 0) + (nextTransition.travelDistanceMeters || 0),
+        breakDuration: toProtoSeconds(breakDuration),
+        delayDuration: toProtoSeconds(delayDuration),
+        // Time at the base between trips, including the turnaround, counts as waiting
+        waitDuration: toProtoSeconds(totalDuration - travelDuration - breakDuration - delayDuration),
+        totalDuration: toProtoSeconds(totalDuration),
+        ...(polylines.length > 0 && {
+            routePolyline: { points: encodePolyline(polylines.flatMap(decodePolyline)) }
+        })
+    };
+};
+
+/**
+ * Merges the trips of a vehicle, each a route from a different wave, into a single route
+ * @param {Object} vehicle - Vehicle in the Google format
+ * @param {number} vehicleIndex - Index of the vehicle in the full model
+ * @param {Array} trips - Trips as { wave, route, shipmentIndices } in time order
+ * @returns {Object} Route in the Google response format, with a trips array
+ */
+const mergeVehicleTrips = (vehicle, vehicleIndex, trips) => {
+    const route = {
+        vehicleIndex,
+        vehicleLabel: vehicle.label,
+        visits: [],
+        transitions: [],
+        breaks: [],
+        metrics: null,
+        routeCosts: {},
+        routeTotalCost: 0,
+        routePolyline: null,
+        trips: []
+    };
+
+    if (trips.length === 0) return route;
+
+    const maxLoads = {};
+    const sumMetric = (field) => trips.reduce((sum, trip) => sum + (toSeconds(trip.route.metrics?.[field]) || 0), 0);
+    const polylinePoints = [];
+
+    trips.forEach(({ wave, route: tripRoute, shipmentIndices }) => {
+        const firstVisitIndex = route.visits.length;
+
+        route.visits.push(...tripRoute.visits.map(visit => ({
+            ...visit,
+            shipmentIndex: shipmentIndices[visit.shipmentIndex || 0]
+        })));
+
+        const transitions = [...tripRoute.transitions];
+        if (route.transitions.length > 0) {
+            route.transitions.push(joinTransitions(route.transitions.pop(), transitions.shift()));
+        }
+        route.transitions.push(...transitions);
+        route.breaks.push(...(tripRoute.breaks || []));
+
+        Object.entries(tripRoute.routeCosts || {}).forEach(([key, cost]) => {
+            route.routeCosts[key] = (route.routeCosts[key] || 0) + cost;
+        });
+        route.routeTotalCost += tripRoute.routeTotalCost || 0;
+
+        Object.entries(tripRoute.metrics?.maxLoads || {}).forEach(([type, load]) => {
+            const amount = parseInt(load.amount || 0);
+            if (!maxLoads[type] || amount > parseInt(maxLoads[type].amount)) maxLoads[type] = load;
+        });
+
+        if (tripRoute.routePolyline?.points) {
+            polylinePoints.push(...decodePolyline(tripRoute.routePolyline.points));
+        }
+
+        route.trips.push({
+            wave,
+            firstVisitIndex,
+            visitCount: tripRoute.visits.length,
+            startTime: tripRoute.vehicleStartTime,
+            endTime: tripRoute.vehicleEndTime
+        });
+    });
+
+    route.vehicleStartTime = trips[0].route.vehicleStartTime;
+    route.vehicleEndTime = trips[trips.length - 1].route.vehicleEndTime;
+
+    const totalDuration = toSeconds(route.vehicleEndTime) - toSeconds(route.vehicleStartTime);
+    const travelDuration = sumMetric('travelDuration');
+    const visitDuration = sumMetric('visitDuration');
+    const breakDuration = sumMetric('breakDuration');
+    const delayDuration = sumMetric('delayDuration');
+
+    route.metrics = {
+        performedShipmentCount: trips.reduce((sum, trip) => sum + (trip.route.metrics?.performedShipmentCount || 0), 0),
+        travelDuration: toProtoSeconds(travelDuration),
+        waitDuration: toProtoSeconds(totalDuration - travelDuration - visitDuration - breakDuration - delayDuration),
+        delayDuration: toProtoSeconds(delayDuration),
+        breakDuration: toProtoSeconds(breakDuration),
+        visitDuration: toProtoSeconds(visitDuration),
+        totalDuration: toProtoSeconds(totalDuration),
+        travelDistanceMeters: trips.reduce((sum, trip) => sum + (trip.route.metrics?.travelDistanceMeters || 0), 0),
+        maxLoads
+    };
+
+    if (polylinePoints.length > 0) {
+        route.routePolyline = { points: encodePolyline(polylinePoints) };
+    }
+
+    return route;
+};
+
+/**
+ * Plans a whole shift as a sequence of waves. Each wave is solved on its own with the
+ * vehicles that are back at their base by then, so a vehicle can make several trips:
+ * after each trip it returns to its end location and is available again once the
+ * turnaround time has passed.
+ * @param {Object} request - Request in the Google optimizeTours format, with every shipment
+ * @param {Object} waveOptions - Wave planning options
+ * @param {number} waveOptions.waveWindowInMinutes - Longest time between ready times in a wave
+ * @param {number} waveOptions.turnaroundInMinutes - Time at the base between two trips
+ * @param {Function} solve - Async function solving an optimizeTours request, returning { response, backend, fallbackReason }
+ * @returns {Object} Object with the merged response, the backend and the fallback reason
+ */
+export const solveInWaves = async (request, { waveWindowInMinutes, turnaroundInMinutes }, solve) => {
+    const { shipments, vehicles } = request.model;
+    const globalEndTime = toSeconds(request.model.globalEndTime);
+    const waves = groupShipmentsIntoWaves(shipments, waveWindowInMinutes);
+    const vehicleStates = vehicles.map(vehicle => ({
+        availableTime: null,
+        location: vehicle.startLocation,
+        pendingBreaks: [...(vehicle.breakRule?.breakRequests || [])]
+    }));
+    const vehicleTrips = vehicles.map(() => []);
+    const skippedShipments = [];
+    let skippedMandatoryShipmentCount = 0;
+    let backend = null;
+    let fallbackReason = null;
+
+    // Waves are solved in time order, one solver call each
+    for (const [waveIndex, wave] of waves.entries()) {
+        const nextWave = waves[waveIndex + 1] || null;
+        const waveVehicles = buildWaveVehicles(vehicles, vehicleStates, nextWave, globalEndTime);
+
+        if (waveVehicles.length === 0) {
+            skippedShipments.push(...wave.shipmentIndices.map(shipmentIndex => ({
+                index: shipmentIndex,
+                label: shipments[shipmentIndex].label,
+                reasons: [{ code: 'NO_VEHICLE' }]
+            })));
+            skippedMandatoryShipmentCount += wave.shipmentIndices.length;
+            continue;
+        }
+
+        // Vehicle restrictions refer to the full fleet, so they are renumbered for the wave
+        const waveVehicleIndices = new Map(waveVehicles.map(({ vehicleIndex }, index) => [vehicleIndex, index]));
+        const waveShipments = wave.shipmentIndices.map(shipmentIndex => {
+            const { allowedVehicleIndices, ...shipment } = shipments[shipmentIndex];
+            if (!allowedVehicleIndices) return shipment;
+
+            return {
+                ...shipment,
+                allowedVehicleIndices: allowedVehicleIndices
+                    .filter(vehicleIndex => waveVehicleIndices.has(vehicleIndex))
+                    .map(vehicleIndex => waveVehicleIndices.get(vehicleIndex))
+            };
+        });
+
+        // An empty list would allow every vehicle, so those shipments are skipped here
+        const solvable = waveShipments.map(shipment => !shipment.allowedVehicleIndices || shipment.allowedVehicleIndices.length > 0);
+        const solvableShipmentIndices = wave.shipmentIndices.filter((shipmentIndex, index) => solvable[index]);
+
+        wave.shipmentIndices.filter((shipmentIndex, index) => !solvable[index]).forEach(shipmentIndex => {
+            skippedShipments.push({
+                index: shipmentIndex,
+                label: shipments[shipmentIndex].label,
+                reasons: [{ code: 'VEHICLE_NOT_ALLOWED' }]
+            });
+            skippedMandatoryShipmentCount += 1;
+        });
+
+        if (solvableShipmentIndices.length === 0) continue;
+
+        const result = await solve({
+            ...request,
+            model: {
+                ...request.model,
+                shipments: waveShipments.filter((shipment, index) => solvable[index]),
+                vehicles: waveVehicles.map(({ vehicle }) => vehicle)
+            }
+        });
+
+        backend = result.backend;
+        fallbackReason = fallbackReason || result.fallbackReason;
+        skippedMandatoryShipmentCount += result.response.metrics?.skippedMandatoryShipmentCount || 0;
+
+        skippedShipments.push(...(result.response.skippedShipments || []).map(skipped => ({
+            ...skipped,
+            index: solvableShipmentIndices[skipped.index || 0],
+            reasons: (skipped.reasons || []).map(reason => ({
+                ...reason,
+                ...(reason.exampleVehicleIndex !== undefined && {
+                    exampleVehicleIndex: waveVehicles[reason.exampleVehicleIndex].vehicleIndex
+                })
+            }))
+        })));
+
+        result.response.routes.forEach((route, routeIndex) => {
+            const { vehicleIndex, breakRequests } = waveVehicles[route.vehicleIndex ?? routeIndex];
+            const state = vehicleStates[vehicleIndex];
+
+            // Breaks sent with this wave are taken on the trip, or while the vehicle is idle
+            state.pendingBreaks = state.pendingBreaks.filter(breakRequest => !breakRequests.includes(breakRequest));
+
+            if (!route.visits || route.visits.length === 0) return;
+
+            vehicleTrips[vehicleIndex].push({ wave: waveIndex + 1, route, shipmentIndices: solvableShipmentIndices });
+            state.availableTime = toSeconds(route.vehicleEndTime) + turnaroundInMinutes * 60;
+            state.location = vehicles[vehicleIndex].endLocation || state.location;
+        });
+    }
+
+    const routes = vehicles.map((vehicle, vehicleIndex) =>
+        mergeVehicleTrips(vehicle, vehicleIndex, vehicleTrips[vehicleIndex])
+    );
+    const metrics = buildResponseMetrics(routes, skippedMandatoryShipmentCount);
+
+    return {
+        response: {
+            routes,
+            skippedShipments: skippedShipments.sort((a, b) => a.index - b.index),
+            validationErrors: [],
+            requestLabel: request.label || '',
+            metrics,
+            totalCost: metrics.totalCost,
+            waveCount: waves.length
+        },
+        backend,
+        fallbackReason
+    };
+};
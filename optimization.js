@@ -2,48 +2,232 @@ import { v1 } from '@googlemaps/routeoptimization';
 import { 
     buildOptimizationSummary, 
     createVisitsAPIResponse, 
+    getUnassignedBookings,
     getVisitsDetail 
 } from './lib/aux.js';
-import { API_CONFIG } from './config.js';
+import { API_CONFIG, PLANNING_HORIZON_IN_HOURS, SOLVER_CONFIG } from './config.js';
+import { optimizeToursLocally } from './lib/localSolver.js';
+import { checkPlan } from './lib/planCheck.js';
+import { priceRoutes } from './lib/pricing.js';
 import { dateToGoogleFormat } from './lib/utils.js';
+import { solveInWaves } from './lib/waves.js';
 
 const { RouteOptimizationClient } = v1;
 
 /**
- * Create and configure a Google Maps Route Optimization client
- * @returns {Object} Configured RouteOptimizationClient
+ * Create the error thrown when a Google credential is not set. Its code lets the
+ * local solver stand in for the Google backend.
+ * @param {string} name - Environment variable of the credential
+ * @returns {Error} Error with the CREDENTIALS_MISSING code
  */
-export const createOptimizationClient = () => {
+const missingCredential = (name) => Object.assign(
+    new Error(`${name} environment variable is not set. Please set it before running the application.`),
+    { code: 'CREDENTIALS_MISSING' }
+);
+
+/**
+ * Read the Google service account credentials from the environment
+ * @returns {Object} Credentials for the RouteOptimizationClient
+ */
+const getGoogleCredentials = () => {
     const projectId = process.env.GOOGLE_PROJECT_ID;
     
     if (!projectId) {
-        throw new Error('GOOGLE_PROJECT_ID environment variable is not set. Please set it before running the application.');
+        throw missingCredential('GOOGLE_PROJECT_ID');
     }
     
     const clientEmail = process.env.GOOGLE_CLIENT_EMAIL;
     
     if (!clientEmail) {
-        throw new Error('GOOGLE_CLIENT_EMAIL environment variable is not set. Please set it before running the application.');
+        throw missingCredential('GOOGLE_CLIENT_EMAIL');
     }
     
     const privateKey = process.env.GOOGLE_PRIVATE_KEY;
     
     if (!privateKey) {
-        throw new Error('GOOGLE_PRIVATE_KEY environment variable is not set. Please set it before running the application.');
+        throw missingCredential('GOOGLE_PRIVATE_KEY');
     }
     
-    const credentials = {
+    return {
         projectId: projectId,
         client_email: clientEmail,
         private_key: privateKey.replace(/\\n/g, '\n')
     };
+};
 
+/**
+ * Create and configure a Google Maps Route Optimization client
+ * @returns {Object} Configured RouteOptimizationClient
+ */
+export const createOptimizationClient = () => {
     return new RouteOptimizationClient({
-        credentials: credentials,
+        credentials: getGoogleCredentials(),
         apiEndpoint: 'routeoptimization.googleapis.com'
     });
 };
 
+/**
+ * Solver backends keyed by name. Each one receives an optimizeTours request
+ * and resolves to a response shaped like the Google optimizeTours response.
+ */
+const solverBackends = {
+    google: async (request) => {
+        const client = createOptimizationClient();
+        const [response] = await client.optimizeTours({
+            ...request,
+            parent: `projects/${process.env.GOOGLE_PROJECT_ID}`
+        }, {
+            timeout: API_CONFIG.timeoutInMs,
+            retry: API_CONFIG.retryConfig
+        });
+
+        return response;
+    },
+    local: async (request) => optimizeToursLocally(request)
+};
+
+/**
+ * Register an additional solver backend
+ * @param {string} name - Name used to select the backend
+ * @param {Function} solver - Async function receiving an optimizeTours request and returning its response
+ */
+export const registerSolverBackend = (name, solver) => {
+    if (typeof solver !== 'function') {
+        throw new Error(`Solver backend "${name}" must be a function`);
+    }
+    solverBackends[name] = solver;
+};
+
+/**
+ * Get the names of the available solver backends
+ * @returns {Array} Array of backend names
+ */
+export const getSolverBackends = () => Object.keys(solverBackends);
+
+/**
+ * Resolve which solver backend and fallback behavior apply to a request
+ * @param {Object} options - Optional configuration parameters (backend, fallbackToLocal)
+ * @returns {Object} Object with backend name and fallback flag
+ */
+export const resolveSolverOptions = (options = {}) => {
+    const backend = options.backend || process.env.OPTIMIZATION_BACKEND || SOLVER_CONFIG.defaultBackend;
+
+    if (!solverBackends[backend]) {
+        throw new Error(`Unknown solver backend "${backend}". Available backends: ${getSolverBackends().join(', ')}`);
+    }
+
+    const fallbackToLocal = options.fallbackToLocal !== undefined ?
+        options.fallbackToLocal :
+        (process.env.OPTIMIZATION_FALLBACK !== undefined ?
+            process.env.OPTIMIZATION_FALLBACK !== 'false' : SOLVER_CONFIG.fallbackToLocal);
+
+    return { backend, fallbackToLocal };
+};
+
+// gRPC status codes of a backend that is down, over its quota or too slow
+const UNAVAILABLE_STATUS_CODES = { 4: 'DEADLINE_EXCEEDED', 8: 'RESOURCE_EXHAUSTED', 14: 'UNAVAILABLE' };
+// Node.js error codes of a backend that cannot be reached
+const UNREACHABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'ENOTFOUND', 'ETIMEDOUT'];
+
+/**
+ * Tell whether a backend error means the backend is unavailable, so the local solver may
+ * plan instead. Other errors, such as invalid requests, are surfaced to the caller.
+ * @param {Error} error - Error thrown by the backend
+ * @returns {string|null} Short reason without the error details, or null when the error must be surfaced
+ */
+const getUnavailability = (error) => {
+    const code = error?.code;
+
+    if (UNAVAILABLE_STATUS_CODES[code]) return UNAVAILABLE_STATUS_CODES[code];
+    if (Object.values(UNAVAILABLE_STATUS_CODES).includes(code) || code === 'CREDENTIALS_MISSING') return code;
+    if (UNREACHABLE_ERROR_CODES.includes(code)) return 'UNREACHABLE';
+    if (error?.name === 'TimeoutError' || error?.name === 'AbortError') return 'DEADLINE_EXCEEDED';
+    return null;
+};
+
+/**
+ * Check whether the default solver backend can take requests. The Google backend needs its
+ * credentials; without them the service can still plan when falling back to the local solver.
+ * @returns {Object} Object with the backend, the fallback flag, whether it is ready and the credentials error, if any
+ */
+export const getSolverReadiness = () => {
+    const { backend, fallbackToLocal } = resolveSolverOptions();
+    let credentialsError = null;
+
+    if (backend === 'google') {
+        try {
+            getGoogleCredentials();
+        } catch (error) {
+            credentialsError = error.message;
+        }
+    }
+
+    return {
+        backend,
+        fallback_to_local: fallbackToLocal,
+        ready: !credentialsError || fallbackToLocal,
+        credentials_error: credentialsError
+    };
+};
+
+/**
+ * Send an optimizeTours request to the selected backend, falling back to the
+ * local solver when the selected backend is unavailable and fallback is enabled
+ * @param {Object} request - Request in the Google optimizeTours format
+ * @param {Object} options - Optional configuration parameters (backend, fallbackToLocal)
+ * @returns {Object} Object with the response, the backend used and the fallback reason, if any
+ */
+export async function runOptimizeTours(request, options = {}) {
+    const { backend, fallbackToLocal } = resolveSolverOptions(options);
+
+    try {
+        const response = await solverBackends[backend](request);
+        return { response, backend, fallbackReason: null };
+    } catch (error) {
+        const unavailability = getUnavailability(error);
+
+        if (backend === 'local' || !fallbackToLocal || !unavailability) throw error;
+
+        console.warn(`Solver backend "${backend}" failed, falling back to the local solver:`, error.message);
+        const response = await solverBackends.local(request);
+        return { response, backend: 'local', fallbackReason: `Solver backend "${backend}" unavailable (${unavailability})` };
+    }
+}
+
+/**
+ * Solve an optimizeTours request in a single call, or wave by wave when
+ * multi-trip planning is enabled with options.multiTrip
+ * @param {Object} request - Request in the Google optimizeTours format
+ * @param {Object} options - Optional configuration parameters
+ * @returns {Object} Object with the response, the backend used and the fallback reason, if any
+ */
+const solveOptimizationRequest = (request, options) => {
+    if (!options.multiTrip) {
+        return runOptimizeTours(request, options);
+    }
+
+    return solveInWaves(request, options.multiTrip, (waveRequest) => runOptimizeTours(waveRequest, options));
+};
+
+/**
+ * Checks the plan returned by the solver, logging the violations found so they are
+ * noticed before the plan goes to dispatch
+ * @param {Array} bookings - Array of booking objects
+ * @param {Array} vehicles - Array of vehicle objects
+ * @param {Array} routes - Routes returned by the solver
+ * @param {string} backend - Solver backend that returned them
+ * @returns {Object} Result of checkPlan
+ */
+const checkReturnedPlan = (bookings, vehicles, routes, backend) => {
+    const planCheck = checkPlan(bookings, vehicles, routes);
+
+    if (!planCheck.valid) {
+        console.warn(`Plan returned by the ${backend} solver has ${planCheck.violations.length} violation(s):`, planCheck.violations);
+    }
+
+    return planCheck;
+};
+
 /**
  * Perform route optimization using the Google Maps API
  * @param {Array} bookings - Array of booking objects
@@ -52,16 +236,12 @@ export const createOptimizationClient = () => {
  * @returns {Object} Optimization results
  */
 export async function optimizeRoute(bookings, vehicles, options = {}) {
-    const client = createOptimizationClient();
-    const projectId = process.env.GOOGLE_PROJECT_ID;
-    
     // Default dates if not provided in options
     const startDate = options.startDate || new Date();
-    const endDate = options.endDate || new Date(startDate.getTime() + 24 * 60 * 60 * 1000); // Default: startDate + 24h
+    const endDate = options.endDate || new Date(startDate.getTime() + PLANNING_HORIZON_IN_HOURS * 60 * 60 * 1000);
     
     // Configure the optimization request
     const request = {
-        parent: `projects/${projectId}`,
         model: {
             shipments: bookings,
             vehicles: vehicles,
@@ -76,18 +256,26 @@ export async function optimizeRoute(bookings, vehicles, options = {}) {
 
     try {
         // Send the optimization request
-        const [response] = await client.optimizeTours(request, {
-            timeout: API_CONFIG.timeoutInMs,
-            retry: API_CONFIG.retryConfig
-        });
+        const { response, backend, fallbackReason } = await solveOptimizationRequest(request, options);
+
+        // What each booking pays of the route it shares
+        const fares = priceRoutes(bookings, vehicles, response.routes, options.pricing);
 
         // Process and return results
         return {
             response,
             routes: response.routes,
-            visits_detail: getVisitsDetail(bookings, response.routes, options.includePickups),
-            visits_api_response: createVisitsAPIResponse(bookings, response.routes),
-            summary: buildOptimizationSummary(response)
+            visits_detail: getVisitsDetail(bookings, response.routes, options.includePickups, options.timeZone, fares),
+            visits_api_response: createVisitsAPIResponse(bookings, response.routes, {
+                version: options.legacyFormatVersion,
+                timeZone: options.timeZone
+            }),
+            summary: buildOptimizationSummary(response, bookings, vehicles),
+            unassigned: getUnassignedBookings(bookings, response),
+            plan_check: checkReturnedPlan(bookings, vehicles, response.routes, backend),
+            fares,
+            solver_backend: backend,
+            fallback_reason: fallbackReason
         };
     } catch (error) {
         console.error('Error in route optimization:', {
@@ -107,12 +295,8 @@ export async function optimizeRoute(bookings, vehicles, options = {}) {
  * @returns {Object} Optimization results
  */
 export async function optimizeRouteWithModel(model, options = {}) {
-    const client = createOptimizationClient();
-    const projectId = process.env.GOOGLE_PROJECT_ID;
-    
     // Configure the optimization request
     const request = {
-        parent: `projects/${projectId}`,
         model: model,
         populateTransitionPolylines: API_CONFIG.populateTransitionPolylines,
         populatePolylines: API_CONFIG.populatePolylines,
@@ -122,18 +306,26 @@ export async function optimizeRouteWithModel(model, options = {}) {
 
     try {
         // Send the optimization request
-        const [response] = await client.optimizeTours(request, {
-            timeout: API_CONFIG.timeoutInMs,
-            retry: API_CONFIG.retryConfig
-        });
+        const { response, backend, fallbackReason } = await solveOptimizationRequest(request, options);
+
+        // What each booking pays of the route it shares
+        const fares = priceRoutes(model.shipments, model.vehicles, response.routes, options.pricing);
 
         // Process and return results
         return {
             response,
             routes: response.routes,
-            visits_detail: getVisitsDetail(model.shipments, response.routes, options.includePickups),
-            visits_api_response: createVisitsAPIResponse(model.shipments, response.routes),
-            summary: buildOptimizationSummary(response)
+            visits_detail: getVisitsDetail(model.shipments, response.routes, options.includePickups, options.timeZone, fares),
+            visits_api_response: createVisitsAPIResponse(model.shipments, response.routes, {
+                version: options.legacyFormatVersion,
+                timeZone: options.timeZone
+            }),
+            summary: buildOptimizationSummary(response, model.shipments, model.vehicles),
+            unassigned: getUnassignedBookings(model.shipments, response),
+            plan_check: checkReturnedPlan(model.shipments, model.vehicles, response.routes, backend),
+            fares,
+            solver_backend: backend,
+            fallback_reason: fallbackReason
         };
     } catch (error) {
         console.error('Error in route optimization with model:', {
@@ -154,16 +346,12 @@ export async function optimizeRouteWithModel(model, options = {}) {
  * @returns {Object} Raw API response and processed visit details
  */
 export async function optimizeRoutesAPI(bookings, vehicles, options = {}) {
-    const client = createOptimizationClient();
-    const projectId = process.env.GOOGLE_PROJECT_ID;
-    
     // Default dates if not provided in options
     const startDate = options.startDate || new Date();
-    const endDate = options.endDate || new Date(startDate.getTime() + 24 * 60 * 60 * 1000); // Default: startDate + 24h
+    const endDate = options.endDate || new Date(startDate.getTime() + PLANNING_HORIZON_IN_HOURS * 60 * 60 * 1000);
     
     // Configure the optimization request
     const request = {
-        parent: `projects/${projectId}`,
         model: {
             shipments: bookings,
             vehicles: vehicles,
@@ -178,14 +366,14 @@ export async function optimizeRoutesAPI(bookings, vehicles, options = {}) {
 
     try {
         // Send the optimization request
-        const [response] = await client.optimizeTours(request, {
-            timeout: API_CONFIG.timeoutInMs,
-            retry: API_CONFIG.retryConfig
-        });
+        const { response, backend, fallbackReason } = await runOptimizeTours(request, options);
 
         return {
             response,
-            visits_detail: getVisitsDetail(bookings, response.routes, options.includePickups),
+            visits_detail: getVisitsDetail(bookings, response.routes, options.includePickups, options.timeZone),
+            unassigned: getUnassignedBookings(bookings, response),
+            solver_backend: backend,
+            fallback_reason: fallbackReason
         };
     } catch (error) {
         console.error('Error in API route optimization:', {
@@ -0,0 +1,159 @@
+// Standalone HTTP server entry point, serving the same handlers as the Cloud Run functions
+import express from 'express';
+import fs from 'fs';
+import { SERVER_CONFIG } from './config.js';
+import {
+    listLocationsFunction,
+    openApiFunction,
+    optimizationJobsFunction,
+    optimizeRouteFunction,
+    optimizeRouteLegacyFunction,
+    quoteFunction,
+    reoptimizeRouteFunction,
+    scenariosFunction,
+    usageFunction
+} from './index.js';
+import { getClientRegistry, isAuthRequired } from './lib/clients.js';
+import { getLocationRegistry } from './lib/locations.js';
+import { getSolverReadiness } from './optimization.js';
+
+const { version } = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+/**
+ * Creates the Express application with the versioned API routes and the health checks
+ * @param {Object} options - Server options
+ * @param {string} options.bodyLimit - Largest accepted request body (e.g. '5mb')
+ * @returns {Object} Express application. Set app.locals.shuttingDown to fail the readiness check.
+ */
+export const createApp = ({ bodyLimit = process.env.BODY_LIMIT || SERVER_CONFIG.bodyLimit } = {}) => {
+    const app = express();
+    app.disable('x-powered-by');
+    app.locals.shuttingDown = false;
+
+    // The raw body is kept to check the HMAC signature of signed requests, as Cloud Run functions do
+    app.use(express.json({
+        limit: bodyLimit,
+        verify: (req, res, buffer) => {
+            req.rawBody = buffer;
+        }
+    }));
+
+    // Liveness: the process is up and serving requests
+    app.get('/healthz', (req, res) => {
+        res.status(200).json({ status: 'ok', version });
+    });
+
+    // Readiness: the solver can take requests, and the named locations and the API clients load
+    app.get('/readyz', (req, res) => {
+        const checks = {};
+
+        try {
+            checks.solver = getSolverReadiness();
+        } catch (error) {
+            checks.solver = { ready: false, error: error.message };
+        }
+
+        try {
+            checks.locations = { ready: true, count: getLocationRegistry().names().length };
+        } catch (error) {
+            checks.locations = { ready: false, error: error.message };
+        }
+
+        try {
+            checks.clients = { ready: true, count: getClientRegistry().size, auth_required: isAuthRequired() };
+        } catch (error) {
+            checks.clients = { ready: false, error: error.message };
+        }
+
+        const ready = !app.locals.shuttingDown && Object.values(checks).every(check => check.ready);
+
+        res.status(ready ? 200 : 503).json({
+            status: ready ? 'ready' : (app.locals.shuttingDown ? 'shutting_down' : 'not_ready'),
+            version,
+            checks
+        });
+    });
+
+    const v1 = express.Router();
+    v1.post('/optimize', optimizeRouteFunction);
+    v1.post('/optimize/legacy', optimizeRouteLegacyFunction);
+    v1.post('/reoptimize', reoptimizeRouteFunction);
+    v1.post('/quote', quoteFunction);
+    v1.post('/scenarios', scenariosFunction);
+    v1.get('/locations', listLocationsFunction);
+    v1.get('/usage', usageFunction);
+    v1.get('/openapi.json', openApiFunction);
+    v1.use('/jobs', optimizationJobsFunction);
+    app.use('/v1', v1);
+
+    app.use((req, res) => {
+        res.status(404).json({ status: 'error', error: `${req.method} ${req.path} not found` });
+    });
+
+    // Body parsing errors (malformed JSON, body too large) and unexpected errors
+    app.use((error, req, res, next) => {
+        if (res.headersSent) return next(error);
+
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({ status: 'error', error: 'Request body is not valid JSON', details: error.message });
+        }
+
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ status: 'error', error: `Request body exceeds the ${bodyLimit} limit` });
+        }
+
+        console.error('Unhandled server error:', error);
+        res.status(error.status || 500).json({ status: 'error', error: error.message });
+    });
+
+    return app;
+};
+
+/**
+ * Starts the HTTP server. On SIGTERM or SIGINT it stops accepting connections, fails
+ * the readiness check and lets in-flight requests finish before exiting.
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {number} options.shutdownTimeoutInMs - Time given to in-flight requests before exiting
+ * @returns {Object} Node HTTP server
+ */
+export const startServer = ({
+    port = Number(process.env.PORT) || SERVER_CONFIG.port,
+    shutdownTimeoutInMs = SERVER_CONFIG.shutdownTimeoutInMs
+} = {}) => {
+    const app = createApp();
+    const server = app.listen(port, () => {
+        console.log(`Route optimization server v${version} listening on port ${port}`);
+
+        if (!isAuthRequired()) {
+            console.warn('No API clients configured: requests are not authenticated');
+        }
+    });
+
+    const shutdown = (signal) => {
+        if (app.locals.shuttingDown) return;
+        app.locals.shuttingDown = true;
+        console.log(`Received ${signal}, shutting down`);
+
+        server.close(() => {
+            console.log('Server closed');
+            process.exit(0);
+        });
+        server.closeIdleConnections();
+
+        setTimeout(() => {
+            console.error('Shutdown timed out, closing remaining connections');
+            process.exit(1);
+        }, shutdownTimeoutInMs).unref();
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    return server;
+};
+
+// Only start the server if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    startServer();
+}